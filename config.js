@@ -1,9 +1,83 @@
 // Configuration file for GitLab Year-in-Review
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import path from 'path';
 
 // Load environment variables from .env file if present
 dotenv.config();
 
+// Command line flags and their types
+const CLI_OPTIONS = {
+  record: 'string',
+  replay: 'string',
+  since: 'string',
+  until: 'string',
+  quarter: 'string',
+  compare: 'string',
+  career: 'boolean',
+};
+
+// Parses `--name value` and `--name=value` flags by hand, since util.parseArgs needs
+// Node 18.3. Unknown flags are ignored so test runners can pass their own; a string
+// flag without a value is `true`.
+const parseCliArgs = args => {
+  const values = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(args[i]);
+    const type = match && CLI_OPTIONS[match[1]];
+    if (!type) {
+      continue;
+    }
+
+    const [, name, inlineValue] = match;
+    if (type === 'boolean') {
+      values[name] = true;
+    } else if (inlineValue !== undefined) {
+      values[name] = inlineValue;
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      values[name] = args[++i];
+    } else {
+      values[name] = true;
+    }
+  }
+  return values;
+};
+
+const cliArgs = parseCliArgs(process.argv.slice(2));
+
+// Non-secret settings stored with a recording so --replay works without the original .env
+const RECORDED_SETTINGS = {
+  gitlab: ['baseUrl', 'userId', 'teamUsers', 'teamGroup', 'allowedProjects'],
+  github: ['baseUrl', 'username', 'teamUsers', 'team', 'allowedRepos'],
+  bitbucket: ['baseUrl', 'username', 'repos'],
+  gitea: ['baseUrl', 'username', 'allowedRepos'],
+  local: ['repos', 'authorEmails'],
+};
+
+// Formats a Date as a YYYY-MM-DD string in UTC
+const toDateString = date => date.toISOString().slice(0, 10);
+
+// Moves a YYYY-MM-DD date by whole years, clamping February 29 to the 28th
+const shiftYear = (dateStr, years) => {
+  const [year, month, day] = dateStr.split('-').map(part => parseInt(part, 10));
+  const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year + years, month - 1, Math.min(day, lastDay))));
+};
+
+// A --quarter value such as 2025Q3
+const QUARTER_PATTERN = /^\d{4}Q[1-4]$/;
+
+// Builds a reporting period from inclusive YYYY-MM-DD start and end dates
+const buildPeriod = (start, end, label, slug, isCalendarYear = false) => ({
+  start,
+  end,
+  startTime: `${start}T00:00:00Z`,
+  endTime: `${end}T23:59:59Z`,
+  label,
+  slug,
+  isCalendarYear,
+});
+
 const config = {
   // GitLab API configuration
   gitlab: {
@@ -12,31 +86,154 @@ const config = {
     userId: process.env.GITLAB_USER_ID || '',
     // Support for multiple users
     teamUsers: process.env.GITLAB_TEAM_USERS ? process.env.GITLAB_TEAM_USERS.split(',').map(u => u.trim()) : [],
+    // Group whose members form the team, e.g. platform/backend
+    teamGroup: process.env.GITLAB_TEAM_GROUP || '',
     // Support for filtering projects by name
     allowedProjects: process.env.GITLAB_ALLOWED_PROJECTS ? process.env.GITLAB_ALLOWED_PROJECTS.split(',').map(proj => proj.trim()) : [],
   },
 
   // GitHub API configuration
   github: {
+    // GitHub Enterprise Server: https://ghe.your-company.com/api/v3
+    baseUrl: (process.env.GITHUB_BASE_URL || 'https://api.github.com').replace(/\/+$/, ''),
+    // GraphQL lives at /graphql on github.com but at /api/graphql on Enterprise Server
+    get graphqlUrl() {
+      if (process.env.GITHUB_GRAPHQL_URL) {
+        return process.env.GITHUB_GRAPHQL_URL;
+      }
+      if (/\/api\/v3$/.test(this.baseUrl)) {
+        return this.baseUrl.replace(/\/api\/v3$/, '/api/graphql');
+      }
+      return `${this.baseUrl}/graphql`;
+    },
+    get isEnterprise() {
+      return this.baseUrl !== 'https://api.github.com';
+    },
     token: process.env.GITHUB_TOKEN || '',
     username: process.env.GITHUB_USERNAME || process.env.GITHUB_USER_ID || '',
+    // Support for multiple users
+    teamUsers: process.env.GITHUB_TEAM_USERS ? process.env.GITHUB_TEAM_USERS.split(',').map(u => u.trim()).filter(Boolean) : [],
+    // Team whose members form the team, as org/team-slug
+    team: process.env.GITHUB_TEAM || '',
     // Support for filtering repositories
     allowedRepos: process.env.GITHUB_ALLOWED_REPOS ? process.env.GITHUB_ALLOWED_REPOS.split(',').map(repo => repo.trim()) : [],
   },
 
+  // Bitbucket API configuration (Cloud or Data Center)
+  bitbucket: {
+    // Cloud: https://api.bitbucket.org/2.0, Data Center: https://bitbucket.your-company.com/rest/api/1.0
+    baseUrl: process.env.BITBUCKET_BASE_URL || 'https://api.bitbucket.org/2.0',
+    // Access token (Cloud workspace/repository token or Data Center HTTP access token)
+    token: process.env.BITBUCKET_TOKEN || '',
+    // Cloud app password, used with username for basic auth when no token is set
+    appPassword: process.env.BITBUCKET_APP_PASSWORD || '',
+    username: process.env.BITBUCKET_USERNAME || '',
+    // Repositories to analyze: workspace/repo (Cloud) or PROJECT/repo (Data Center)
+    repos: process.env.BITBUCKET_REPOS ? process.env.BITBUCKET_REPOS.split(',').map(repo => repo.trim()).filter(Boolean) : [],
+    get isDataCenter() {
+      return !this.baseUrl.includes('api.bitbucket.org');
+    },
+  },
+
+  // Gitea / Forgejo API configuration (self-hosted forges)
+  gitea: {
+    // Must end with /api/v1, e.g. https://codeberg.org/api/v1
+    baseUrl: process.env.GITEA_BASE_URL || '',
+    token: process.env.GITEA_TOKEN || '',
+    username: process.env.GITEA_USERNAME || '',
+    // Support for filtering repositories
+    allowedRepos: process.env.GITEA_ALLOWED_REPOS ? process.env.GITEA_ALLOWED_REPOS.split(',').map(repo => repo.trim()) : [],
+  },
+
+  // Local git repositories (no API token required)
+  local: {
+    // Comma-separated list of paths to local clones
+    repos: process.env.LOCAL_REPOS ? process.env.LOCAL_REPOS.split(',').map(repo => repo.trim()).filter(Boolean) : [],
+    // Commit author emails that belong to the user
+    authorEmails: process.env.LOCAL_AUTHOR_EMAILS ? process.env.LOCAL_AUTHOR_EMAILS.split(',').map(email => email.trim()).filter(Boolean) : [],
+  },
+
   // Year to analyze (defaults to current year)
   year: process.env.YEAR ? parseInt(process.env.YEAR, 10) : new Date().getFullYear(),
 
+  // Reporting period options; `period` below turns them into dates
+  periodOptions: {
+    // Custom range (--since/--until YYYY-MM-DD, inclusive)
+    since: typeof cliArgs.since === 'string' ? cliArgs.since : '',
+    until: typeof cliArgs.until === 'string' ? cliArgs.until : '',
+    // Quarter such as 2025Q3 (--quarter), counted from the fiscal year start
+    quarter: typeof cliArgs.quarter === 'string' ? cliArgs.quarter.toUpperCase() : '',
+    // Month (1-12) the fiscal year starts in; YEAR then names the fiscal year starting that year
+    fiscalYearStart: process.env.FISCAL_YEAR_START ? parseInt(process.env.FISCAL_YEAR_START, 10) : 1,
+  },
+
+  // Calendar year as a reporting period
+  getYearPeriod: function(year) {
+    return buildPeriod(`${year}-01-01`, `${year}-12-31`, String(year), String(year), true);
+  },
+
+  // Reporting period with inclusive UTC dates. --since/--until win over --quarter, which
+  // wins over YEAR (a fiscal year when FISCAL_YEAR_START is not January). A malformed
+  // quarter is ignored here so validate() can report it.
+  get period() {
+    const { since, until, quarter, fiscalYearStart } = this.periodOptions;
+    const fiscalPrefix = fiscalYearStart !== 1 ? 'FY' : '';
+
+    if (since || until) {
+      const end = until || toDateString(new Date());
+      const start = since || `${end.slice(0, 4)}-01-01`;
+      return buildPeriod(start, end, `${start} to ${end}`, `${start}_${end}`);
+    }
+
+    if (QUARTER_PATTERN.test(quarter)) {
+      const [year, number] = quarter.split('Q').map(part => parseInt(part, 10));
+      const startMonth = fiscalYearStart - 1 + (number - 1) * 3;
+      const label = `${fiscalPrefix}${year}Q${number}`;
+      return buildPeriod(toDateString(new Date(Date.UTC(year, startMonth, 1))),
+        toDateString(new Date(Date.UTC(year, startMonth + 3, 0))), label, label);
+    }
+
+    if (fiscalPrefix) {
+      const label = `FY${this.year}`;
+      return buildPeriod(toDateString(new Date(Date.UTC(this.year, fiscalYearStart - 1, 1))),
+        toDateString(new Date(Date.UTC(this.year + 1, fiscalYearStart - 1, 0))), label, label);
+    }
+
+    return this.getYearPeriod(this.year);
+  },
+
+  // Year-over-year comparison (--compare): a year to fetch, or the path of a saved JSON report
+  compare: typeof cliArgs.compare === 'string' ? cliArgs.compare : '',
+
+  // Multi-year career report (--career): every year from account creation to now
+  career: cliArgs.career === true,
+
+  // The reporting period moved to another year, for --compare: 2025Q3 becomes 2024Q3,
+  // FY2025 becomes FY2024 and a date range keeps its months and days
+  getComparisonPeriod: function(year) {
+    const { since, until, quarter } = this.periodOptions;
+
+    if (since || until) {
+      const { start: currentStart, end: currentEnd } = this.period;
+      const offset = year - parseInt(currentStart, 10);
+      const start = shiftYear(currentStart, offset);
+      const end = shiftYear(currentEnd, offset);
+      return buildPeriod(start, end, `${start} to ${end}`, `${start}_${end}`);
+    }
+
+    return Object.create(this, {
+      year: { value: year },
+      periodOptions: { value: { ...this.periodOptions, quarter: quarter && `${year}${quarter.slice(4)}` } },
+    }).period;
+  },
+
+  // IANA timezone for hours, weekdays, days, months and streaks (defaults to the machine's timezone)
+  timezone: process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+
   // Output configuration
   output: {
-    get filename() {
-      const hasGitLab = this.gitlab && this.gitlab.token && this.gitlab.userId;
-      const hasGitHub = this.github && this.github.token && this.github.username;
-      const platform = (hasGitLab && hasGitHub) ? 'all-platforms' :
-                     hasGitHub ? 'github' : 'gitlab';
-      return process.env.OUTPUT_FILENAME || `${platform}-year-in-review-${process.env.YEAR || new Date().getFullYear()}.md`;
-    },
-    format: process.env.OUTPUT_FORMAT || 'markdown', // markdown, json
+    // The file name comes from getOutputFilename in index.js, which knows the period and format
+    format: process.env.OUTPUT_FORMAT || 'markdown', // markdown, json, html
   },
 
   // API request configuration
@@ -44,16 +241,112 @@ const config = {
     timeout: parseInt(process.env.API_TIMEOUT, 10) || 30000, // 30 seconds
     maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 3,
     perPage: parseInt(process.env.PER_PAGE, 10) || 100,
+    // Maximum parallel requests for lookups such as project metadata
+    concurrency: parseInt(process.env.API_CONCURRENCY, 10) || 5,
+    // GitHub churn needs one request per commit; commits beyond this are left out
+    maxChurnCommits: parseInt(process.env.MAX_CHURN_COMMITS, 10) || 1000,
+  },
+
+  // Team report settings
+  team: {
+    // How many team members are processed at the same time
+    concurrency: parseInt(process.env.TEAM_CONCURRENCY, 10) || 3,
+    // JSON file pairing each member's GitLab and GitHub handles
+    membersFile: process.env.TEAM_MEMBERS_FILE || '',
+    // Handles to keep (all when empty) and to drop, matched against GitLab and GitHub handles
+    include: process.env.TEAM_INCLUDE ? process.env.TEAM_INCLUDE.split(',').map(u => u.trim()).filter(Boolean) : [],
+    exclude: process.env.TEAM_EXCLUDE ? process.env.TEAM_EXCLUDE.split(',').map(u => u.trim()).filter(Boolean) : [],
+  },
+
+  // Record raw API responses to a directory (--record <dir>) or replay them offline (--replay <dir>)
+  recording: {
+    mode: cliArgs.replay !== undefined ? 'replay' : cliArgs.record !== undefined ? 'record' : null,
+    dir: typeof (cliArgs.replay ?? cliArgs.record) === 'string' ? (cliArgs.replay ?? cliArgs.record) : null,
+    conflict: cliArgs.record !== undefined && cliArgs.replay !== undefined,
+    manifestError: null,
+  },
+
+  // Builds the manifest saved next to recorded responses
+  getRecordingManifest: function() {
+    const configured = {
+      gitlab: this.isGitLabConfigured(),
+      github: this.isGitHubConfigured(),
+      bitbucket: this.isBitbucketConfigured(),
+      gitea: this.isGiteaConfigured(),
+      local: this.isLocalConfigured(),
+    };
+    const platforms = {};
+    Object.entries(RECORDED_SETTINGS).forEach(([platform, fields]) => {
+      if (configured[platform]) {
+        platforms[platform] = Object.fromEntries(fields.map(field => [field, this[platform][field]]));
+      }
+    });
+    return { year: this.year, periodOptions: this.periodOptions, platforms, recordedAt: new Date().toISOString() };
+  },
+
+  // Restores the settings of a recording. Recorded platforms get a placeholder token so
+  // they count as configured; the others are switched off so nothing goes to the network
+  // (or, for local git, to the disk).
+  applyRecordingManifest: function(manifest) {
+    this.year = manifest.year;
+    Object.assign(this.periodOptions, manifest.periodOptions || {});
+    Object.keys(RECORDED_SETTINGS).forEach(platform => {
+      const recorded = manifest.platforms?.[platform];
+      Object.assign(this[platform], recorded || {});
+      if (platform === 'local') {
+        this.local.repos = recorded ? recorded.repos : [];
+      } else {
+        this[platform].token = recorded ? 'replay' : '';
+      }
+    });
+    this.bitbucket.appPassword = '';
+  },
+
+  // On-disk HTTP response cache
+  cache: {
+    enabled: process.env.HTTP_CACHE !== 'false',
+    dir: process.env.CACHE_DIR || '.year-in-code-cache',
   },
 
   // Helper function to check if GitLab is properly configured
   isGitLabConfigured: function() {
-    return this.gitlab.token && (this.gitlab.userId || this.gitlab.teamUsers.length > 0);
+    return this.gitlab.token && (this.gitlab.userId || this.gitlab.teamGroup || this.team.membersFile || this.gitlab.teamUsers.length > 0);
   },
 
   // Helper function to check if GitHub is properly configured
   isGitHubConfigured: function() {
-    return this.github.token && this.github.username;
+    return this.github.token && (this.github.username || this.github.team || this.team.membersFile || this.github.teamUsers.length > 0);
+  },
+
+  // Helper function to check if a team report was requested
+  isTeamMode: function() {
+    return this.gitlab.teamUsers.length > 0 || this.github.teamUsers.length > 0 ||
+      Boolean(this.gitlab.teamGroup || this.github.team || this.team.membersFile);
+  },
+
+  // Helper function to check if Bitbucket is properly configured
+  isBitbucketConfigured: function() {
+    return Boolean((this.bitbucket.token || this.bitbucket.appPassword) && this.bitbucket.username && this.bitbucket.repos.length > 0);
+  },
+
+  // Helper function to check if Gitea / Forgejo is properly configured
+  isGiteaConfigured: function() {
+    return Boolean(this.gitea.baseUrl && this.gitea.token && this.gitea.username);
+  },
+
+  // Helper function to check if local git repositories are properly configured
+  isLocalConfigured: function() {
+    return this.local.repos.length > 0 && this.local.authorEmails.length > 0;
+  },
+
+  // Helper function to check an IANA timezone name such as "Asia/Kolkata"
+  isValidTimezone: function(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
   },
 
   // Validation function
@@ -63,17 +356,77 @@ const config = {
     // Check if at least one platform is configured
     const hasGitLab = this.isGitLabConfigured();
     const hasGitHub = this.isGitHubConfigured();
+    const hasBitbucket = this.isBitbucketConfigured();
+    const hasGitea = this.isGiteaConfigured();
+    const hasLocal = this.isLocalConfigured();
 
-    if (!hasGitLab && !hasGitHub) {
+    if (!hasGitLab && !hasGitHub && !hasBitbucket && !hasGitea && !hasLocal) {
       errors.push('At least one platform must be configured:');
-      errors.push('  - GitLab: GITLAB_TOKEN and either GITLAB_USER_ID or GITLAB_TEAM_USERS');
-      errors.push('  - GitHub: GITHUB_TOKEN and GITHUB_USERNAME');
+      errors.push('  - GitLab: GITLAB_TOKEN and either GITLAB_USER_ID, GITLAB_TEAM_USERS, GITLAB_TEAM_GROUP or TEAM_MEMBERS_FILE');
+      errors.push('  - GitHub: GITHUB_TOKEN and either GITHUB_USERNAME, GITHUB_TEAM_USERS, GITHUB_TEAM or TEAM_MEMBERS_FILE');
+      errors.push('  - Bitbucket: BITBUCKET_TOKEN or BITBUCKET_APP_PASSWORD, BITBUCKET_USERNAME and BITBUCKET_REPOS');
+      errors.push('  - Gitea/Forgejo: GITEA_BASE_URL, GITEA_TOKEN and GITEA_USERNAME');
+      errors.push('  - Local git: LOCAL_REPOS and LOCAL_AUTHOR_EMAILS');
+    }
+
+    if (this.local.repos.length > 0 && this.local.authorEmails.length === 0) {
+      errors.push('LOCAL_AUTHOR_EMAILS is required when LOCAL_REPOS is set');
+    }
+
+    if (this.recording.conflict) {
+      errors.push('Use either --record or --replay, not both');
+    } else if (this.recording.mode && !this.recording.dir) {
+      errors.push(`--${this.recording.mode} requires a directory`);
+    }
+
+    if (this.recording.manifestError) {
+      errors.push(this.recording.manifestError);
+    }
+
+    if (!['markdown', 'json', 'html'].includes(this.output.format)) {
+      errors.push('OUTPUT_FORMAT must be one of: markdown, json, html');
     }
 
     if (isNaN(this.year) || this.year < 2000 || this.year > new Date().getFullYear() + 1) {
       errors.push('YEAR must be a valid year between 2000 and next year');
     }
 
+    const { since, until, quarter, fiscalYearStart } = this.periodOptions;
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) &&
+      toDateString(new Date(value)) === value;
+    if ((since && !isDate(since)) || (until && !isDate(until))) {
+      errors.push('--since and --until must be dates in YYYY-MM-DD format');
+    } else if (since && until && since > until) {
+      errors.push('--since must not be after --until');
+    }
+    if (quarter && !QUARTER_PATTERN.test(quarter)) {
+      errors.push('--quarter must look like 2025Q3');
+    }
+    if (quarter && (since || until)) {
+      errors.push('Use either --quarter or --since/--until, not both');
+    }
+    if (isNaN(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+      errors.push('FISCAL_YEAR_START must be a month number from 1 to 12');
+    }
+    if (this.career && (since || until || quarter || this.compare)) {
+      errors.push('--career covers every year and cannot be combined with --since, --until, --quarter or --compare');
+    }
+    if (this.career && this.isTeamMode()) {
+      errors.push('--career builds a single-user report and cannot be used with team settings');
+    }
+    if (/^\d+$/.test(this.compare)) {
+      const compareYear = parseInt(this.compare, 10);
+      if (compareYear < 2000 || compareYear > new Date().getFullYear()) {
+        errors.push('--compare must be a year from 2000 to this year, or the path of a saved JSON report');
+      } else if (errors.length === 0 && this.getComparisonPeriod(compareYear).start === this.period.start) {
+        errors.push('--compare must name a different year than the one being reported');
+      }
+    }
+
+    if (!this.isValidTimezone(this.timezone)) {
+      errors.push(`TIMEZONE "${this.timezone}" is not a valid IANA timezone (e.g. Europe/Berlin, Asia/Kolkata)`);
+    }
+
     if (errors.length > 0) {
       throw new Error('Configuration errors:\n' + errors.join('\n'));
     }
@@ -82,4 +435,21 @@ const config = {
   }
 };
 
+// A custom range or quarter decides the year; it names the year the period starts in
+if (config.periodOptions.since || config.periodOptions.until || config.periodOptions.quarter) {
+  const periodYear = parseInt(config.period.start, 10);
+  if (!isNaN(periodYear)) {
+    config.year = periodYear;
+  }
+}
+
+if (config.recording.mode === 'replay' && config.recording.dir && !config.recording.conflict) {
+  const manifestPath = path.join(config.recording.dir, 'manifest.json');
+  try {
+    config.applyRecordingManifest(JSON.parse(readFileSync(manifestPath, 'utf8')));
+  } catch (error) {
+    config.recording.manifestError = `Cannot read recording manifest ${manifestPath}: ${error.message}`;
+  }
+}
+
 export default config;
\ No newline at end of file
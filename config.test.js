@@ -36,6 +36,106 @@ describe('Config', () => {
     it('should parse GITHUB_ALLOWED_REPOS as array', () => {
       expect(Array.isArray(config.github.allowedRepos)).toBe(true);
     });
+
+    it('should parse GITHUB_TEAM_USERS as array', () => {
+      expect(Array.isArray(config.github.teamUsers)).toBe(true);
+    });
+
+    it('should enter team mode for GitHub team users', () => {
+      const original = config.github.teamUsers;
+      try {
+        config.github.teamUsers = ['octocat', 'hubot'];
+        expect(config.isTeamMode()).toBe(true);
+      } finally {
+        config.github.teamUsers = original;
+      }
+    });
+
+    it('should default to the github.com API', () => {
+      expect(config.github.baseUrl).toBe('https://api.github.com');
+      expect(config.github.graphqlUrl).toBe('https://api.github.com/graphql');
+      expect(config.github.isEnterprise).toBe(false);
+    });
+
+    it('should derive the GraphQL URL for GitHub Enterprise Server', () => {
+      const originalBaseUrl = config.github.baseUrl;
+      try {
+        config.github.baseUrl = 'https://github.company.com/api/v3';
+        expect(config.github.graphqlUrl).toBe('https://github.company.com/api/graphql');
+        expect(config.github.isEnterprise).toBe(true);
+      } finally {
+        config.github.baseUrl = originalBaseUrl;
+      }
+    });
+  });
+
+  describe('Bitbucket Configuration', () => {
+    it('should default to the Bitbucket Cloud API', () => {
+      expect(config.bitbucket.baseUrl).toBe('https://api.bitbucket.org/2.0');
+      expect(config.bitbucket.isDataCenter).toBe(false);
+    });
+
+    it('should parse BITBUCKET_REPOS as array', () => {
+      expect(Array.isArray(config.bitbucket.repos)).toBe(true);
+    });
+
+    it('should have isBitbucketConfigured function', () => {
+      expect(typeof config.isBitbucketConfigured).toBe('function');
+      expect(typeof config.isBitbucketConfigured()).toBe('boolean');
+    });
+  });
+
+  describe('Gitea Configuration', () => {
+    it('should parse GITEA_ALLOWED_REPOS as array', () => {
+      expect(Array.isArray(config.gitea.allowedRepos)).toBe(true);
+    });
+
+    it('should have isGiteaConfigured function', () => {
+      expect(typeof config.isGiteaConfigured).toBe('function');
+      expect(typeof config.isGiteaConfigured()).toBe('boolean');
+    });
+  });
+
+  describe('Local Git Configuration', () => {
+    it('should parse LOCAL_REPOS as array', () => {
+      expect(Array.isArray(config.local.repos)).toBe(true);
+    });
+
+    it('should parse LOCAL_AUTHOR_EMAILS as array', () => {
+      expect(Array.isArray(config.local.authorEmails)).toBe(true);
+    });
+
+    it('should have isLocalConfigured function', () => {
+      expect(typeof config.isLocalConfigured).toBe('function');
+      expect(typeof config.isLocalConfigured()).toBe('boolean');
+    });
+  });
+
+  describe('Record and Replay', () => {
+    it('should be off without --record or --replay', () => {
+      expect(config.recording.mode).toBeNull();
+    });
+
+    it('should round-trip configured platforms through the recording manifest', () => {
+      const original = JSON.parse(JSON.stringify({ year: config.year, gitlab: config.gitlab, github: { token: config.github.token, username: config.github.username, allowedRepos: config.github.allowedRepos, baseUrl: config.github.baseUrl } }));
+      try {
+        config.github.token = 'secret';
+        config.github.username = 'octocat';
+        const manifest = config.getRecordingManifest();
+        expect(manifest.platforms.github).toEqual({ baseUrl: config.github.baseUrl, username: 'octocat', teamUsers: config.github.teamUsers, team: config.github.team, allowedRepos: config.github.allowedRepos });
+        expect(JSON.stringify(manifest)).not.toContain('secret');
+
+        config.github.token = '';
+        config.applyRecordingManifest({ year: 2023, platforms: { github: manifest.platforms.github } });
+        expect(config.year).toBe(2023);
+        expect(config.isGitHubConfigured()).toBeTruthy();
+        expect(config.isGitLabConfigured()).toBeFalsy();
+      } finally {
+        config.year = original.year;
+        Object.assign(config.gitlab, original.gitlab);
+        Object.assign(config.github, original.github);
+      }
+    });
   });
 
   describe('Year Configuration', () => {
@@ -64,6 +164,14 @@ describe('Config', () => {
       expect(typeof config.api.perPage).toBe('number');
       expect(config.api.perPage).toBeGreaterThan(0);
     });
+
+    it('should default API concurrency to 5', () => {
+      expect(config.api.concurrency).toBe(5);
+    });
+
+    it('should default team concurrency to 3', () => {
+      expect(config.team.concurrency).toBe(3);
+    });
   });
 
   describe('Helper Functions', () => {
@@ -85,6 +193,152 @@ describe('Config', () => {
     });
   });
 
+  describe('Reporting Period', () => {
+    const withPeriodOptions = (options, fn) => {
+      const original = { ...config.periodOptions };
+      Object.assign(config.periodOptions, options);
+      try {
+        fn();
+      } finally {
+        Object.assign(config.periodOptions, original);
+      }
+    };
+
+    it('should default to the calendar year', () => {
+      expect(config.period).toMatchObject({
+        start: `${config.year}-01-01`,
+        end: `${config.year}-12-31`,
+        label: String(config.year),
+        slug: String(config.year),
+        isCalendarYear: true
+      });
+    });
+
+    it('should use --since and --until as an inclusive date range', () => {
+      withPeriodOptions({ since: '2025-03-01', until: '2025-08-31' }, () => {
+        expect(config.period).toMatchObject({
+          start: '2025-03-01',
+          end: '2025-08-31',
+          startTime: '2025-03-01T00:00:00Z',
+          endTime: '2025-08-31T23:59:59Z',
+          label: '2025-03-01 to 2025-08-31',
+          slug: '2025-03-01_2025-08-31',
+          isCalendarYear: false
+        });
+      });
+    });
+
+    it('should default --since to January 1 of the --until year', () => {
+      withPeriodOptions({ until: '2024-06-30' }, () => {
+        expect(config.period.start).toBe('2024-01-01');
+      });
+    });
+
+    it('should resolve calendar and fiscal quarters', () => {
+      withPeriodOptions({ quarter: '2025Q3' }, () => {
+        expect(config.period).toMatchObject({ start: '2025-07-01', end: '2025-09-30', label: '2025Q3' });
+      });
+      withPeriodOptions({ quarter: '2025Q4', fiscalYearStart: 4 }, () => {
+        expect(config.period).toMatchObject({ start: '2026-01-01', end: '2026-03-31', label: 'FY2025Q4' });
+      });
+    });
+
+    it('should resolve a fiscal year from FISCAL_YEAR_START', () => {
+      withPeriodOptions({ fiscalYearStart: 4 }, () => {
+        expect(config.period).toMatchObject({
+          start: `${config.year}-04-01`,
+          end: `${config.year + 1}-03-31`,
+          label: `FY${config.year}`
+        });
+      });
+    });
+
+    it('should move the period to another year for --compare', () => {
+      expect(config.getComparisonPeriod(2020)).toMatchObject({ start: '2020-01-01', end: '2020-12-31', label: '2020' });
+      withPeriodOptions({ quarter: '2025Q3' }, () => {
+        expect(config.getComparisonPeriod(2024)).toMatchObject({ start: '2024-07-01', end: '2024-09-30', label: '2024Q3' });
+      });
+      withPeriodOptions({ since: '2024-02-01', until: '2024-02-29' }, () => {
+        expect(config.getComparisonPeriod(2023)).toMatchObject({ start: '2023-02-01', end: '2023-02-28' });
+      });
+      withPeriodOptions({ fiscalYearStart: 4 }, () => {
+        expect(config.getComparisonPeriod(2020).label).toBe('FY2020');
+      });
+    });
+
+    it('should reject --career combined with a period option or team settings', () => {
+      const original = { career: config.career, teamUsers: config.gitlab.teamUsers };
+      try {
+        config.career = true;
+        config.gitlab.teamUsers = ['alice', 'bob'];
+        expect(() => config.validate()).toThrow('--career builds a single-user report');
+        withPeriodOptions({ quarter: '2025Q1' }, () => {
+          expect(() => config.validate()).toThrow('--career covers every year');
+        });
+      } finally {
+        config.career = original.career;
+        config.gitlab.teamUsers = original.teamUsers;
+      }
+    });
+
+    it('should reject a --compare year outside the supported range or equal to the period', () => {
+      const original = config.compare;
+      try {
+        config.compare = '1999';
+        expect(() => config.validate()).toThrow('--compare must be a year from 2000 to this year');
+        config.compare = String(config.year);
+        expect(() => config.validate()).toThrow('--compare must name a different year');
+        config.compare = 'reports/2024.json';
+        expect(config.validate()).toBe(true);
+      } finally {
+        config.compare = original;
+      }
+    });
+
+    it('should reject malformed or conflicting period options in validate', () => {
+      withPeriodOptions({ since: '2025-02-30' }, () => {
+        expect(() => config.validate()).toThrow('--since and --until must be dates in YYYY-MM-DD format');
+      });
+      withPeriodOptions({ since: '2025-09-01', until: '2025-01-01' }, () => {
+        expect(() => config.validate()).toThrow('--since must not be after --until');
+      });
+      withPeriodOptions({ quarter: '2025Q5' }, () => {
+        expect(() => config.validate()).toThrow('--quarter must look like 2025Q3');
+      });
+      withPeriodOptions({ quarter: 'Q3-2025' }, () => {
+        expect(() => config.period).not.toThrow();
+        expect(() => config.validate()).toThrow('--quarter must look like 2025Q3');
+      });
+      withPeriodOptions({ quarter: '2025Q1', until: '2025-03-31' }, () => {
+        expect(() => config.validate()).toThrow('Use either --quarter or --since/--until, not both');
+      });
+      withPeriodOptions({ fiscalYearStart: 13 }, () => {
+        expect(() => config.validate()).toThrow('FISCAL_YEAR_START must be a month number from 1 to 12');
+      });
+    });
+  });
+
+  describe('Timezone Configuration', () => {
+    it('should default to a valid timezone', () => {
+      expect(config.isValidTimezone(config.timezone)).toBe(true);
+    });
+
+    it('should recognise IANA timezone names', () => {
+      expect(config.isValidTimezone('Asia/Kolkata')).toBe(true);
+      expect(config.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+
+    it('should reject an invalid TIMEZONE in validate', () => {
+      const original = config.timezone;
+      config.timezone = 'Not/A_Zone';
+      try {
+        expect(() => config.validate()).toThrow('TIMEZONE "Not/A_Zone" is not a valid IANA timezone');
+      } finally {
+        config.timezone = original;
+      }
+    });
+  });
+
   describe('validate function', () => {
     it('should return true for valid configuration', () => {
       const result = config.validate();
@@ -401,6 +401,28 @@ describe('Index.js - API Integration Tests', () => {
 
       expect(axios.create).toHaveBeenCalled();
     });
+
+    it('should report a failed team member lookup instead of "not found"', async () => {
+      const error = new Error('Request failed with status code 500');
+      error.response = { status: 500, statusText: 'Internal Server Error', data: {} };
+      error.config = { url: '/users?username=alice' };
+      mockGitlabClient.get.mockRejectedValueOnce(error);
+
+      const module = await import('./index.js');
+
+      await expect(module.getUserDetailsByUsername('alice')).rejects.toThrow('Request failed with status code 500');
+    });
+
+    it('should treat a 404 team member lookup as an unknown user', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, statusText: 'Not Found', data: {} };
+      error.config = { url: '/users?username=alice' };
+      mockGitlabClient.get.mockRejectedValueOnce(error);
+
+      const module = await import('./index.js');
+
+      await expect(module.getUserDetailsByUsername('alice')).resolves.toBeNull();
+    });
   });
 
   describe('Combined Platform Support', () => {
@@ -601,6 +623,70 @@ describe('Index.js - API Integration Tests', () => {
     });
   });
 
+  describe('Team Member Timezones', () => {
+    it('should count months in the member timezone', async () => {
+      const pushedAt = '2025-01-31T20:00:00Z'; // February 1 in Tokyo
+      mockGitlabClient.get.mockImplementation(async url => {
+        if (url === '/users') {
+          return { data: [{ id: 7, username: 'tokyo', name: 'Tokyo Member' }], headers: {} };
+        }
+        if (url === '/users/7/events') {
+          return { data: [{ id: 1, created_at: pushedAt, action_name: 'pushed to' }], headers: {} };
+        }
+        return { data: [], headers: {} };
+      });
+
+      const module = await import('./index.js');
+      const summary = await module.getUserActivitySummary(7, 2025, {
+        gitlabUsername: 'tokyo',
+        githubUsername: null,
+        teamMember: true,
+        timezone: 'Asia/Tokyo',
+      });
+
+      expect(summary.timezone).toBe('Asia/Tokyo');
+      expect(summary.gitlab.events.monthlyActivity).toEqual({ February: 1 });
+      expect(summary.gitlab.events.mostActiveMonth).toBe('February');
+      expect(summary.gitlab.timePatterns.monthlyActivity).toEqual({ February: 1 });
+    });
+  });
+
+  describe('Gitea Heatmap', () => {
+    const giteaEnv = { GITEA_BASE_URL: 'https://gitea.example.com/api/v1', GITEA_TOKEN: 'token', GITEA_USERNAME: 'me' };
+
+    beforeEach(() => {
+      Object.assign(process.env, giteaEnv);
+    });
+
+    afterEach(() => {
+      Object.keys(giteaEnv).forEach(name => delete process.env[name]);
+    });
+
+    it('should report periods older than the heatmap window as incomplete', async () => {
+      const mockGiteaClient = { get: vi.fn().mockResolvedValue({ data: [{ timestamp: Date.parse('2020-05-04T10:00:00Z') / 1000, contributions: 2 }] }) };
+      vi.mocked(axios.create).mockReturnValueOnce(mockGiteaClient);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const module = await import('./index.js');
+      const heatmap = await module.getGiteaHeatmap('me', module.resolvePeriod(2020));
+
+      expect(heatmap).toHaveLength(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('the heatmap only covers the last 365 days'));
+    });
+
+    it('should not warn for a period inside the heatmap window', async () => {
+      const mockGiteaClient = { get: vi.fn().mockResolvedValue({ data: [] }) };
+      vi.mocked(axios.create).mockReturnValueOnce(mockGiteaClient);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const module = await import('./index.js');
+      await module.getGiteaHeatmap('me', module.resolvePeriod(new Date().getFullYear()));
+
+      expect(mockGiteaClient.get).toHaveBeenCalledWith('/users/me/heatmap');
+      expect(warn).not.toHaveBeenCalledWith(expect.stringContaining('heatmap'));
+    });
+  });
+
   describe('Date and Time Handling', () => {
     it('should handle events at different times of day', async () => {
       const mockEvents = [
@@ -1,15 +1,597 @@
 import axios from "axios";
+import { AsyncLocalStorage } from "async_hooks";
+import { execFile } from "child_process";
+import { createHash } from "crypto";
 import fs from "fs/promises";
 import path from "path";
+import { promisify } from "util";
 import config from "./config.js";
 
+const execFileAsync = promisify(execFile);
+
 // Validate configuration
 config.validate();
 
+/**
+ * Retry policy shared by all API clients
+ */
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_BACKOFF_MS = 30000;
+// Rate limit resets further away than this fail the request instead of stalling the run
+const RETRY_MAX_WAIT_MS = 5 * 60 * 1000;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Decides whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, 5xx, 429 and rate-limited 403 responses
+ */
+function isRetryableError(error) {
+    if (!error.response) {
+        // No response means a network error or timeout; a missing request means a setup error
+        return Boolean(error.request);
+    }
+
+    const { status, headers = {} } = error.response;
+    if (status >= 500 || status === 429) {
+        return true;
+    }
+    // GitHub answers 403 when the primary or secondary rate limit is exhausted
+    return status === 403 && (headers['retry-after'] !== undefined || headers['x-ratelimit-remaining'] === '0');
+}
+
+/**
+ * Computes how long to wait before retrying a failed request.
+ * Server hints win over exponential backoff: `Retry-After` first, then GitHub's
+ * `X-RateLimit-Reset` and GitLab's `RateLimit-Reset` epoch timestamps.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, now = Date.now()) {
+    const headers = error.response?.headers || {};
+
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - now);
+        }
+    }
+
+    const status = error.response?.status;
+    const reset = headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'];
+    if ((status === 429 || status === 403) && reset !== undefined && !Number.isNaN(Number(reset))) {
+        // Add a second so the request does not land just before the window opens
+        return Math.max(0, Number(reset) * 1000 - now) + 1000;
+    }
+
+    return Math.min(RETRY_MAX_BACKOFF_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * Adds retry handling to an axios client. Failed requests are retried up to
+ * `config.api.maxRetries` times using the delay from getRetryDelay.
+ * @param {Object} client - Axios instance
+ * @param {string} platform - Platform name used in log messages
+ * @returns {Object} The same client
+ */
+function withRetries(client, platform) {
+    if (!client?.interceptors) {
+        return client;
+    }
+
+    client.interceptors.response.use(null, async error => {
+        const requestConfig = error.config;
+        if (!requestConfig || !isRetryableError(error)) {
+            throw error;
+        }
+
+        // A replayed failure would fail the same way again
+        const attempt = requestConfig.retryAttempt || 0;
+        if (attempt >= config.api.maxRetries || config.recording.mode === 'replay') {
+            throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        if (delay > RETRY_MAX_WAIT_MS) {
+            console.warn(`${platform} rate limit resets in ${Math.ceil(delay / 60000)} minutes, not waiting`);
+            throw error;
+        }
+
+        // Rate limits apply to the whole token, so hold back the client's other requests too
+        if (error.response?.status === 429 || error.response?.status === 403) {
+            client.requestLimiter?.pause(delay);
+        }
+
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || 'network error');
+        console.warn(`${platform} request ${requestConfig.url} failed (${reason}), retry ${attempt + 1}/${config.api.maxRetries} in ${Math.ceil(delay / 1000)}s`);
+        await sleep(delay);
+
+        requestConfig.retryAttempt = attempt + 1;
+        return client.request(requestConfig);
+    });
+
+    return client;
+}
+
+/**
+ * Caps the requests a client has in flight at API_CONCURRENCY, however many team
+ * members are processed at once, so they share one rate limit budget. After a
+ * rate-limited response every request of the client waits until the limit resets.
+ * @param {Object} client - Axios instance
+ * @returns {Object} The same client, with a `requestLimiter` property
+ */
+function withRequestLimit(client) {
+    if (!client?.defaults) {
+        return client;
+    }
+
+    const send = axios.getAdapter(client.defaults.adapter);
+    const waiting = [];
+    let active = 0;
+
+    client.requestLimiter = {
+        pausedUntil: 0,
+        pause(ms) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        }
+    };
+
+    client.defaults.adapter = async requestConfig => {
+        if (active < config.api.concurrency) {
+            active++;
+        } else {
+            // The finishing request hands its slot over directly
+            await new Promise(resolve => waiting.push(resolve));
+        }
+
+        try {
+            const pause = client.requestLimiter.pausedUntil - Date.now();
+            if (pause > 0) {
+                await sleep(pause);
+            }
+            return await send(requestConfig);
+        } finally {
+            if (waiting.length > 0) {
+                waiting.shift()();
+            } else {
+                active--;
+            }
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Holds the truncation list of the summary being built, so members processed in
+ * parallel each get their own
+ */
+const truncationScope = new AsyncLocalStorage();
+
+/**
+ * Records that a paginated fetch returned partial results
+ * @param {string} url - Endpoint that was being paged through
+ * @param {number} fetched - Number of items fetched before stopping
+ * @param {string} reason - Why fetching stopped
+ */
+function recordTruncation(url, fetched, reason) {
+    const truncated = truncationScope.getStore();
+    if (truncated?.some(entry => entry.url === url && entry.reason === reason)) {
+        return;
+    }
+    truncated?.push({ url, fetched, reason });
+    console.warn(`⚠️  Results for ${url} are incomplete: stopped after ${fetched} items (${reason})`);
+}
+
+/**
+ * Builds a short description of a failed request for truncation reports
+ * @param {Error} error - Axios error
+ * @returns {string} E.g. "HTTP 502 Bad Gateway" or the network error code
+ */
+function describeRequestError(error) {
+    if (error.response) {
+        return `HTTP ${error.response.status}${error.response.statusText ? ` ${error.response.statusText}` : ''}`;
+    }
+    return error.code || error.message;
+}
+
+/**
+ * Accepts a year or a reporting period and returns a period
+ * @param {number|Object} yearOrPeriod - Calendar year, or a period like `config.period`
+ * @returns {Object} Period with `start`/`end` (inclusive YYYY-MM-DD), `startTime`/`endTime`
+ *   (ISO 8601 UTC), `label` and `slug`
+ */
+function resolvePeriod(yearOrPeriod = config.period) {
+    return typeof yearOrPeriod === 'number' ? config.getYearPeriod(yearOrPeriod) : yearOrPeriod;
+}
+
+/**
+ * Checks whether a timestamp falls inside a reporting period (UTC days)
+ * @param {Date|string|number} date - Date, ISO timestamp or epoch milliseconds
+ * @param {Object} [period=config.period] - Reporting period
+ * @returns {boolean} True if the day of the timestamp is within the period
+ */
+function isInPeriod(date, period = config.period) {
+    const day = new Date(date).toISOString().slice(0, 10);
+    return day >= period.start && day <= period.end;
+}
+
+/**
+ * Shifts a YYYY-MM-DD date by a number of days
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+function addDays(dateStr, days) {
+    return new Date(Date.parse(dateStr) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Splits a reporting period into calendar-month windows, clipped to the period
+ * @param {Object} period - Reporting period
+ * @returns {Array<Object>} Windows with `from` and `to` ISO 8601 UTC timestamps (inclusive)
+ */
+function getPeriodMonths(period) {
+    const windows = [];
+    let start = period.start;
+    while (start <= period.end) {
+        const [year, month] = start.split('-').map(part => parseInt(part, 10));
+        const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+        const end = monthEnd < period.end ? monthEnd : period.end;
+        windows.push({ from: `${start}T00:00:00Z`, to: `${end}T23:59:59Z` });
+        start = addDays(end, 1);
+    }
+    return windows;
+}
+
+/**
+ * Names the months of a reporting period in period order, e.g. July to September for 2025Q3
+ * or April to March for a fiscal year starting in April
+ * @param {Object} period - Reporting period
+ * @returns {Array<string>} Month names, each once
+ */
+function getPeriodMonthNames(period) {
+    const months = getPeriodMonths(period).map(window => MONTH_NAMES[parseInt(window.from.slice(5, 7), 10) - 1]);
+    return [...new Set(months)];
+}
+
+/**
+ * Describes a reporting period for report headings
+ * @param {Object} period - Reporting period
+ * @returns {string} "2025" for calendar years, otherwise e.g. "2025Q3 (2025-07-01 to 2025-09-30)"
+ */
+function formatPeriod(period) {
+    if (period.isCalendarYear || period.label === `${period.start} to ${period.end}`) {
+        return period.label;
+    }
+    return `${period.label} (${period.start} to ${period.end})`;
+}
+
+/**
+ * Counters for the on-disk HTTP cache, printed at the end of a run
+ */
+const cacheStats = { hits: 0, revalidated: 0, stored: 0 };
+
+/**
+ * Holds the period that the requests being made are limited to. Only these requests
+ * can be served from the cache without asking the server once the period is over.
+ */
+const cachePeriodScope = new AsyncLocalStorage();
+
+/**
+ * Runs a fetch whose query is bounded by a reporting period (created/updated dates,
+ * after/before or since/until), so its responses may be cached for good once it ended
+ * @param {Object} period - Reporting period the request parameters are limited to
+ * @param {Function} fetch - Function making the requests
+ * @returns {Promise<*>} Result of `fetch`
+ */
+function fetchForPeriod(period, fetch) {
+    return cachePeriodScope.run(period, fetch);
+}
+
+/**
+ * Checks whether the current request is bounded by a period that is over, so its
+ * API data can no longer change
+ * @returns {boolean} True inside fetchForPeriod for periods that ended before today
+ */
+function isCacheImmutable() {
+    const period = cachePeriodScope.getStore();
+    return Boolean(period) && period.end < new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the cache file path for a request
+ * @param {string} platform - Platform name, used as a subdirectory
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL including the query string
+ * @param {string} [credentials] - Client credentials; responses differ per token, so
+ *   each one gets its own entries (only a hash of them is part of the key)
+ * @returns {string} Path of the JSON cache entry
+ */
+function getCachePath(platform, method, url, credentials) {
+    const hash = createHash('sha256').update(`${method.toUpperCase()} ${url}`);
+    if (credentials) {
+        hash.update(`\n${createHash('sha256').update(credentials).digest('hex')}`);
+    }
+    return path.join(config.cache.dir, platform.toLowerCase(), `${hash.digest('hex')}.json`);
+}
+
+/**
+ * Reads a cache entry
+ * @async
+ * @param {string} cachePath - Path from getCachePath
+ * @returns {Promise<Object|null>} Entry with `url`, `etag`, `headers`, `data` and `storedAt`, or null
+ */
+async function readCacheEntry(cachePath) {
+    try {
+        const entry = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+        return entry && typeof entry.data === 'string' ? entry : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Writes a cache entry; failures only cost the next run a download
+ * @async
+ * @param {string} cachePath - Path from getCachePath
+ * @param {Object} entry - Entry to store
+ */
+async function writeCacheEntry(cachePath, entry) {
+    try {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        await fs.writeFile(cachePath, JSON.stringify(entry));
+        cacheStats.stored++;
+    } catch (error) {
+        console.warn(`Could not write HTTP cache entry ${cachePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Adds the on-disk response cache to an axios client. GET responses are stored with
+ * their ETag and revalidated with `If-None-Match`; a 304 reuses the stored body (on
+ * GitHub a 304 does not count against the rate limit). Requests bounded by a period
+ * that is over (see fetchForPeriod) are served from disk without asking the server at all.
+ * @param {Object} client - Axios instance
+ * @param {string} platform - Platform name, used as the cache subdirectory
+ * @param {string} [credentials] - Client credentials, see getCachePath
+ * @returns {Object} The same client
+ */
+function withCache(client, platform, credentials) {
+    if (!config.cache.enabled || !client?.defaults) {
+        return client;
+    }
+
+    const send = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = async requestConfig => {
+        if ((requestConfig.method || 'get').toLowerCase() !== 'get') {
+            return send(requestConfig);
+        }
+
+        const url = client.getUri(requestConfig);
+        const cachePath = getCachePath(platform, 'get', url, credentials);
+        const entry = await readCacheEntry(cachePath);
+        const toResponse = cached => ({
+            data: cached.data,
+            status: 200,
+            statusText: 'OK',
+            headers: axios.AxiosHeaders.from(cached.headers),
+            config: requestConfig,
+            request: null
+        });
+
+        if (entry && isCacheImmutable()) {
+            cacheStats.hits++;
+            return toResponse(entry);
+        }
+        if (entry?.etag) {
+            requestConfig.headers.set('If-None-Match', entry.etag);
+        }
+
+        let response;
+        try {
+            response = await send(requestConfig);
+        } catch (error) {
+            if (entry && error.response?.status === 304) {
+                cacheStats.revalidated++;
+                return toResponse(entry);
+            }
+            throw error;
+        }
+
+        const etag = response.headers?.etag;
+        if (typeof response.data === 'string' && (etag || isCacheImmutable())) {
+            await writeCacheEntry(cachePath, {
+                url,
+                etag: etag || null,
+                headers: axios.AxiosHeaders.from(response.headers).toJSON(),
+                data: response.data,
+                storedAt: new Date().toISOString()
+            });
+        }
+
+        return response;
+    };
+
+    return client;
+}
+
+/**
+ * Logs how much work the HTTP cache saved during this run
+ */
+function logCacheStats() {
+    if (!config.cache.enabled) {
+        return;
+    }
+    console.log(`HTTP cache: ${cacheStats.hits} served from disk, ${cacheStats.revalidated} revalidated (304), ${cacheStats.stored} stored in ${config.cache.dir}`);
+}
+
+/**
+ * Builds the path of a recorded response. POST bodies are part of the key because
+ * every GraphQL query goes to the same URL.
+ * @param {string} platform - Platform name, used as a subdirectory
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL including the query string
+ * @param {string} [body] - Serialized request body
+ * @returns {string} Path of the JSON recording
+ */
+function getRecordingPath(platform, method, url, body) {
+    const key = createHash('sha256').update(`${method.toUpperCase()} ${url}\n${body || ''}`).digest('hex');
+    return path.join(config.recording.dir, platform.toLowerCase(), `${key}.json`);
+}
+
+/**
+ * Adds record/replay to an axios client. With `--record <dir>` every raw response,
+ * errors included, is written to the directory; with `--replay <dir>` responses are
+ * read back from it and no request leaves the machine.
+ * @param {Object} client - Axios instance
+ * @param {string} platform - Platform name, used as the recording subdirectory
+ * @returns {Object} The same client
+ */
+function withRecording(client, platform) {
+    if (!config.recording.mode || !client?.defaults) {
+        return client;
+    }
+
+    const send = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = async requestConfig => {
+        const method = (requestConfig.method || 'get').toLowerCase();
+        const url = client.getUri(requestConfig);
+        const body = typeof requestConfig.data === 'string' ? requestConfig.data : undefined;
+        const recordingPath = getRecordingPath(platform, method, url, body);
+
+        if (config.recording.mode === 'replay') {
+            let recorded;
+            try {
+                recorded = JSON.parse(await fs.readFile(recordingPath, 'utf8'));
+            } catch {
+                throw new axios.AxiosError(`No recorded response for ${method.toUpperCase()} ${url}`, 'ERR_NOT_RECORDED', requestConfig);
+            }
+
+            const response = {
+                data: recorded.data,
+                status: recorded.status,
+                statusText: recorded.statusText,
+                headers: axios.AxiosHeaders.from(recorded.headers),
+                config: requestConfig,
+                request: null
+            };
+            if (recorded.status >= 200 && recorded.status < 300) {
+                return response;
+            }
+            throw new axios.AxiosError(`Request failed with status code ${recorded.status}`, 'ERR_BAD_RESPONSE', requestConfig, null, response);
+        }
+
+        const save = async response => {
+            try {
+                await fs.mkdir(path.dirname(recordingPath), { recursive: true });
+                await fs.writeFile(recordingPath, JSON.stringify({
+                    method,
+                    url,
+                    body: body || null,
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: axios.AxiosHeaders.from(response.headers).toJSON(),
+                    data: response.data
+                }, null, 2));
+            } catch (error) {
+                console.warn(`Could not record ${url}: ${error.message}`);
+            }
+        };
+
+        try {
+            const response = await send(requestConfig);
+            await save(response);
+            return response;
+        } catch (error) {
+            // Record API errors too, so a replay takes the same code paths
+            if (error.response) {
+                await save(error.response);
+            }
+            throw error;
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Runs git and returns its output, with the same record/replay as the API clients:
+ * `--record` saves the output next to the API responses and `--replay` reads it back,
+ * so local repositories do not have to exist on the machine that replays
+ * @async
+ * @param {Array<string>} args - Arguments for git
+ * @returns {Promise<string>} Standard output of git
+ * @throws {Error} If git fails, or when replaying a command that was not recorded
+ */
+async function runRecordedGit(args) {
+    const recordingPath = config.recording.mode ? getRecordingPath('local', 'git', args.join(' ')) : null;
+
+    if (config.recording.mode === 'replay') {
+        try {
+            return JSON.parse(await fs.readFile(recordingPath, 'utf8')).stdout;
+        } catch {
+            throw new Error(`No recorded output for git ${args.join(' ')}`);
+        }
+    }
+
+    const { stdout } = await execFileAsync('git', args, { maxBuffer: 64 * 1024 * 1024 });
+
+    if (config.recording.mode === 'record') {
+        try {
+            await fs.mkdir(path.dirname(recordingPath), { recursive: true });
+            await fs.writeFile(recordingPath, JSON.stringify({ command: ['git', ...args], stdout }, null, 2));
+        } catch (error) {
+            console.warn(`Could not record git ${args.join(' ')}: ${error.message}`);
+        }
+    }
+    return stdout;
+}
+
+/**
+ * Writes the settings needed to replay a recording without the original .env
+ * @async
+ */
+async function writeRecordingManifest() {
+    const manifestPath = path.join(config.recording.dir, 'manifest.json');
+    await fs.mkdir(config.recording.dir, { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(config.getRecordingManifest(), null, 2));
+    console.log(`Recording API responses to ${config.recording.dir}`);
+}
+
+/**
+ * Creates an axios client with the shared retry, request limit, cache and record/replay layers
+ * @param {string} platform - Platform name used in logs and as directory name
+ * @param {Object} options - axios.create options
+ * @returns {Object} Axios instance
+ */
+function createApiClient(platform, options) {
+    const client = withRequestLimit(withRetries(axios.create(options), platform));
+    const credentials = JSON.stringify({ headers: options.headers, auth: options.auth });
+    return withRecording(withCache(client, platform, credentials), platform);
+}
+
 // GitLab API client - only create if GitLab is configured
 let gitlabClient = null;
 if (config.isGitLabConfigured()) {
-    gitlabClient = axios.create({
+    gitlabClient = createApiClient('GitLab', {
         baseURL: config.gitlab.baseUrl,
         headers: { "PRIVATE-TOKEN": config.gitlab.token },
         timeout: config.api.timeout
@@ -19,8 +601,8 @@ if (config.isGitLabConfigured()) {
 // GitHub API client - only create if GitHub is configured
 let githubClient = null;
 if (config.isGitHubConfigured()) {
-    githubClient = axios.create({
-        baseURL: 'https://api.github.com',
+    githubClient = createApiClient('GitHub', {
+        baseURL: config.github.baseUrl,
         headers: {
             'Authorization': `token ${config.github.token}`,
             'Accept': 'application/vnd.github.v3+json',
@@ -30,21 +612,51 @@ if (config.isGitHubConfigured()) {
     });
 }
 
+// Bitbucket API client - only create if Bitbucket is configured
+let bitbucketClient = null;
+if (config.isBitbucketConfigured()) {
+    bitbucketClient = createApiClient('Bitbucket', {
+        baseURL: config.bitbucket.baseUrl,
+        // Tokens use bearer auth; Cloud app passwords use basic auth with the username
+        ...(config.bitbucket.token
+            ? { headers: { 'Authorization': `Bearer ${config.bitbucket.token}` } }
+            : { auth: { username: config.bitbucket.username, password: config.bitbucket.appPassword } }),
+        // Repeat array params as state=OPEN&state=MERGED, which is what Bitbucket expects
+        paramsSerializer: { indexes: null },
+        timeout: config.api.timeout
+    });
+}
+
+// Gitea / Forgejo API client - only create if Gitea is configured
+let giteaClient = null;
+if (config.isGiteaConfigured()) {
+    giteaClient = createApiClient('Gitea', {
+        baseURL: config.gitea.baseUrl,
+        headers: {
+            'Authorization': `token ${config.gitea.token}`,
+            'Accept': 'application/json'
+        },
+        timeout: config.api.timeout
+    });
+}
+
 /**
- * Fetches all GitLab events for a user within the configured year
+ * Fetches all GitLab events for a user within the reporting period
  * @async
  * @param {string} userId - The GitLab user ID or username
+ * @param {Object} [period=config.period] - Reporting period to fetch
  * @returns {Promise<Array>} Array of GitLab event objects
  * @throws {Error} If API call fails after retries
  */
-async function getEvents(userId) {
+async function getEvents(userId, period = config.period) {
     try {
+        // GitLab's after/before filters exclude the given dates
         const params = {
-            after: `${config.year}-01-01`,
-            before: `${config.year}-12-31`
+            after: addDays(period.start, -1),
+            before: addDays(period.end, 1)
         };
 
-        const events = await fetchAllPages(`/users/${userId}/events`, params);
+        const events = await fetchForPeriod(period, () => fetchAllPages(`/users/${userId}/events`, params));
         console.log(`Fetched ${events.length} total events for user ${userId}`);
         return events;
     } catch (error) {
@@ -54,13 +666,14 @@ async function getEvents(userId) {
 }
 
 /**
- * Fetches the authenticated user's details from GitLab
+ * Fetches a GitLab user's details by username
  * @async
+ * @param {string} [username=config.gitlab.userId] - GitLab username
  * @returns {Promise<Object|null>} User details object or null if not found
  */
-async function getUserDetails() {
+async function getUserDetails(username = config.gitlab.userId) {
     try {
-        const res = await gitlabClient.get(`/users?username=${config.gitlab.userId}`);
+        const res = await gitlabClient.get(`/users?username=${username}`);
         if (res.data && res.data.length > 0) {
             return res.data[0]; // Get the first user that matches the username
         }
@@ -83,7 +696,8 @@ async function getUserProjects(userId) {
             membership: true // Only projects where user is a member
         };
 
-        const projects = await fetchAllPages(`/users/${userId}/projects`, params);
+        // Members of large instances can see more projects than offset pagination allows
+        const projects = await fetchAllPages(`/users/${userId}/projects`, params, 100, gitlabClient, { keyset: true });
         console.log(`Fetched ${projects.length} total projects for user ${userId}`);
         return projects;
     } catch (error) {
@@ -93,20 +707,21 @@ async function getUserProjects(userId) {
 }
 
 /**
- * Fetches all merge requests created by the user in the configured year
+ * Fetches all merge requests created by the user in the reporting period
  * @async
  * @param {string} userId - The GitLab user ID or username
+ * @param {Object} [period=config.period] - Reporting period to fetch
  * @returns {Promise<Array>} Array of merge request objects
  */
-async function getUserMergeRequests(userId) {
+async function getUserMergeRequests(userId, period = config.period) {
     try {
         const params = {
             author_id: userId,
-            created_after: `${config.year}-01-01`,
-            created_before: `${config.year}-12-31`
+            created_after: period.startTime,
+            created_before: period.endTime
         };
 
-        const mergeRequests = await fetchAllPages(`/merge_requests`, params);
+        const mergeRequests = await fetchForPeriod(period, () => fetchAllPages(`/merge_requests`, params));
         console.log(`Fetched ${mergeRequests.length} total merge requests created by user ${userId}`);
         return mergeRequests;
     } catch (error) {
@@ -116,20 +731,21 @@ async function getUserMergeRequests(userId) {
 }
 
 /**
- * Fetches all merge requests assigned to the user in the configured year
+ * Fetches all merge requests assigned to the user in the reporting period
  * @async
  * @param {string} userId - The GitLab user ID or username
+ * @param {Object} [period=config.period] - Reporting period to fetch
  * @returns {Promise<Array>} Array of merge request objects
  */
-async function getUserAssignedMergeRequests(userId) {
+async function getUserAssignedMergeRequests(userId, period = config.period) {
     try {
         const params = {
             assignee_id: userId,
-            created_after: `${config.year}-01-01`,
-            created_before: `${config.year}-12-31`
+            created_after: period.startTime,
+            created_before: period.endTime
         };
 
-        const assignedMergeRequests = await fetchAllPages(`/merge_requests`, params);
+        const assignedMergeRequests = await fetchForPeriod(period, () => fetchAllPages(`/merge_requests`, params));
         console.log(`Fetched ${assignedMergeRequests.length} total merge requests assigned to user ${userId}`);
         return assignedMergeRequests;
     } catch (error) {
@@ -139,20 +755,21 @@ async function getUserAssignedMergeRequests(userId) {
 }
 
 /**
- * Fetches all issues created by the user in the configured year
+ * Fetches all issues created by the user in the reporting period
  * @async
  * @param {string} userId - The GitLab user ID or username
+ * @param {Object} [period=config.period] - Reporting period to fetch
  * @returns {Promise<Array>} Array of issue objects
  */
-async function getUserIssues(userId) {
+async function getUserIssues(userId, period = config.period) {
     try {
         const params = {
             author_id: userId,
-            created_after: `${config.year}-01-01`,
-            created_before: `${config.year}-12-31`
+            created_after: period.startTime,
+            created_before: period.endTime
         };
 
-        const issues = await fetchAllPages(`/issues`, params);
+        const issues = await fetchForPeriod(period, () => fetchAllPages(`/issues`, params));
         console.log(`Fetched ${issues.length} total issues created by user ${userId}`);
         return issues;
     } catch (error) {
@@ -162,20 +779,21 @@ async function getUserIssues(userId) {
 }
 
 /**
- * Fetches all issues assigned to the user in the configured year
+ * Fetches all issues assigned to the user in the reporting period
  * @async
  * @param {string} userId - The GitLab user ID or username
+ * @param {Object} [period=config.period] - Reporting period to fetch
  * @returns {Promise<Array>} Array of issue objects
  */
-async function getUserAssignedIssues(userId) {
+async function getUserAssignedIssues(userId, period = config.period) {
     try {
         const params = {
             assignee_id: userId,
-            created_after: `${config.year}-01-01`,
-            created_before: `${config.year}-12-31`
+            created_after: period.startTime,
+            created_before: period.endTime
         };
 
-        const assignedIssues = await fetchAllPages(`/issues`, params);
+        const assignedIssues = await fetchForPeriod(period, () => fetchAllPages(`/issues`, params));
         console.log(`Fetched ${assignedIssues.length} total issues assigned to user ${userId}`);
         return assignedIssues;
     } catch (error) {
@@ -185,50 +803,86 @@ async function getUserAssignedIssues(userId) {
 }
 
 /**
- * Fetches merge requests where the user was involved as a reviewer/approver
+ * Fetches the user's review activity on merge requests in the reporting period.
+ * Candidates are MRs where the user is a reviewer (`reviewer_id`) plus MRs the user
+ * approved or commented on according to their events. For each candidate the
+ * approvals endpoint and the MR notes tell whether the user approved or commented.
+ * The user's own MRs are skipped.
  * @async
- * @param {string} userId - The GitLab user ID or username
- * @returns {Promise<Array>} Array of merge request objects where user was a reviewer
+ * @param {number} userId - The numeric GitLab user ID
+ * @param {Array} events - The user's GitLab events in the reporting period
+ * @param {Object} [period=config.period] - Reporting period to look at
+ * @returns {Promise<Array>} Review records with projectId, iid, title, webUrl, reviewer,
+ *   approved and comments (number of the user's non-system notes in the period)
  */
-async function getUserCodeReviews(userId) {
+async function getUserCodeReviews(userId, events, period = config.period) {
     try {
-        // GitLab doesn't have a direct API for reviewers, but we can look for merge requests
-        // where the user was involved in review/approval process
-        // We'll look for MRs where the user commented or was mentioned
-
-        // Get all merge requests where the user was mentioned as assignee, reviewer, or author
-        // This approach looks for MRs where the user was involved but not as the author
-        const params = {
-            updated_after: `${config.year}-01-01`,
-            updated_before: `${config.year}-12-31`
-        };
-
-        // Fetch all merge requests updated in the year
-        const allMRs = await fetchAllPages(`/merge_requests`, params);
+        const reviewerMRs = await fetchForPeriod(period, () => fetchAllPages(`/merge_requests`, {
+            scope: 'all',
+            reviewer_id: userId,
+            updated_after: period.startTime,
+            updated_before: period.endTime
+        }));
+
+        // Key MRs by project and iid; iids are only unique within a project
+        const candidates = new Map();
+        reviewerMRs.forEach(mr => {
+            candidates.set(`${mr.project_id}!${mr.iid}`, { mr, projectId: mr.project_id, iid: mr.iid, reviewer: true });
+        });
 
-        // Filter for MRs where the user was involved in review (not author)
-        // In GitLab, reviewers are often assignees or mentioned in the MR
-        const reviewMRs = allMRs.filter(mr => {
-            // Exclude MRs authored by the user
-            if (mr.author && mr.author.id === userId) {
-                return false;
+        events.forEach(event => {
+            let iid = null;
+            if (event.action_name === 'approved' && event.target_type === 'MergeRequest') {
+                iid = event.target_iid;
+            } else if (event.note?.noteable_type === 'MergeRequest') {
+                iid = event.note.noteable_iid;
             }
 
-            // Check if user was an assignee (often means they were reviewing)
-            if (mr.assignees && Array.isArray(mr.assignees)) {
-                return mr.assignees.some(assignee => assignee.id === userId);
+            const key = `${event.project_id}!${iid}`;
+            if (iid && event.project_id && !candidates.has(key)) {
+                candidates.set(key, { mr: null, projectId: event.project_id, iid, reviewer: false });
             }
+        });
 
-            // If no assignees, check if user was mentioned in the MR description
-            if (mr.description && mr.description.includes(`@${config.gitlab.userId}`)) {
-                return true;
-            }
+        const reviews = await mapWithConcurrency([...candidates.values()], config.api.concurrency, async candidate => {
+            const mrPath = `/projects/${candidate.projectId}/merge_requests/${candidate.iid}`;
 
-            return false;
+            try {
+                const [mr, approvals, notes] = await Promise.all([
+                    candidate.mr || gitlabClient.get(mrPath).then(response => response.data),
+                    gitlabClient.get(`${mrPath}/approvals`).then(response => response.data).catch(error => {
+                        handleApiError(`approvals of ${mrPath}`, error);
+                        return null;
+                    }),
+                    fetchAllPages(`${mrPath}/notes`, {})
+                ]);
+
+                if (mr.author?.id === userId) {
+                    return null;
+                }
+
+                const comments = notes.filter(note =>
+                    note.author?.id === userId && !note.system && isInPeriod(note.created_at, period)
+                ).length;
+
+                return {
+                    projectId: candidate.projectId,
+                    iid: candidate.iid,
+                    title: mr.title,
+                    webUrl: mr.web_url,
+                    reviewer: candidate.reviewer || (mr.reviewers || []).some(reviewer => reviewer.id === userId),
+                    approved: (approvals?.approved_by || []).some(approval => approval.user?.id === userId),
+                    comments
+                };
+            } catch (error) {
+                handleApiError(`review activity on ${mrPath}`, error);
+                return null;
+            }
         });
 
-        console.log(`Fetched ${reviewMRs.length} merge requests reviewed by user ${userId}`);
-        return reviewMRs;
+        const reviewed = reviews.filter(review => review && (review.reviewer || review.approved || review.comments > 0));
+        console.log(`Found review activity on ${reviewed.length} merge requests for user ${userId}`);
+        return reviewed;
     } catch (error) {
         handleApiError('code reviews', error);
         return [];
@@ -236,28 +890,212 @@ async function getUserCodeReviews(userId) {
 }
 
 /**
- * Fetches the name of a GitLab project by its ID
- * @async
- * @param {number} projectId - The GitLab project ID
- * @returns {Promise<string>} Project name or fallback identifier
+ * Summarizes review records from getUserCodeReviews
+ * @param {Array} reviews - Review records
+ * @param {Map<number, Object>} projectsById - Resolved projects, used for project names
+ * @returns {Object} totalReviewed (MRs with any review activity), reviewerCount,
+ *   approvedCount, commentedCount, totalComments and byProject counts by project name
  */
-async function getProjectNameById(projectId) {
-    try {
-        const response = await gitlabClient.get(`/projects/${projectId}`);
-        return response.data.name || response.data.path_with_namespace || `Project-${projectId}`;
-    } catch (error) {
-        handleApiError(`project ${projectId}`, error);
-        return `Project-${projectId}`; // Fallback to ID if can't fetch name
-    }
-}
+function analyzeCodeReviews(reviews, projectsById = new Map()) {
+    const metrics = {
+        totalReviewed: reviews.length,
+        reviewerCount: 0,
+        approvedCount: 0,
+        commentedCount: 0,
+        totalComments: 0,
+        byProject: {}
+    };
+
+    reviews.forEach(review => {
+        const projectName = projectsById.get(review.projectId)?.name || 'Unknown Project';
+        const project = metrics.byProject[projectName] || (metrics.byProject[projectName] = { reviewed: 0, approved: 0, commented: 0 });
+
+        project.reviewed++;
+        if (review.reviewer) {
+            metrics.reviewerCount++;
+        }
+        if (review.approved) {
+            metrics.approvedCount++;
+            project.approved++;
+        }
+        if (review.comments > 0) {
+            metrics.commentedCount++;
+            metrics.totalComments += review.comments;
+            project.commented++;
+        }
+    });
+
+    return metrics;
+}
+
+/**
+ * Counts added and removed lines in a unified diff
+ * @param {string} diff - Diff text without file headers, as returned by the GitLab API
+ * @returns {Object} Object with `additions` and `deletions`
+ */
+function countDiffLines(diff) {
+    let additions = 0;
+    let deletions = 0;
+
+    (diff || '').split('\n').forEach(line => {
+        if (line.startsWith('+')) {
+            additions++;
+        } else if (line.startsWith('-')) {
+            deletions++;
+        }
+    });
+
+    return { additions, deletions };
+}
+
+/**
+ * Fetches the file diffs of a merge request. Uses the `/diffs` endpoint and falls back
+ * to `/changes` on GitLab versions before 15.7.
+ * @async
+ * @param {Object} mr - Merge request object with project_id and iid
+ * @returns {Promise<Array>} Diff objects with a `diff` text each
+ */
+async function getMergeRequestDiffs(mr) {
+    const mrPath = `/projects/${mr.project_id}/merge_requests/${mr.iid}`;
+
+    try {
+        // Probe the first page directly so a 404 from an older GitLab can be told apart
+        // from other errors, which fetchAllPages would swallow
+        const response = await gitlabClient.get(`${mrPath}/diffs`, { params: { per_page: config.api.perPage } });
+        const nextPage = parseInt(response.headers?.['x-next-page'], 10);
+        if (nextPage) {
+            return (response.data || []).concat(await fetchAllPages(`${mrPath}/diffs`, { page: nextPage }));
+        }
+        return response.data || [];
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            throw error;
+        }
+        const response = await gitlabClient.get(`${mrPath}/changes`);
+        return response.data?.changes || [];
+    }
+}
+
+/**
+ * Builds change sets (lines added/removed and files touched) for merge requests
+ * @async
+ * @param {Array} mrs - Merge request objects
+ * @returns {Promise<Array>} Change sets for analyzeChurn; merge requests whose diffs could
+ *   not be fetched are left out
+ */
+async function getMergeRequestChangeSets(mrs) {
+    const projectsById = await resolveProjects(mrs.map(mr => mr.project_id));
+
+    const changeSets = await mapWithConcurrency(mrs, config.api.concurrency, async mr => {
+        try {
+            const diffs = await getMergeRequestDiffs(mr);
+            const lines = diffs.reduce((totals, file) => {
+                const counts = countDiffLines(file.diff);
+                return { additions: totals.additions + counts.additions, deletions: totals.deletions + counts.deletions };
+            }, { additions: 0, deletions: 0 });
+
+            return {
+                project: projectsById.get(mr.project_id)?.name || 'Unknown Project',
+                title: mr.title,
+                url: mr.web_url,
+                date: mr.created_at,
+                additions: lines.additions,
+                deletions: lines.deletions,
+                files: diffs.length
+            };
+        } catch (error) {
+            handleApiError(`diffs of merge request !${mr.iid} in project ${mr.project_id}`, error);
+            return null;
+        }
+    });
+
+    return changeSets.filter(Boolean);
+}
+
+/**
+ * Maps over items with at most `limit` calls of `fn` in flight at once
+ * @async
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workerCount = Math.min(Math.max(1, limit), items.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+/**
+ * GitLab project metadata by project ID, shared by all lookups in this run.
+ * Stores promises so concurrent lookups of the same project share one request.
+ */
+const projectCache = new Map();
+
+/**
+ * Reduces a GitLab project to the fields used in reports
+ * @param {Object} project - GitLab project object (only `id` is required)
+ * @returns {Object} Project with id, name, pathWithNamespace, namespace, visibility and webUrl
+ */
+function normalizeGitLabProject(project) {
+    return {
+        id: project.id,
+        name: project.name || project.path_with_namespace || `Project-${project.id}`,
+        pathWithNamespace: project.path_with_namespace || null,
+        namespace: project.namespace?.full_path || null,
+        visibility: project.visibility || null,
+        webUrl: project.web_url || null
+    };
+}
+
+/**
+ * Fetches a GitLab project by its ID, at most once per run
+ * @param {number} projectId - The GitLab project ID
+ * @returns {Promise<Object>} Normalized project; only id and a fallback name if it can't be fetched
+ */
+function getProjectById(projectId) {
+    if (!projectCache.has(projectId)) {
+        const request = gitlabClient.get(`/projects/${projectId}`)
+            .then(response => normalizeGitLabProject({ ...response.data, id: projectId }))
+            .catch(error => {
+                handleApiError(`project ${projectId}`, error);
+                return normalizeGitLabProject({ id: projectId }); // Fallback to ID if can't fetch name
+            });
+        projectCache.set(projectId, request);
+    }
+    return projectCache.get(projectId);
+}
+
+/**
+ * Resolves many GitLab projects, running at most API_CONCURRENCY requests at once
+ * @async
+ * @param {Array<number>} projectIds - Project IDs; duplicates and empty values are ignored
+ * @returns {Promise<Map<number, Object>>} Normalized projects by ID
+ */
+async function resolveProjects(projectIds) {
+    const uniqueIds = [...new Set(projectIds.filter(Boolean))];
+    const projects = await mapWithConcurrency(uniqueIds, config.api.concurrency, getProjectById);
+    return new Map(uniqueIds.map((id, index) => [id, projects[index]]));
+}
 
 /**
  * Analyzes GitLab events and extracts comprehensive metrics
  * @async
  * @param {Array} events - Array of GitLab event objects
+ * @param {string} [timeZone=config.timezone] - IANA timezone the months are counted in
  * @returns {Promise<Object>} Metrics including activity types, projects, monthly data, and top projects
  */
-async function analyzeEvents(events) {
+async function analyzeEvents(events, timeZone = config.timezone) {
     const metrics = {
         totalEvents: events.length,
         eventTypeCounts: {},
@@ -268,8 +1106,8 @@ async function analyzeEvents(events) {
         projectContributions: {} // Track detailed contributions per project
     };
 
-    // Create a map of project IDs to project names to avoid duplicate API calls
-    const projectNamesMap = new Map();
+    // Look up every project once, concurrently, before walking the events
+    const projectsById = await resolveProjects(events.map(event => event.project_id));
 
     for (const event of events) {
         // Filter by allowed projects if configured
@@ -283,17 +1121,7 @@ async function analyzeEvents(events) {
         metrics.eventTypeCounts[eventType] = (metrics.eventTypeCounts[eventType] || 0) + 1;
 
         // Count project activity - get actual project name
-        let projectName = 'Unknown Project';
-        if (event.project_id) {
-            // Check if we already have the project name
-            if (projectNamesMap.has(event.project_id)) {
-                projectName = projectNamesMap.get(event.project_id);
-            } else {
-                // Fetch the project name and cache it
-                projectName = await getProjectNameById(event.project_id);
-                projectNamesMap.set(event.project_id, projectName);
-            }
-        }
+        const projectName = projectsById.get(event.project_id)?.name || 'Unknown Project';
 
         // Filter by allowed projects if configured
         if (config.gitlab.allowedProjects && config.gitlab.allowedProjects.length > 0) {
@@ -326,8 +1154,7 @@ async function analyzeEvents(events) {
         }
 
         // Count monthly activity
-        const eventDate = new Date(event.created_at);
-        const month = eventDate.toLocaleString('default', { month: 'long' });
+        const month = getEventDateParts(event, timeZone).monthName;
         metrics.monthlyActivity[month] = (metrics.monthlyActivity[month] || 0) + 1;
     }
 
@@ -393,7 +1220,8 @@ function analyzeMergeRequests(mrs) {
 /**
  * Analyzes issue data and extracts metrics
  * @param {Array} issues - Array of issue objects
- * @returns {Object} Metrics including closed count, open count, etc.
+ * @returns {Object} Metrics including closed count, open count, average time to close
+ *   (milliseconds, from issues with `closed_at`), etc.
  */
 function analyzeIssues(issues) {
     const metrics = {
@@ -401,54 +1229,194 @@ function analyzeIssues(issues) {
         totalAssigned: 0, // This will be updated separately
         closedCount: 0,
         openedCount: 0,
+        averageTimeToClose: 0,
         projectsWithIssues: new Set()
     };
 
+    let totalTimeToClose = 0;
+    let timedClosures = 0;
+
     issues.forEach(issue => {
         metrics.projectsWithIssues.add(issue.project_id);
 
         if (issue.state === 'closed') {
             metrics.closedCount++;
+            if (issue.closed_at && issue.created_at) {
+                totalTimeToClose += new Date(issue.closed_at) - new Date(issue.created_at);
+                timedClosures++;
+            }
         } else {
             metrics.openedCount++;
         }
     });
 
+    if (timedClosures > 0) {
+        metrics.averageTimeToClose = totalTimeToClose / timedClosures;
+    }
+
     metrics.projectsWithIssues = Array.from(metrics.projectsWithIssues);
 
     return metrics;
 }
 
+/**
+ * Summarizes code churn from change sets (merge requests, pull requests or commits)
+ * @param {Array} changeSets - Objects with project, title, url, date, additions, deletions and files
+ * @param {number} [largestCount=5] - How many of the largest change sets to keep
+ * @param {string} [timeZone=config.timezone] - IANA timezone the months are counted in
+ * @returns {Object} Totals (`totalAdditions`, `totalDeletions`, `totalFilesChanged`,
+ *   `totalChangeSets`), `byProject` and `byMonth` breakdowns and `largestChangeSets`
+ */
+function analyzeChurn(changeSets, largestCount = 5, timeZone = config.timezone) {
+    const churn = {
+        totalAdditions: 0,
+        totalDeletions: 0,
+        totalFilesChanged: 0,
+        totalChangeSets: changeSets.length,
+        byProject: {},
+        byMonth: {},
+        largestChangeSets: []
+    };
+
+    changeSets.forEach(changeSet => {
+        churn.totalAdditions += changeSet.additions;
+        churn.totalDeletions += changeSet.deletions;
+        churn.totalFilesChanged += changeSet.files;
+
+        const project = churn.byProject[changeSet.project] ||
+            (churn.byProject[changeSet.project] = { additions: 0, deletions: 0, filesChanged: 0, changeSets: 0 });
+        project.additions += changeSet.additions;
+        project.deletions += changeSet.deletions;
+        project.filesChanged += changeSet.files;
+        project.changeSets++;
+
+        if (changeSet.date) {
+            const month = getZonedDateParts(changeSet.date, timeZone).monthName;
+            const monthly = churn.byMonth[month] || (churn.byMonth[month] = { additions: 0, deletions: 0, filesChanged: 0 });
+            monthly.additions += changeSet.additions;
+            monthly.deletions += changeSet.deletions;
+            monthly.filesChanged += changeSet.files;
+        }
+    });
+
+    churn.largestChangeSets = [...changeSets]
+        .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions))
+        .slice(0, largestCount);
+
+    return churn;
+}
+
+/**
+ * Adds per-project churn to a `projectContributions`/`contributions` map as
+ * `additions`, `deletions` and `filesChanged`
+ * @param {Object} contributions - Per-project contribution counts, updated in place
+ * @param {Object} churn - Result of analyzeChurn
+ * @returns {Object} The updated contributions
+ */
+function addChurnToContributions(contributions, churn) {
+    Object.entries(churn.byProject).forEach(([projectName, projectChurn]) => {
+        const contrib = contributions[projectName] ||
+            (contributions[projectName] = { total: 0, pushEvents: 0, otherEvents: 0 });
+        contrib.additions = projectChurn.additions;
+        contrib.deletions = projectChurn.deletions;
+        contrib.filesChanged = projectChurn.filesChanged;
+    });
+    return contributions;
+}
+
+/**
+ * Weekday abbreviations in the order of Date#getDay, as printed by Intl in en-US
+ */
+const WEEKDAY_ABBREVIATIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const zonedDateFormatters = new Map();
+
+/**
+ * Splits a timestamp into calendar parts in a timezone, so hours, weekdays and days
+ * do not depend on the timezone of the machine running the tool
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {string} [timeZone=config.timezone] - IANA timezone
+ * @returns {Object} Object with `hour` (0-23), `weekday` (0-6, Sunday first),
+ *   `dateStr` (YYYY-MM-DD), `monthName` and `localDate` (a Date at local midnight of
+ *   that calendar day, for helpers such as getWeekNumber)
+ */
+function getZonedDateParts(date, timeZone = config.timezone) {
+    let formatter = zonedDateFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            hourCycle: 'h23',
+            weekday: 'short'
+        });
+        zonedDateFormatters.set(timeZone, formatter);
+    }
+
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(date)).map(part => [part.type, part.value]));
+    const year = parseInt(parts.year, 10);
+    const month = parseInt(parts.month, 10) - 1;
+    const day = parseInt(parts.day, 10);
+    const localDate = new Date(year, month, day);
+
+    return {
+        hour: parseInt(parts.hour, 10),
+        weekday: WEEKDAY_ABBREVIATIONS.indexOf(parts.weekday),
+        dateStr: `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        monthName: localDate.toLocaleString('default', { month: 'long' }),
+        localDate
+    };
+}
+
+/**
+ * Splits an event's timestamp into calendar parts, see getZonedDateParts. Events that
+ * only know their day (`dateOnly`) keep the calendar date they were given, since moving
+ * midnight into another timezone could put them on the previous or next day.
+ * @param {Object} event - Event with `created_at` and optionally `dateOnly`
+ * @param {string} [timeZone=config.timezone] - IANA timezone for timed events
+ * @returns {Object} Calendar parts as returned by getZonedDateParts
+ */
+function getEventDateParts(event, timeZone = config.timezone) {
+    if (event.dateOnly) {
+        return getZonedDateParts(`${String(event.created_at).slice(0, 10)}T12:00:00Z`, 'UTC');
+    }
+    return getZonedDateParts(event.created_at, timeZone);
+}
+
 /**
  * Analyzes time-based patterns in events (hourly, daily, weekly, monthly)
- * @param {Array} events - Array of event objects
+ * @param {Array} events - Array of event objects; `dateOnly` events are left out of the hour buckets
+ * @param {string} [timeZone=config.timezone] - IANA timezone for hours, weekdays and weeks
  * @returns {Object} Time-based activity metrics
  */
-function analyzeTimePatterns(events) {
+function analyzeTimePatterns(events, timeZone = config.timezone) {
     const timeMetrics = {
         hourlyActivity: {}, // 0-23 hours
         dailyActivity: {}, // 0-6 days (Sunday-Saturday)
         weeklyActivity: {}, // Week number of the year
-        monthlyActivity: {} // Month names
+        monthlyActivity: {}, // Month names
+        dayHourActivity: Array.from({ length: 7 }, () => new Array(24).fill(0)) // [day][hour] grid
     };
 
     events.forEach(event => {
-        const date = new Date(event.created_at);
+        const { hour, weekday: dayOfWeek, localDate, monthName: month } = getEventDateParts(event, timeZone);
 
-        // Hour of day (0-23)
-        const hour = date.getHours();
-        timeMetrics.hourlyActivity[hour] = (timeMetrics.hourlyActivity[hour] || 0) + 1;
+        // Hour of day (0-23), unless the event only knows its day
+        if (!event.dateOnly) {
+            timeMetrics.hourlyActivity[hour] = (timeMetrics.hourlyActivity[hour] || 0) + 1;
+            timeMetrics.dayHourActivity[dayOfWeek][hour]++;
+        }
 
         // Day of week (0-6, Sunday-Saturday)
-        const dayOfWeek = date.getDay();
         timeMetrics.dailyActivity[dayOfWeek] = (timeMetrics.dailyActivity[dayOfWeek] || 0) + 1;
 
         // Week of year
-        const weekNumber = getWeekNumber(date);
+        const weekNumber = getWeekNumber(localDate);
         timeMetrics.weeklyActivity[weekNumber] = (timeMetrics.weeklyActivity[weekNumber] || 0) + 1;
 
         // Month
-        const month = date.toLocaleString('default', { month: 'long' });
         timeMetrics.monthlyActivity[month] = (timeMetrics.monthlyActivity[month] || 0) + 1;
     });
 
@@ -471,15 +1439,15 @@ function getWeekNumber(d) {
 /**
  * Analyzes activity streaks and consecutive active days
  * @param {Array} events - Array of event objects
+ * @param {string} [timeZone=config.timezone] - IANA timezone in which days start and end
  * @returns {Object} Streak metrics including longest streak and total active days
  */
-function analyzeStreaks(events) {
+function analyzeStreaks(events, timeZone = config.timezone) {
     // Group events by date
     const eventsByDate = {};
 
     events.forEach(event => {
-        const date = new Date(event.created_at);
-        const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const { dateStr } = getEventDateParts(event, timeZone);
 
         if (!eventsByDate[dateStr]) {
             eventsByDate[dateStr] = [];
@@ -532,28 +1500,102 @@ function analyzeStreaks(events) {
         maxStreakEnd = activeDates[activeDates.length - 1];
     }
 
+    // Per-day activity counts, used for the contribution calendar
+    const activityByDate = {};
+    activeDates.forEach(dateStr => {
+        activityByDate[dateStr] = eventsByDate[dateStr].length;
+    });
+
     return {
         maxStreak,
         maxStreakStart,
         maxStreakEnd,
-        totalActiveDays: activeDates.length
+        totalActiveDays: activeDates.length,
+        activityByDate
+    };
+}
+
+/**
+ * Merges activity records from several platforms into one timeline ordered by time
+ * @param {Object<string, Array>} recordsByPlatform - Records with `created_at` per platform key;
+ *   GitHub commit contributions keep their `dateOnly` flag
+ * @returns {Array<Object>} Entries with `platform`, `created_at` and `dateOnly`
+ */
+function buildActivityTimeline(recordsByPlatform) {
+    return Object.entries(recordsByPlatform)
+        .flatMap(([platform, records]) => records
+            .filter(record => record.created_at)
+            .map(record => ({ platform, created_at: record.created_at, dateOnly: record.dateOnly === true })))
+        .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+}
+
+/**
+ * Analyzes a cross-platform timeline, so activity on one platform and then another on
+ * the next day counts as one streak
+ * @param {Array<Object>} timeline - Entries from buildActivityTimeline
+ * @param {string} [timeZone=config.timezone] - IANA timezone for hours, weekdays and days
+ * @returns {Object} Combined metrics with `platforms`, `totalActivities`, `activityByPlatform`,
+ *   `timePatterns` and `streaks` in the shape of the per-platform ones
+ */
+function analyzeCombinedActivity(timeline, timeZone = config.timezone) {
+    const activityByPlatform = {};
+    timeline.forEach(entry => {
+        activityByPlatform[entry.platform] = (activityByPlatform[entry.platform] || 0) + 1;
+    });
+
+    return {
+        platforms: Object.keys(activityByPlatform),
+        totalActivities: timeline.length,
+        activityByPlatform,
+        timePatterns: analyzeTimePatterns(timeline, timeZone),
+        streaks: analyzeStreaks(timeline, timeZone)
     };
 }
 
 /**
  * Aggregates user activity from GitLab and/or GitHub platforms
  * @async
- * @param {string} userId - The GitLab user ID or username
- * @param {number} year - The year to analyze
+ * @param {string} userId - The GitLab user ID or username; null to skip GitLab
+ * @param {number|Object} period - The year or reporting period to analyze
+ * @param {Object} [accounts] - Whose data to fetch, defaults to the configured single user
+ * @param {string} [accounts.gitlabUsername] - GitLab username, used for the user details
+ * @param {string} [accounts.githubUsername] - GitHub login; empty to skip GitHub
+ * @param {boolean} [accounts.teamMember=false] - Skip Bitbucket, Gitea and local git, whose
+ *   settings describe a single user
+ * @param {string} [accounts.timezone=config.timezone] - IANA timezone for time patterns and streaks
  * @returns {Promise<Object>} Comprehensive activity summary from configured platforms
  * @throws {Error} If no platforms are configured or all data fetching fails
  */
-async function getUserActivitySummary(userId, year) {
+async function getUserActivitySummary(userId, period, accounts = {}) {
+    const truncated = [];
+    return truncationScope.run(truncated, () => buildUserActivitySummary(userId, resolvePeriod(period), accounts, truncated));
+}
+
+/**
+ * Fetches and analyzes the data behind getUserActivitySummary
+ * @async
+ * @param {string} userId - The GitLab user ID or username; null to skip GitLab
+ * @param {Object} period - The reporting period to analyze
+ * @param {Object} accounts - See getUserActivitySummary
+ * @param {Array} truncated - Truncations recorded while fetching, filled in as requests run
+ * @returns {Promise<Object>} Activity summary
+ */
+async function buildUserActivitySummary(userId, period, accounts, truncated) {
+    const {
+        gitlabUsername = config.gitlab.userId,
+        githubUsername = config.github.username,
+        teamMember = false,
+        timezone = config.timezone
+    } = accounts;
+
+    // Raw activity per platform, merged into one timeline for the combined metrics
+    const activityRecords = {};
+
     try {
         // Fetch GitLab data if configured
         let gitlabData = null;
-        if (config.isGitLabConfigured()) {
-            console.log(`Fetching GitLab activity for user: ${userId}, year: ${year}`);
+        if (config.isGitLabConfigured() && userId) {
+            console.log(`Fetching GitLab activity for user: ${userId}, period: ${period.label}`);
             
             try {
                 // Fetch GitLab data concurrently
@@ -564,53 +1606,50 @@ async function getUserActivitySummary(userId, year) {
                     createdMRs,
                     assignedMRs,
                     createdIssues,
-                    assignedIssues,
-                    codeReviews
+                    assignedIssues
                 ] = await Promise.all([
-                    getUserDetails(),
-                    getEvents(userId),
+                    getUserDetails(gitlabUsername),
+                    getEvents(userId, period),
                     getUserProjects(userId),
-                    getUserMergeRequests(userId),
-                    getUserAssignedMergeRequests(userId),
-                    getUserIssues(userId),
-                    getUserAssignedIssues(userId),
-                    getUserCodeReviews(userId)
+                    getUserMergeRequests(userId, period),
+                    getUserAssignedMergeRequests(userId, period),
+                    getUserIssues(userId, period),
+                    getUserAssignedIssues(userId, period)
+                ]);
+
+                // Reviews also come from approval and comment events, so they need the events first
+                const [codeReviews, mrChangeSets] = await Promise.all([
+                    getUserCodeReviews(userId, events, period),
+                    getMergeRequestChangeSets(createdMRs)
                 ]);
 
                 // Analyze GitLab data
-                const eventMetrics = await analyzeEvents(events);
+                const eventMetrics = await analyzeEvents(events, timezone);
                 const mrMetrics = analyzeMergeRequests(createdMRs);
                 mrMetrics.totalAssigned = assignedMRs.length;
                 const issueMetrics = analyzeIssues(createdIssues);
                 issueMetrics.totalAssigned = assignedIssues.length;
-                const timeMetrics = analyzeTimePatterns(events);
-                const streakMetrics = analyzeStreaks(events);
-
-                // Get unique project IDs from events to fetch project details
-                const projectIdsFromEvents = [...new Set(events.map(event => event.project_id).filter(id => id))];
-                let projectDetailsFromEvents = [];
-
-                // Fetch project details for projects found in events
-                for (const projectId of projectIdsFromEvents) {
-                    try {
-                        const project = await getProjectNameById(projectId);
-                        if (project && !projectDetailsFromEvents.some(p => p.id === projectId)) {
-                            projectDetailsFromEvents.push({ id: projectId, name: project });
-                        }
-                    } catch (error) {
-                        console.log(`Could not fetch details for project ${projectId}:`, error.message);
-                    }
-                }
+                const timeMetrics = analyzeTimePatterns(events, timezone);
+                const streakMetrics = analyzeStreaks(events, timezone);
+                const churnMetrics = analyzeChurn(mrChangeSets, 5, timezone);
+                activityRecords.gitlab = events;
+                addChurnToContributions(eventMetrics.projectContributions, churnMetrics);
+
+                // Projects found in events were already resolved by analyzeEvents, so this hits the cache
+                const projectsFromEvents = await resolveProjects(events.map(event => event.project_id));
 
                 // Combine user projects and projects from events, ensuring unique projects
                 const allProjectsMap = new Map();
-                [...projects, ...projectDetailsFromEvents].forEach(p => {
+                [...projects.map(normalizeGitLabProject), ...projectsFromEvents.values()].forEach(p => {
                     if (!allProjectsMap.has(p.id)) {
                         allProjectsMap.set(p.id, p);
                     }
                 });
                 const allProjects = Array.from(allProjectsMap.values());
 
+                const reviewProjects = await resolveProjects(codeReviews.map(review => review.projectId));
+                const reviewMetrics = analyzeCodeReviews(codeReviews, reviewProjects);
+
                 gitlabData = {
                     user: userDetails ? {
                         id: userDetails.id,
@@ -621,14 +1660,14 @@ async function getUserActivitySummary(userId, year) {
                     events: eventMetrics,
                     mergeRequests: mrMetrics,
                     issues: issueMetrics,
-                    codeReviews: {
-                        totalReviewed: codeReviews.length
-                    },
+                    codeReviews: reviewMetrics,
+                    churn: churnMetrics,
                     timePatterns: timeMetrics,
                     streaks: streakMetrics,
                     projects: {
                         total: allProjects.length,
-                        names: allProjects.map(p => p.name || `Project-${p.id}`)
+                        names: allProjects.map(p => p.name),
+                        details: allProjects
                     },
                     overall: {
                         totalActivities: eventMetrics.totalEvents,
@@ -647,23 +1686,38 @@ async function getUserActivitySummary(userId, year) {
 
         // Fetch GitHub data if configured
         let githubData = null;
-        if (config.isGitHubConfigured()) {
-            console.log(`Fetching GitHub activity for user: ${config.github.username}, year: ${year}`);
+        if (config.isGitHubConfigured() && githubUsername) {
+            console.log(`Fetching GitHub activity for user: ${githubUsername}, period: ${period.label}`);
             
             try {
-                const [githubEvents, githubCommits, githubUserDetails, githubContributions] = await Promise.all([
-                    getGitHubUserActivity(config.github.username, year),
-                    getGitHubUserCommits(config.github.username, year),
-                    getGitHubUserDetails(config.github.username),
-                    getGitHubContributions(config.github.username, year)
+                const [githubEvents, githubCommits, githubUserDetails, githubContributions, githubItems] = await Promise.all([
+                    getGitHubUserActivity(githubUsername, period),
+                    getGitHubUserCommits(githubUsername, period),
+                    getGitHubUserDetails(githubUsername),
+                    getGitHubContributions(githubUsername, period),
+                    getGitHubPullRequestsAndIssues(githubUsername, period)
                 ]);
 
-                const githubEventMetrics = analyzeGitHubEvents(githubEvents, githubCommits);
-                const githubTimeMetrics = analyzeGitHubTimePatterns(githubEvents);
-                const githubStreakMetrics = analyzeGitHubStreaks(githubEvents);
+                const githubEventMetrics = analyzeGitHubEvents(githubEvents, githubCommits, timezone);
+                const githubChurnMetrics = analyzeChurn(await getGitHubCommitChangeSets(githubCommits), 5, timezone);
+                if (githubEventMetrics) {
+                    addChurnToContributions(githubEventMetrics.contributions, githubChurnMetrics);
+                }
+                const githubTimeMetrics = analyzeGitHubTimePatterns(githubEvents, timezone);
+                const githubStreakMetrics = analyzeGitHubStreaks(githubEvents, timezone);
+                if (githubEvents) {
+                    activityRecords.github = githubEvents;
+                }
+                const githubPRMetrics = analyzeMergeRequests(githubItems.createdPRs.map(normalizeGitHubItem));
+                githubPRMetrics.totalAssigned = githubItems.assignedPRs.length;
+                const githubIssueMetrics = analyzeIssues(githubItems.createdIssues.map(normalizeGitHubItem));
+                githubIssueMetrics.totalAssigned = githubItems.assignedIssues.length;
 
                 githubData = {
                     events: githubEventMetrics,
+                    pullRequests: githubPRMetrics,
+                    churn: githubChurnMetrics,
+                    issues: githubIssueMetrics,
                     timePatterns: githubTimeMetrics,
                     streaks: githubStreakMetrics,
                     user: githubUserDetails,
@@ -676,20 +1730,95 @@ async function getUserActivitySummary(userId, year) {
             }
         }
 
-        // If neither platform has data, throw error
-        if (!gitlabData && !githubData) {
+        // Fetch Bitbucket data if configured
+        let bitbucketData = null;
+        if (config.isBitbucketConfigured() && !teamMember) {
+            console.log(`Fetching Bitbucket activity for user: ${config.bitbucket.username}, period: ${period.label}`);
+
+            try {
+                const bitbucketActivity = await getBitbucketActivity(period);
+                bitbucketData = buildBitbucketSummary(bitbucketActivity);
+                activityRecords.bitbucket = getBitbucketActivityRecords(bitbucketActivity);
+            } catch (error) {
+                console.error('Error fetching Bitbucket data:', error.message);
+                throw error;
+            }
+        }
+
+        // Fetch Gitea / Forgejo data if configured
+        let giteaData = null;
+        if (config.isGiteaConfigured() && !teamMember) {
+            console.log(`Fetching Gitea activity for user: ${config.gitea.username}, period: ${period.label}`);
+
+            try {
+                const [heatmap, pullRequests, issues] = await Promise.all([
+                    getGiteaHeatmap(config.gitea.username, period),
+                    getGiteaCreatedItems('pulls', period),
+                    getGiteaCreatedItems('issues', period)
+                ]);
+
+                giteaData = buildGiteaSummary({ heatmap, pullRequests, issues });
+                activityRecords.gitea = expandGiteaHeatmap(heatmap);
+            } catch (error) {
+                console.error('Error fetching Gitea data:', error.message);
+                throw error;
+            }
+        }
+
+        // Read local git repositories if configured
+        let localData = null;
+        if (config.isLocalConfigured() && !teamMember) {
+            console.log(`Reading local git activity from ${config.local.repos.length} repositories, period: ${period.label}`);
+
+            const localCommits = await getLocalCommits(period);
+            const localMetrics = analyzeLocalCommits(localCommits);
+            const repoNames = Object.keys(localMetrics.projectActivity);
+            activityRecords.local = localCommits;
+
+            localData = {
+                events: localMetrics,
+                timePatterns: analyzeTimePatterns(localCommits),
+                streaks: analyzeStreaks(localCommits),
+                repositories: {
+                    total: repoNames.length,
+                    names: repoNames
+                },
+                overall: {
+                    totalActivities: localMetrics.totalEvents,
+                    totalProjects: repoNames.length,
+                    totalCommits: localCommits.length
+                }
+            };
+        }
+
+        // If no platform has data, throw error
+        if (!gitlabData && !githubData && !bitbucketData && !giteaData && !localData) {
             throw new Error('No data available from configured platforms');
         }
 
         // Combine all metrics
         const summary = {
-            year: year,
+            year: parseInt(period.start, 10),
+            period,
+            timezone,
             gitlab: gitlabData,
             github: githubData,
+            bitbucket: bitbucketData,
+            gitea: giteaData,
+            local: localData,
+            // Only worth a separate view when there is more than one platform to merge
+            combined: Object.keys(activityRecords).length > 1
+                ? analyzeCombinedActivity(buildActivityTimeline(activityRecords), timezone)
+                : null,
             overall: {
-                totalActivities: (gitlabData?.overall?.totalActivities || 0) + (githubData?.events?.totalEvents || 0),
-                totalProjects: (gitlabData?.overall?.totalProjects || 0) + (githubData?.events?.totalRepos?.length || 0)
-            }
+                totalActivities: (gitlabData?.overall?.totalActivities || 0) + (githubData?.events?.totalEvents || 0) +
+                    (bitbucketData?.overall?.totalActivities || 0) + (giteaData?.overall?.totalActivities || 0) +
+                    (localData?.overall?.totalActivities || 0),
+                totalProjects: (gitlabData?.overall?.totalProjects || 0) + (githubData?.events?.totalRepos?.length || 0) +
+                    (bitbucketData?.overall?.totalProjects || 0) + (giteaData?.overall?.totalProjects || 0) +
+                    (localData?.overall?.totalProjects || 0)
+            },
+            truncated
         };
 
         return summary;
@@ -700,105 +1829,571 @@ async function getUserActivitySummary(userId, year) {
 }
 
 /**
- * Generates a formatted markdown year-in-review report
- * @param {Object} summary - Activity summary object from getUserActivitySummary
- * @returns {string} Formatted markdown report
+ * Where each platform summary keeps the metrics compared year over year, also summed up
+ * by the career report. Platforms without merge requests have no `merged`/`averageTimeToMerge` getters.
  */
-function generateYearInReviewReport(summary) {
-    const { user, year, gitlab, github, overall } = summary;
-
-    let report = `# Combined Year-in-Review Report - ${year}\n\n`;
-
-    if (user) {
-        report += `## User: ${user.name} (@${user.username})\n\n`;
+const COMPARISON_METRICS = {
+    gitlab: {
+        totalActivities: platform => platform.overall?.totalActivities,
+        merged: platform => platform.mergeRequests?.mergedCount,
+        averageTimeToMerge: platform => platform.mergeRequests?.averageTimeToMerge,
+        activeDays: platform => platform.streaks?.totalActiveDays,
+        longestStreak: platform => platform.streaks?.maxStreak,
+        projectActivity: platform => platform.events?.projectActivity,
+        topProjects: platform => platform.events?.topProjects?.map(project => project.project)
+    },
+    github: {
+        totalActivities: platform => platform.events?.totalEvents,
+        merged: platform => platform.pullRequests?.mergedCount,
+        averageTimeToMerge: platform => platform.pullRequests?.averageTimeToMerge,
+        activeDays: platform => platform.streaks?.totalActiveDays,
+        longestStreak: platform => platform.streaks?.maxStreak,
+        projectActivity: platform => platform.events?.repoActivity,
+        topProjects: platform => platform.events?.topRepos?.map(repo => repo.repo)
+    },
+    bitbucket: {
+        totalActivities: platform => platform.overall?.totalActivities,
+        merged: platform => platform.pullRequests?.mergedCount,
+        averageTimeToMerge: platform => platform.pullRequests?.averageTimeToMerge,
+        activeDays: platform => platform.streaks?.totalActiveDays,
+        longestStreak: platform => platform.streaks?.maxStreak,
+        projectActivity: platform => platform.events?.projectActivity,
+        topProjects: platform => platform.events?.topProjects?.map(project => project.project)
+    },
+    gitea: {
+        totalActivities: platform => platform.overall?.totalActivities,
+        merged: platform => platform.pullRequests?.mergedCount,
+        averageTimeToMerge: platform => platform.pullRequests?.averageTimeToMerge,
+        activeDays: platform => platform.streaks?.totalActiveDays,
+        longestStreak: platform => platform.streaks?.maxStreak,
+        projectActivity: platform => platform.events?.projectActivity,
+        topProjects: platform => platform.events?.topProjects?.map(project => project.project)
+    },
+    local: {
+        totalActivities: platform => platform.overall?.totalActivities,
+        activeDays: platform => platform.streaks?.totalActiveDays,
+        longestStreak: platform => platform.streaks?.maxStreak,
+        projectActivity: platform => platform.events?.projectActivity,
+        topProjects: platform => platform.events?.topProjects?.map(project => project.project)
     }
+};
 
-    report += `## Overview\n\n`;
-    report += `- Total Activities: ${overall.totalActivities}\n`;
-    report += `- Projects Involved: ${overall.totalProjects}\n\n`;
-
-    // GitLab section
-    if (gitlab) {
-        report += `## GitLab Activity\n\n`;
-        report += `- Total Activities: ${gitlab.overall.totalActivities}\n`;
-        report += `- Projects Involved: ${gitlab.overall.totalProjects}\n`;
-        report += `- Merge Requests Created: ${gitlab.overall.totalCreatedMRs}\n`;
-        report += `- Merge Requests Assigned: ${gitlab.overall.totalAssignedMRs}\n`;
-        report += `- Issues Created: ${gitlab.overall.totalCreatedIssues}\n`;
-        report += `- Issues Assigned: ${gitlab.overall.totalAssignedIssues}\n`;
-        report += `- Code Reviews: ${gitlab.codeReviews.totalReviewed}\n\n`;
-
-        report += `### GitLab Activity Summary\n\n`;
+/**
+ * Compares one metric between the reported and the earlier period
+ * @param {number} [current=0] - Value in the reported period
+ * @param {number} [previous=0] - Value in the earlier period
+ * @returns {Object} `current`, `previous`, `change` and `percentChange` (one decimal,
+ *   `null` when the earlier value is 0)
+ */
+function compareMetric(current = 0, previous = 0) {
+    const change = current - previous;
+    return {
+        current,
+        previous,
+        change,
+        percentChange: previous ? Math.round((change / previous) * 1000) / 10 : null
+    };
+}
 
-        // Event type breakdown
-        report += `#### By Activity Type\n\n`;
-        for (const [type, count] of Object.entries(gitlab.events.eventTypeCounts)) {
-            report += `- ${type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}: ${count}\n`;
+/**
+ * Computes year-over-year deltas between two activity summaries
+ * @param {Object} current - Summary of the reported period
+ * @param {Object} previous - Summary of the earlier period (fetched or loaded from a JSON report)
+ * @returns {Object} Comparison with the earlier `period`, `overall.totalActivities` and, per
+ *   platform in the current summary, deltas for `totalActivities`, `merged`,
+ *   `averageTimeToMerge`, `activeDays`, `longestStreak` and `topProjects`
+ *   (`[{ name, current, previous, change, percentChange }]`)
+ */
+function compareSummaries(current, previous) {
+    const comparison = {
+        period: resolvePeriod(previous.period || previous.year),
+        overall: {
+            totalActivities: compareMetric(current.overall?.totalActivities, previous.overall?.totalActivities)
         }
-        report += `\n`;
+    };
 
-        // Monthly activity
-        report += `#### By Month\n\n`;
-        for (const [month, count] of Object.entries(gitlab.events.monthlyActivity)) {
-            report += `- ${month}: ${count} activities\n`;
+    for (const [platform, metrics] of Object.entries(COMPARISON_METRICS)) {
+        if (!current[platform]) {
+            continue;
         }
-        report += `\n`;
 
-        // Top projects
-        report += `#### Top Projects\n\n`;
-        gitlab.events.topProjects.forEach((project, index) => {
-            report += `${index + 1}. ${project.project}: ${project.count} activities\n`;
-        });
-        report += `\n`;
+        const currentPlatform = current[platform];
+        const previousPlatform = previous[platform] || {};
+        const { projectActivity, topProjects, ...counters } = metrics;
+        const platformComparison = {};
 
-        report += `### GitLab Merge Requests\n\n`;
-        report += `- Created: ${gitlab.mergeRequests.totalCreated}\n`;
-        report += `- Assigned: ${gitlab.mergeRequests.totalAssigned}\n`;
-        report += `- Merged: ${gitlab.mergeRequests.mergedCount}\n`;
-        report += `- Opened: ${gitlab.mergeRequests.openedCount}\n`;
-        report += `- Closed: ${gitlab.mergeRequests.closedCount}\n`;
-        if (gitlab.mergeRequests.averageTimeToMerge > 0) {
-            const avgDays = Math.round(gitlab.mergeRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
-            report += `- Average Time to Merge: ${avgDays} days\n`;
+        for (const [name, getMetric] of Object.entries(counters)) {
+            const value = getMetric(currentPlatform);
+            if (value !== undefined) {
+                platformComparison[name] = compareMetric(value, getMetric(previousPlatform));
+            }
         }
-        report += `- Projects with MRs: ${gitlab.mergeRequests.projectsWithMRs.length}\n\n`;
 
-        report += `### GitLab Issues\n\n`;
-        report += `- Created: ${gitlab.issues.totalCreated}\n`;
-        report += `- Assigned: ${gitlab.issues.totalAssigned}\n`;
-        report += `- Closed: ${gitlab.issues.closedCount}\n`;
-        report += `- Open: ${gitlab.issues.openedCount}\n`;
-        report += `- Projects with Issues: ${gitlab.issues.projectsWithIssues.length}\n\n`;
+        const currentActivity = projectActivity(currentPlatform) || {};
+        const previousActivity = projectActivity(previousPlatform) || {};
+        platformComparison.topProjects = (topProjects(currentPlatform) || []).map(name => ({
+            name,
+            ...compareMetric(currentActivity[name], previousActivity[name])
+        }));
 
-        report += `### GitLab Code Reviews\n\n`;
-        report += `- Total Reviews: ${gitlab.codeReviews.totalReviewed}\n\n`;
+        comparison[platform] = platformComparison;
+    }
 
-        report += `### GitLab Projects\n\n`;
-        report += `- Total Projects: ${gitlab.projects.total}\n`;
-        report += `- Project Names: ${gitlab.projects.names.slice(0, 10).join(', ')}${gitlab.projects.names.length > 10 ? '...' : ''}\n\n`;
+    return comparison;
+}
 
-        report += `### GitLab Project Contributions\n\n`;
-        for (const [projectName, contrib] of Object.entries(gitlab.events.projectContributions)) {
-            if (projectName !== 'Unknown Project') { // Skip unknown projects for detailed view
-                report += `- **${projectName}**: ${contrib.total} activities (${contrib.pushEvents} pushes, ${contrib.otherEvents} other)\n`;
-            }
-        }
-        if (Object.keys(gitlab.events.projectContributions).filter(p => p !== 'Unknown Project').length === 0) {
-            report += `- No specific project contributions identified\n`;
-        }
-        report += `\n`;
+/**
+ * Gets the summary to compare against for --compare: fetched for a year, or read from
+ * a JSON report saved by an earlier run
+ * @async
+ * @param {number|null} userId - GitLab user ID, as for getUserActivitySummary
+ * @param {string} [compare=config.compare] - Year, or path of a JSON report
+ * @returns {Promise<Object>} Activity summary of the earlier period
+ */
+async function loadComparisonSummary(userId, compare = config.compare) {
+    if (/^\d+$/.test(compare)) {
+        const period = config.getComparisonPeriod(parseInt(compare, 10));
+        console.log(`Fetching ${formatPeriod(period)} for comparison...`);
+        return getUserActivitySummary(userId, period);
+    }
 
-        report += `### GitLab Time-Based Patterns\n\n`;
-        report += `#### Most Active Hour\n\n`;
-        const gitlabMostActiveHour = Object.entries(gitlab.timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
-        if (gitlabMostActiveHour) {
-            report += `- Hour ${gitlabMostActiveHour[0]}: ${gitlabMostActiveHour[1]} activities\n`;
-        }
+    let document;
+    try {
+        document = JSON.parse(await fs.readFile(compare, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read comparison report ${compare}: ${error.message}`);
+    }
 
-        report += `\n#### Most Active Day of Week\n\n`;
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        const gitlabMostActiveDay = Object.entries(gitlab.timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
-        if (gitlabMostActiveDay) {
+    // Accept a full user report or a bare summary
+    const summary = document?.schema === 'year-in-code/user-report' ? document.summary : document;
+    if (!summary?.overall || !(summary.period || summary.year)) {
+        throw new Error(`${compare} is not a saved JSON user report (run with OUTPUT_FORMAT=json)`);
+    }
+    console.log(`Loaded ${formatPeriod(resolvePeriod(summary.period || summary.year))} for comparison from ${compare}`);
+    return summary;
+}
+
+/**
+ * Finds the year the user's earliest account was created, from the GitLab and GitHub
+ * user details
+ * @async
+ * @param {number|null} userId - Numeric GitLab user ID; null to skip GitLab
+ * @returns {Promise<number|null>} First year of the career, or null when no platform reports it
+ */
+async function getCareerStartYear(userId) {
+    const createdDates = [];
+
+    if (userId && config.isGitLabConfigured()) {
+        try {
+            // The single-user endpoint includes created_at for non-admin tokens too
+            const response = await gitlabClient.get(`/users/${userId}`);
+            createdDates.push(response.data?.created_at);
+        } catch (error) {
+            handleApiError('GitLab account details', error);
+        }
+    }
+
+    if (config.isGitHubConfigured() && config.github.username) {
+        const githubUser = await getGitHubUserDetails(config.github.username);
+        createdDates.push(githubUser?.created_at);
+    }
+
+    const years = createdDates.filter(Boolean).map(date => new Date(date).getUTCFullYear());
+    return years.length > 0 ? Math.max(2000, Math.min(...years)) : null;
+}
+
+/**
+ * Describes which accounts and filters a cached career summary was built from, so
+ * changing any of them misses the cache
+ * @param {number|null} userId - Numeric GitLab user ID
+ * @param {number} year - Year of the summary
+ * @returns {string} Cache key, hashed by getCachePath
+ */
+function getCareerCacheKey(userId, year) {
+    return JSON.stringify({
+        year,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        timezone: config.timezone,
+        gitlab: config.isGitLabConfigured() ? { baseUrl: config.gitlab.baseUrl, userId, allowedProjects: config.gitlab.allowedProjects } : null,
+        github: config.isGitHubConfigured() ? { baseUrl: config.github.baseUrl, username: config.github.username, allowedRepos: config.github.allowedRepos } : null,
+        bitbucket: config.isBitbucketConfigured() ? { baseUrl: config.bitbucket.baseUrl, username: config.bitbucket.username, repos: config.bitbucket.repos } : null,
+        gitea: config.isGiteaConfigured() ? { baseUrl: config.gitea.baseUrl, username: config.gitea.username, allowedRepos: config.gitea.allowedRepos } : null,
+        local: config.isLocalConfigured() ? { repos: config.local.repos, authorEmails: config.local.authorEmails } : null
+    });
+}
+
+/**
+ * Gets the activity summary of one calendar year for the career report. Summaries of
+ * past years are stored in the cache directory and reused, so only the current year
+ * is fetched again. Summaries with truncated data are not stored.
+ * @async
+ * @param {number|null} userId - Numeric GitLab user ID, as for getUserActivitySummary
+ * @param {number} year - Calendar year
+ * @returns {Promise<Object>} Activity summary of the year
+ */
+async function getCareerYearSummary(userId, year) {
+    const period = config.getYearPeriod(year);
+    const isPastYear = period.end < new Date().toISOString().slice(0, 10);
+    const cachePath = getCachePath('career', 'summary', getCareerCacheKey(userId, year));
+
+    if (isPastYear && config.cache.enabled) {
+        const entry = await readCacheEntry(cachePath);
+        if (entry) {
+            cacheStats.hits++;
+            console.log(`Using cached summary for ${year}`);
+            return JSON.parse(entry.data);
+        }
+    }
+
+    const summary = await getUserActivitySummary(userId, period);
+    if (isPastYear && config.cache.enabled && summary.truncated.length === 0) {
+        await writeCacheEntry(cachePath, { year, data: JSON.stringify(summary), storedAt: new Date().toISOString() });
+    }
+    return summary;
+}
+
+/**
+ * Condenses one activity summary per year into a career history: yearly totals,
+ * top projects, working hours and lifetime streak records
+ * @param {Array} summaries - Activity summaries of consecutive calendar years, oldest first
+ * @returns {Object} Career with `timezone`, `firstYear`, `lastYear`, `totalActivities`, `activeDays`,
+ *   `longestStreak` ({ days, start, end }), `busiestYear` ({ year, totalActivities }) and
+ *   `years` (per year: `totalActivities`, `totalProjects`, `activeDays`, `longestStreak`,
+ *   `topProjects` [{ name, count }], `peakHour` and `afterHoursPercent`, the share of
+ *   timed activity before 9:00 or from 18:00)
+ */
+function analyzeCareer(summaries) {
+    let lifetimeByDate = {};
+
+    const years = summaries.map(summary => {
+        const projectActivity = {};
+        const hourlyActivity = {};
+
+        for (const [platform, metrics] of Object.entries(COMPARISON_METRICS)) {
+            if (!summary[platform]) {
+                continue;
+            }
+            for (const [name, count] of Object.entries(metrics.projectActivity(summary[platform]) || {})) {
+                projectActivity[name] = (projectActivity[name] || 0) + count;
+            }
+            for (const [hour, count] of Object.entries(summary[platform].timePatterns?.hourlyActivity || {})) {
+                hourlyActivity[hour] = (hourlyActivity[hour] || 0) + count;
+            }
+        }
+
+        const sources = getContributionCalendarSources(summary);
+        const activityByDate = sources.combined || Object.values(sources)[0] || {};
+        lifetimeByDate = mergeActivityByDate(lifetimeByDate, activityByDate);
+        const streaks = analyzeActivityByDateStreaks(activityByDate);
+
+        const timedActivity = Object.values(hourlyActivity).reduce((sum, count) => sum + count, 0);
+        const afterHours = Object.entries(hourlyActivity)
+            .filter(([hour]) => hour < 9 || hour >= 18)
+            .reduce((sum, [, count]) => sum + count, 0);
+        const peakHour = Object.entries(hourlyActivity).sort(([, a], [, b]) => b - a)[0];
+
+        return {
+            year: summary.year,
+            totalActivities: summary.overall?.totalActivities || 0,
+            totalProjects: summary.overall?.totalProjects || 0,
+            activeDays: streaks.totalActiveDays,
+            longestStreak: streaks.maxStreak,
+            topProjects: Object.entries(projectActivity)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 3)
+                .map(([name, count]) => ({ name, count })),
+            peakHour: peakHour ? parseInt(peakHour[0], 10) : null,
+            afterHoursPercent: timedActivity > 0 ? Math.round((afterHours / timedActivity) * 100) : null
+        };
+    });
+
+    // Streaks are recomputed over all years so one spanning New Year counts whole
+    const lifetime = analyzeActivityByDateStreaks(lifetimeByDate);
+    const busiestYear = years.reduce((busiest, year) => (!busiest || year.totalActivities > busiest.totalActivities ? year : busiest), null);
+
+    return {
+        timezone: summaries[summaries.length - 1]?.timezone || config.timezone,
+        firstYear: years[0]?.year ?? null,
+        lastYear: years[years.length - 1]?.year ?? null,
+        totalActivities: years.reduce((sum, year) => sum + year.totalActivities, 0),
+        activeDays: lifetime.totalActiveDays,
+        longestStreak: { days: lifetime.maxStreak, start: lifetime.maxStreakStart, end: lifetime.maxStreakEnd },
+        busiestYear: busiestYear ? { year: busiestYear.year, totalActivities: busiestYear.totalActivities } : null,
+        years
+    };
+}
+
+/**
+ * Runs the streak analysis over a map of YYYY-MM-DD activity counts
+ * @param {Object} activityByDate - Map of YYYY-MM-DD to activity count
+ * @returns {Object} Result of analyzeStreaks
+ */
+function analyzeActivityByDateStreaks(activityByDate) {
+    // The dates are already local days, so read them back at UTC noon
+    return analyzeStreaks(Object.keys(activityByDate).map(dateStr => ({ created_at: `${dateStr}T12:00:00Z` })), 'UTC');
+}
+
+/**
+ * Formats a year-over-year delta as an arrow, the change and the percentage
+ * @param {Object} [delta] - Result of compareMetric; nothing is rendered without it
+ * @param {string} label - Label of the earlier period, e.g. "2024"
+ * @param {Function} [formatChange] - Formats the absolute change, e.g. milliseconds as days
+ * @returns {string} E.g. " (▲ +12, +25% vs 2024)", or an empty string without a delta
+ */
+function formatDelta(delta, label, formatChange = change => String(change)) {
+    if (!delta) {
+        return '';
+    }
+    if (delta.change === 0) {
+        return ` (no change vs ${label})`;
+    }
+
+    const arrow = delta.change > 0 ? '▲' : '▼';
+    const sign = delta.change > 0 ? '+' : '-';
+    const percent = delta.percentChange === null ? '' : `, ${sign}${Math.abs(delta.percentChange)}%`;
+    return ` (${arrow} ${sign}${formatChange(Math.abs(delta.change))}${percent} vs ${label})`;
+}
+
+/**
+ * Formats the churn part of a project contribution line
+ * @param {Object} contrib - Entry of `projectContributions`/`contributions`
+ * @returns {string} E.g. ", +120/-30 lines in 8 files", or an empty string without churn data
+ */
+function formatContributionChurn(contrib) {
+    if (contrib.additions === undefined) {
+        return '';
+    }
+    return `, +${contrib.additions}/-${contrib.deletions} lines in ${contrib.filesChanged} files`;
+}
+
+/**
+ * Renders a code churn section: totals, monthly breakdown and the largest change sets
+ * @param {string} title - Section heading
+ * @param {Object} churn - Result of analyzeChurn
+ * @param {string} unit - What a change set is, e.g. "merge requests" or "commits"
+ * @param {Array<string>} [months=MONTH_NAMES] - Months of the reporting period, in order
+ * @returns {string} Markdown section, or an empty string when there is no churn
+ */
+function renderChurnMarkdown(title, churn, unit, months = MONTH_NAMES) {
+    if (!churn || churn.totalChangeSets === 0) {
+        return '';
+    }
+
+    let section = `### ${title}\n\n`;
+    section += `- Lines Added: ${churn.totalAdditions}\n`;
+    section += `- Lines Removed: ${churn.totalDeletions}\n`;
+    section += `- Files Changed: ${churn.totalFilesChanged} across ${churn.totalChangeSets} ${unit}\n\n`;
+
+    section += `#### Churn by Month\n\n`;
+    for (const month of months.filter(month => churn.byMonth[month])) {
+        const counts = churn.byMonth[month];
+        section += `- ${month}: +${counts.additions}/-${counts.deletions} lines in ${counts.filesChanged} files\n`;
+    }
+    section += `\n`;
+
+    section += `#### Largest Change Sets\n\n`;
+    churn.largestChangeSets.forEach((changeSet, index) => {
+        const label = changeSet.url ? `[${changeSet.title}](${changeSet.url})` : changeSet.title;
+        section += `${index + 1}. ${label} (${changeSet.project}): +${changeSet.additions}/-${changeSet.deletions} lines in ${changeSet.files} files\n`;
+    });
+    section += `\n`;
+
+    return section;
+}
+
+/**
+ * Generates the markdown section for activity merged across platforms
+ * @param {Object} combined - Combined part of the activity summary, from analyzeCombinedActivity
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} Markdown section
+ */
+function generateCombinedActivitySection(combined, period) {
+    const labels = { gitlab: 'GitLab', github: 'GitHub', bitbucket: 'Bitbucket', gitea: 'Gitea', local: 'Local Git' };
+    const { timePatterns, streaks } = combined;
+
+    let section = `## Combined Activity\n\n`;
+    section += `Activity from ${combined.platforms.map(platform => labels[platform]).join(', ')} merged into one timeline.\n\n`;
+    section += `- Total Activities: ${combined.totalActivities}\n`;
+    Object.entries(combined.activityByPlatform).forEach(([platform, count]) => {
+        section += `  - ${labels[platform]}: ${count}\n`;
+    });
+    section += `- Longest Activity Streak: ${streaks.maxStreak} days\n`;
+    if (streaks.maxStreakStart && streaks.maxStreakEnd) {
+        section += `- Streak Period: ${streaks.maxStreakStart} to ${streaks.maxStreakEnd}\n`;
+    }
+    section += `- Total Active Days: ${streaks.totalActiveDays} days\n`;
+
+    const mostActiveHour = Object.entries(timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
+    if (mostActiveHour) {
+        section += `- Most Active Hour: ${mostActiveHour[0]} (${mostActiveHour[1]} activities)\n`;
+    }
+    const mostActiveDay = Object.entries(timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
+    if (mostActiveDay) {
+        section += `- Most Active Day of Week: ${DAY_NAMES[mostActiveDay[0]]} (${mostActiveDay[1]} activities)\n`;
+    }
+    const mostActiveMonth = Object.entries(timePatterns.monthlyActivity).sort(([,a], [,b]) => b - a)[0];
+    if (mostActiveMonth) {
+        section += `- Most Active Month: ${mostActiveMonth[0]} (${mostActiveMonth[1]} activities)\n`;
+    }
+    section += `\n`;
+
+    section += `### Combined Monthly Activity Chart\n\n`;
+    section += '```\n';
+    const maxActivity = Math.max(...Object.values(timePatterns.monthlyActivity), 1);
+    getPeriodMonthNames(period).forEach(month => {
+        const count = timePatterns.monthlyActivity[month] || 0;
+        const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+        const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+        section += `${month.padEnd(10)} |${bar}| ${count}\n`;
+    });
+    section += '```\n\n';
+
+    return section;
+}
+
+/**
+ * Generates a formatted markdown year-in-review report
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {string} Formatted markdown report
+ */
+function generateYearInReviewReport(summary) {
+    const { user, year, gitlab, github, bitbucket, gitea, local, overall } = summary;
+
+    const period = resolvePeriod(summary.period || year);
+    const months = getPeriodMonthNames(period);
+
+    let report = `# Combined Year-in-Review Report - ${formatPeriod(period)}\n\n`;
+
+    // Year-over-year deltas (--compare) are appended to the lines they belong to
+    const comparison = summary.comparison;
+    const delta = (section, metric, formatChange) => formatDelta(comparison?.[section]?.[metric], comparison?.period.label, formatChange);
+    const projectDelta = (section, name) =>
+        formatDelta(comparison?.[section]?.topProjects?.find(project => project.name === name), comparison?.period.label);
+    const formatDays = milliseconds => `${Math.round(milliseconds / (1000 * 60 * 60 * 24))} days`;
+
+    if (user) {
+        report += `## User: ${user.name} (@${user.username})\n\n`;
+    }
+
+    report += `## Overview\n\n`;
+    report += `- Total Activities: ${overall.totalActivities}${delta('overall', 'totalActivities')}\n`;
+    report += `- Projects Involved: ${overall.totalProjects}\n`;
+    if (comparison) {
+        report += `- Compared With: ${formatPeriod(comparison.period)}\n`;
+    }
+    if (summary.timezone) {
+        report += `- Timezone: ${summary.timezone} (hours, weekdays and streaks)\n`;
+    }
+    report += `\n`;
+
+    if (summary.truncated?.length > 0) {
+        report += `> ⚠️ **Incomplete data:** some API results were cut short, so the numbers below may be too low.\n>\n`;
+        summary.truncated.forEach(({ url, fetched, reason }) => {
+            report += `> - \`${url}\`: stopped after ${fetched} items (${reason})\n`;
+        });
+        report += `\n`;
+    }
+
+    // GitLab section
+    if (gitlab) {
+        report += `## GitLab Activity\n\n`;
+        report += `- Total Activities: ${gitlab.overall.totalActivities}${delta('gitlab', 'totalActivities')}\n`;
+        report += `- Projects Involved: ${gitlab.overall.totalProjects}\n`;
+        report += `- Merge Requests Created: ${gitlab.overall.totalCreatedMRs}\n`;
+        report += `- Merge Requests Assigned: ${gitlab.overall.totalAssignedMRs}\n`;
+        report += `- Issues Created: ${gitlab.overall.totalCreatedIssues}\n`;
+        report += `- Issues Assigned: ${gitlab.overall.totalAssignedIssues}\n`;
+        report += `- Code Reviews: ${gitlab.codeReviews.totalReviewed}\n\n`;
+
+        report += `### GitLab Activity Summary\n\n`;
+
+        // Event type breakdown
+        report += `#### By Activity Type\n\n`;
+        for (const [type, count] of Object.entries(gitlab.events.eventTypeCounts)) {
+            report += `- ${type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}: ${count}\n`;
+        }
+        report += `\n`;
+
+        // Monthly activity
+        report += `#### By Month\n\n`;
+        for (const [month, count] of Object.entries(gitlab.events.monthlyActivity)) {
+            report += `- ${month}: ${count} activities\n`;
+        }
+        report += `\n`;
+
+        // Top projects
+        report += `#### Top Projects\n\n`;
+        gitlab.events.topProjects.forEach((project, index) => {
+            report += `${index + 1}. ${project.project}: ${project.count} activities${projectDelta('gitlab', project.project)}\n`;
+        });
+        report += `\n`;
+
+        report += `### GitLab Merge Requests\n\n`;
+        report += `- Created: ${gitlab.mergeRequests.totalCreated}\n`;
+        report += `- Assigned: ${gitlab.mergeRequests.totalAssigned}\n`;
+        report += `- Merged: ${gitlab.mergeRequests.mergedCount}${delta('gitlab', 'merged')}\n`;
+        report += `- Opened: ${gitlab.mergeRequests.openedCount}\n`;
+        report += `- Closed: ${gitlab.mergeRequests.closedCount}\n`;
+        if (gitlab.mergeRequests.averageTimeToMerge > 0) {
+            const avgDays = Math.round(gitlab.mergeRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+            report += `- Average Time to Merge: ${avgDays} days${delta('gitlab', 'averageTimeToMerge', formatDays)}\n`;
+        }
+        report += `- Projects with MRs: ${gitlab.mergeRequests.projectsWithMRs.length}\n\n`;
+
+        report += `### GitLab Issues\n\n`;
+        report += `- Created: ${gitlab.issues.totalCreated}\n`;
+        report += `- Assigned: ${gitlab.issues.totalAssigned}\n`;
+        report += `- Closed: ${gitlab.issues.closedCount}\n`;
+        report += `- Open: ${gitlab.issues.openedCount}\n`;
+        report += `- Projects with Issues: ${gitlab.issues.projectsWithIssues.length}\n\n`;
+
+        report += `### GitLab Code Reviews\n\n`;
+        report += `- Total Reviews: ${gitlab.codeReviews.totalReviewed}\n`;
+        if (gitlab.codeReviews.byProject) {
+            report += `- Requested as Reviewer: ${gitlab.codeReviews.reviewerCount}\n`;
+            report += `- Approved: ${gitlab.codeReviews.approvedCount}\n`;
+            report += `- Commented On: ${gitlab.codeReviews.commentedCount} (${gitlab.codeReviews.totalComments} comments)\n\n`;
+
+            const reviewedProjects = Object.entries(gitlab.codeReviews.byProject)
+                .sort((a, b) => b[1].reviewed - a[1].reviewed)
+                .slice(0, 10);
+            if (reviewedProjects.length > 0) {
+                report += `#### Reviews by Project\n\n`;
+                reviewedProjects.forEach(([projectName, counts]) => {
+                    report += `- ${projectName}: ${counts.reviewed} reviewed, ${counts.approved} approved, ${counts.commented} commented\n`;
+                });
+            }
+        }
+        report += `\n`;
+
+        report += `### GitLab Projects\n\n`;
+        report += `- Total Projects: ${gitlab.projects.total}\n`;
+        report += `- Project Names: ${gitlab.projects.names.slice(0, 10).join(', ')}${gitlab.projects.names.length > 10 ? '...' : ''}\n\n`;
+
+        report += `### GitLab Project Contributions\n\n`;
+        for (const [projectName, contrib] of Object.entries(gitlab.events.projectContributions)) {
+            if (projectName !== 'Unknown Project') { // Skip unknown projects for detailed view
+                report += `- **${projectName}**: ${contrib.total} activities (${contrib.pushEvents} pushes, ${contrib.otherEvents} other)${formatContributionChurn(contrib)}\n`;
+            }
+        }
+        if (Object.keys(gitlab.events.projectContributions).filter(p => p !== 'Unknown Project').length === 0) {
+            report += `- No specific project contributions identified\n`;
+        }
+        report += `\n`;
+
+        report += renderChurnMarkdown('GitLab Code Churn', gitlab.churn, 'merge requests', months);
+
+        report += `### GitLab Time-Based Patterns\n\n`;
+        report += `#### Most Active Hour\n\n`;
+        const gitlabMostActiveHour = Object.entries(gitlab.timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (gitlabMostActiveHour) {
+            report += `- Hour ${gitlabMostActiveHour[0]}: ${gitlabMostActiveHour[1]} activities\n`;
+        }
+
+        report += `\n#### Most Active Day of Week\n\n`;
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const gitlabMostActiveDay = Object.entries(gitlab.timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (gitlabMostActiveDay) {
             report += `- ${dayNames[gitlabMostActiveDay[0]]}: ${gitlabMostActiveDay[1]} activities\n`;
         }
 
@@ -810,11 +2405,11 @@ function generateYearInReviewReport(summary) {
         report += `\n`;
 
         report += `### GitLab Streaks & Consistency\n\n`;
-        report += `- Longest Activity Streak: ${gitlab.streaks.maxStreak} days\n`;
+        report += `- Longest Activity Streak: ${gitlab.streaks.maxStreak} days${delta('gitlab', 'longestStreak', change => `${change} days`)}\n`;
         if (gitlab.streaks.maxStreakStart && gitlab.streaks.maxStreakEnd) {
             report += `- Streak Period: ${gitlab.streaks.maxStreakStart} to ${gitlab.streaks.maxStreakEnd}\n`;
         }
-        report += `- Total Active Days: ${gitlab.streaks.totalActiveDays} days\n\n`;
+        report += `- Total Active Days: ${gitlab.streaks.totalActiveDays} days${delta('gitlab', 'activeDays', change => `${change} days`)}\n\n`;
 
         // GitLab personal achievements
         report += `### GitLab Personal Achievements\n\n`;
@@ -840,7 +2435,7 @@ function generateYearInReviewReport(summary) {
     // GitHub section
     if (github) {
         report += `## GitHub Activity\n\n`;
-        report += `- Total Events: ${github.events?.totalEvents || 0}\n`;
+        report += `- Total Events: ${github.events?.totalEvents || 0}${delta('github', 'totalActivities')}\n`;
         report += `- Total Commits: ${github.commits || 0}\n`;
         report += `- Total Contributions: ${github.contributions?.total || 0}\n\n`;
 
@@ -864,17 +2459,49 @@ function generateYearInReviewReport(summary) {
             // Top repos
             report += `#### Top Repositories\n\n`;
             github.events.topRepos.forEach((repo, index) => {
-                report += `${index + 1}. ${repo.repo}: ${repo.count} activities\n`;
+                report += `${index + 1}. ${repo.repo}: ${repo.count} activities${projectDelta('github', repo.repo)}\n`;
             });
             report += `\n`;
 
             report += `### GitHub Repository Contributions\n\n`;
             for (const [repoName, contrib] of Object.entries(github.events.contributions)) {
-                report += `- **${repoName}**: ${contrib.total} activities (${contrib.pushEvents} pushes, ${contrib.otherEvents} other)\n`;
+                report += `- **${repoName}**: ${contrib.total} activities (${contrib.pushEvents} pushes, ${contrib.otherEvents} other)${formatContributionChurn(contrib)}\n`;
             }
             report += `\n`;
         }
 
+        report += renderChurnMarkdown('GitHub Code Churn', github.churn, 'commits', months);
+
+        if (github.pullRequests) {
+            report += `### GitHub Pull Requests\n\n`;
+            report += `- Created: ${github.pullRequests.totalCreated}\n`;
+            report += `- Assigned: ${github.pullRequests.totalAssigned}\n`;
+            report += `- Merged: ${github.pullRequests.mergedCount}${delta('github', 'merged')}\n`;
+            report += `- Open: ${github.pullRequests.openedCount}\n`;
+            report += `- Closed Without Merging: ${github.pullRequests.closedCount}\n`;
+            if (github.pullRequests.averageTimeToMerge > 0) {
+                const avgDays = Math.round(github.pullRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+                report += `- Average Time to Merge: ${avgDays} days${delta('github', 'averageTimeToMerge', formatDays)}\n`;
+            }
+            report += `- Repositories with PRs: ${github.pullRequests.projectsWithMRs.length}\n\n`;
+        }
+
+        if (github.issues) {
+            report += `### GitHub Issues\n\n`;
+            report += `- Created: ${github.issues.totalCreated}\n`;
+            report += `- Assigned: ${github.issues.totalAssigned}\n`;
+            report += `- Closed: ${github.issues.closedCount}\n`;
+            report += `- Open: ${github.issues.openedCount}\n`;
+            if (github.issues.totalCreated > 0) {
+                report += `- Resolution Rate: ${Math.round((github.issues.closedCount / github.issues.totalCreated) * 100)}%\n`;
+            }
+            if (github.issues.averageTimeToClose > 0) {
+                const avgDays = Math.round(github.issues.averageTimeToClose / (1000 * 60 * 60 * 24));
+                report += `- Average Time to Close: ${avgDays} days\n`;
+            }
+            report += `- Repositories with Issues: ${github.issues.projectsWithIssues.length}\n\n`;
+        }
+
         // GitHub contributions data if available
         if (github.contributions) {
             report += `### GitHub Contribution Summary\n\n`;
@@ -940,11 +2567,11 @@ function generateYearInReviewReport(summary) {
         report += `\n`;
 
         report += `### GitHub Streaks & Consistency\n\n`;
-        report += `- Longest Activity Streak: ${github.streaks.maxStreak} days\n`;
+        report += `- Longest Activity Streak: ${github.streaks.maxStreak} days${delta('github', 'longestStreak', change => `${change} days`)}\n`;
         if (github.streaks.maxStreakStart && github.streaks.maxStreakEnd) {
             report += `- Streak Period: ${github.streaks.maxStreakStart} to ${github.streaks.maxStreakEnd}\n`;
         }
-        report += `- Total Active Days: ${github.streaks.totalActiveDays} days\n\n`;
+        report += `- Total Active Days: ${github.streaks.totalActiveDays} days${delta('github', 'activeDays', change => `${change} days`)}\n\n`;
 
         // GitHub personal achievements
         report += `### GitHub Personal Achievements\n\n`;
@@ -961,117 +2588,588 @@ function generateYearInReviewReport(summary) {
         report += `\n`;
     }
 
-    // Combined achievements
-    report += `## Combined Personal Achievements\n\n`;
-    if (gitlab?.events?.mostActiveMonth) {
-        report += `- Most Active Month (GitLab): ${gitlab.events.mostActiveMonth}\n`;
-    }
-    if (github?.events?.mostActiveMonth) {
-        report += `- Most Active Month (GitHub): ${github.events.mostActiveMonth}\n`;
-    }
-    if (gitlab?.events?.topProjects.length > 0) {
-        report += `- Top GitLab Project: ${gitlab.events.topProjects[0].project}\n`;
-    }
-    if (github?.events?.topRepos.length > 0) {
-        report += `- Top GitHub Repository: ${github.events.topRepos[0].repo}\n`;
-    }
-    if (gitlab?.codeReviews.totalReviewed > 0) {
-        report += `- GitLab Code Reviews Performed: ${gitlab.codeReviews.totalReviewed}\n`;
-    }
-    if (gitlab?.streaks.maxStreak > 1) {
-        report += `- Best GitLab Activity Streak: ${gitlab.streaks.maxStreak} consecutive days\n`;
-    }
-    if (github?.streaks.maxStreak > 1) {
-        report += `- Best GitHub Activity Streak: ${github.streaks.maxStreak} consecutive days\n`;
-    }
+    // Bitbucket section
+    if (bitbucket) {
+        report += `## Bitbucket Activity\n\n`;
+        report += `- Total Activities: ${bitbucket.overall.totalActivities}${delta('bitbucket', 'totalActivities')}\n`;
+        report += `- Repositories Involved: ${bitbucket.overall.totalProjects}\n`;
+        report += `- Pull Requests Created: ${bitbucket.overall.totalCreatedPRs}\n`;
+        report += `- Commits: ${bitbucket.overall.totalCommits}\n`;
+        report += `- Pull Request Comments: ${bitbucket.overall.totalComments}\n\n`;
 
-    return report;
-}
+        report += `### Bitbucket Activity Summary\n\n`;
 
-/**
- * Helper function to fetch all paginated results from an API endpoint
- * @async
- * @param {string} url - API endpoint URL
- * @param {Object} params - Query parameters
- * @param {number} [maxPages=100] - Maximum number of pages to fetch
- * @param {Object} [clientToUse=gitlabClient] - Axios client instance to use
- * @returns {Promise<Array>} All results from all pages combined
- */
-async function fetchAllPages(url, params, maxPages = 100, clientToUse = gitlabClient) {
-    let allResults = [];
-    let page = 1;
-    let hasMore = true;
+        // Activity type breakdown
+        report += `#### By Activity Type\n\n`;
+        for (const [type, count] of Object.entries(bitbucket.events.eventTypeCounts)) {
+            report += `- ${type.replace(/\b\w/g, l => l.toUpperCase())}: ${count}\n`;
+        }
+        report += `\n`;
 
-    while (hasMore && page <= maxPages) {
-        try {
-            const response = await clientToUse.get(url, {
-                params: {
-                    ...params,
-                    page: page,
-                    per_page: config.api.perPage
-                }
-            });
+        // Monthly activity
+        report += `#### By Month\n\n`;
+        for (const [month, count] of Object.entries(bitbucket.events.monthlyActivity)) {
+            report += `- ${month}: ${count} activities\n`;
+        }
+        report += `\n`;
 
-            if (response.data && response.data.length > 0) {
-                allResults = allResults.concat(response.data);
+        // Top repositories
+        report += `#### Top Repositories\n\n`;
+        bitbucket.events.topProjects.forEach((project, index) => {
+            report += `${index + 1}. ${project.project}: ${project.count} activities${projectDelta('bitbucket', project.project)}\n`;
+        });
+        report += `\n`;
 
-                // Check if we got a full page of results - if not, we're at the last page
-                if (response.data.length < config.api.perPage) {
-                    hasMore = false;
-                } else {
-                    page++;
-                }
-            } else {
-                hasMore = false;
-            }
-        } catch (error) {
-            handleApiError(`paginated ${url}`, error);
-            break;
+        report += `### Bitbucket Pull Requests\n\n`;
+        report += `- Created: ${bitbucket.pullRequests.totalCreated}\n`;
+        report += `- Merged: ${bitbucket.pullRequests.mergedCount}${delta('bitbucket', 'merged')}\n`;
+        report += `- Open: ${bitbucket.pullRequests.openedCount}\n`;
+        report += `- Declined: ${bitbucket.pullRequests.closedCount}\n`;
+        if (bitbucket.pullRequests.averageTimeToMerge > 0) {
+            const avgDays = Math.round(bitbucket.pullRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+            report += `- Average Time to Merge: ${avgDays} days${delta('bitbucket', 'averageTimeToMerge', formatDays)}\n`;
         }
-    }
+        report += `- Repositories with PRs: ${bitbucket.pullRequests.projectsWithMRs.length}\n\n`;
 
-    return allResults;
-}
+        report += `### Bitbucket Repository Contributions\n\n`;
+        for (const [repoName, contrib] of Object.entries(bitbucket.events.projectContributions)) {
+            report += `- **${repoName}**: ${contrib.total} activities (${contrib.pushEvents} commits, ${contrib.otherEvents} other)\n`;
+        }
+        report += `\n`;
+
+        report += `### Bitbucket Time-Based Patterns\n\n`;
+        report += `#### Most Active Hour\n\n`;
+        const bitbucketMostActiveHour = Object.entries(bitbucket.timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (bitbucketMostActiveHour) {
+            report += `- Hour ${bitbucketMostActiveHour[0]}: ${bitbucketMostActiveHour[1]} activities\n`;
+        }
+
+        report += `\n#### Most Active Day of Week\n\n`;
+        const bitbucketMostActiveDay = Object.entries(bitbucket.timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (bitbucketMostActiveDay) {
+            report += `- ${DAY_NAMES[bitbucketMostActiveDay[0]]}: ${bitbucketMostActiveDay[1]} activities\n`;
+        }
+
+        report += `\n#### Most Active Month\n\n`;
+        const bitbucketMostActiveMonth = Object.entries(bitbucket.timePatterns.monthlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (bitbucketMostActiveMonth) {
+            report += `- ${bitbucketMostActiveMonth[0]}: ${bitbucketMostActiveMonth[1]} activities\n`;
+        }
+        report += `\n`;
+
+        report += `### Bitbucket Streaks & Consistency\n\n`;
+        report += `- Longest Activity Streak: ${bitbucket.streaks.maxStreak} days${delta('bitbucket', 'longestStreak', change => `${change} days`)}\n`;
+        if (bitbucket.streaks.maxStreakStart && bitbucket.streaks.maxStreakEnd) {
+            report += `- Streak Period: ${bitbucket.streaks.maxStreakStart} to ${bitbucket.streaks.maxStreakEnd}\n`;
+        }
+        report += `- Total Active Days: ${bitbucket.streaks.totalActiveDays} days${delta('bitbucket', 'activeDays', change => `${change} days`)}\n\n`;
+    }
+
+    // Gitea / Forgejo section
+    if (gitea) {
+        report += `## Gitea Activity\n\n`;
+        report += `- Total Contributions: ${gitea.contributions.total}${delta('gitea', 'totalActivities')}\n`;
+        report += `- Repositories: ${gitea.overall.totalProjects}\n`;
+        report += `- Pull Requests Created: ${gitea.overall.totalCreatedPRs}\n`;
+        report += `- Issues Created: ${gitea.overall.totalCreatedIssues}\n\n`;
+
+        report += `### Gitea Activity Summary\n\n`;
+
+        // Monthly activity
+        report += `#### By Month\n\n`;
+        for (const [month, count] of Object.entries(gitea.events.monthlyActivity)) {
+            report += `- ${month}: ${count} contributions\n`;
+        }
+        report += `\n`;
+
+        // Top repositories
+        if (gitea.events.topProjects.length > 0) {
+            report += `#### Top Repositories\n\n`;
+            gitea.events.topProjects.forEach((project, index) => {
+                report += `${index + 1}. ${project.project}: ${project.count} pull requests and issues${projectDelta('gitea', project.project)}\n`;
+            });
+            report += `\n`;
+        }
+
+        report += `### Gitea Pull Requests\n\n`;
+        report += `- Created: ${gitea.pullRequests.totalCreated}\n`;
+        report += `- Merged: ${gitea.pullRequests.mergedCount}${delta('gitea', 'merged')}\n`;
+        report += `- Open: ${gitea.pullRequests.openedCount}\n`;
+        report += `- Closed: ${gitea.pullRequests.closedCount}\n`;
+        if (gitea.pullRequests.averageTimeToMerge > 0) {
+            const avgDays = Math.round(gitea.pullRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+            report += `- Average Time to Merge: ${avgDays} days${delta('gitea', 'averageTimeToMerge', formatDays)}\n`;
+        }
+        report += `\n`;
+
+        report += `### Gitea Issues\n\n`;
+        report += `- Created: ${gitea.issues.totalCreated}\n`;
+        report += `- Closed: ${gitea.issues.closedCount}\n`;
+        report += `- Open: ${gitea.issues.openedCount}\n\n`;
+
+        report += `### Gitea Time-Based Patterns\n\n`;
+        report += `#### Most Active Hour\n\n`;
+        const giteaMostActiveHour = Object.entries(gitea.timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (giteaMostActiveHour) {
+            report += `- Hour ${giteaMostActiveHour[0]}: ${giteaMostActiveHour[1]} contributions\n`;
+        }
+
+        report += `\n#### Most Active Day of Week\n\n`;
+        const giteaMostActiveDay = Object.entries(gitea.timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (giteaMostActiveDay) {
+            report += `- ${DAY_NAMES[giteaMostActiveDay[0]]}: ${giteaMostActiveDay[1]} contributions\n`;
+        }
+        report += `\n`;
+
+        report += `### Gitea Streaks & Consistency\n\n`;
+        report += `- Longest Activity Streak: ${gitea.streaks.maxStreak} days${delta('gitea', 'longestStreak', change => `${change} days`)}\n`;
+        if (gitea.streaks.maxStreakStart && gitea.streaks.maxStreakEnd) {
+            report += `- Streak Period: ${gitea.streaks.maxStreakStart} to ${gitea.streaks.maxStreakEnd}\n`;
+        }
+        report += `- Total Active Days: ${gitea.streaks.totalActiveDays} days${delta('gitea', 'activeDays', change => `${change} days`)}\n\n`;
+    }
+
+    // Local git section
+    if (local) {
+        report += `## Local Git Activity\n\n`;
+        report += `- Total Commits: ${local.overall.totalCommits}${delta('local', 'totalActivities')}\n`;
+        report += `- Repositories Involved: ${local.overall.totalProjects}\n\n`;
+
+        report += `### Local Git Activity Summary\n\n`;
+
+        // Monthly activity
+        report += `#### By Month\n\n`;
+        for (const [month, count] of Object.entries(local.events.monthlyActivity)) {
+            report += `- ${month}: ${count} commits\n`;
+        }
+        report += `\n`;
+
+        // Top repositories
+        report += `#### Top Repositories\n\n`;
+        local.events.topProjects.forEach((project, index) => {
+            report += `${index + 1}. ${project.project}: ${project.count} commits${projectDelta('local', project.project)}\n`;
+        });
+        report += `\n`;
+
+        report += `### Local Git Time-Based Patterns\n\n`;
+        report += `#### Most Active Hour\n\n`;
+        const localMostActiveHour = Object.entries(local.timePatterns.hourlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (localMostActiveHour) {
+            report += `- Hour ${localMostActiveHour[0]}: ${localMostActiveHour[1]} commits\n`;
+        }
+
+        report += `\n#### Most Active Day of Week\n\n`;
+        const localMostActiveDay = Object.entries(local.timePatterns.dailyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (localMostActiveDay) {
+            const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+            report += `- ${dayNames[localMostActiveDay[0]]}: ${localMostActiveDay[1]} commits\n`;
+        }
+
+        report += `\n#### Most Active Month\n\n`;
+        const localMostActiveMonth = Object.entries(local.timePatterns.monthlyActivity).sort(([,a], [,b]) => b - a)[0];
+        if (localMostActiveMonth) {
+            report += `- ${localMostActiveMonth[0]}: ${localMostActiveMonth[1]} commits\n`;
+        }
+        report += `\n`;
+
+        report += `### Local Git Streaks & Consistency\n\n`;
+        report += `- Longest Activity Streak: ${local.streaks.maxStreak} days${delta('local', 'longestStreak', change => `${change} days`)}\n`;
+        if (local.streaks.maxStreakStart && local.streaks.maxStreakEnd) {
+            report += `- Streak Period: ${local.streaks.maxStreakStart} to ${local.streaks.maxStreakEnd}\n`;
+        }
+        report += `- Total Active Days: ${local.streaks.totalActiveDays} days${delta('local', 'activeDays', change => `${change} days`)}\n\n`;
+    }
+
+    if (summary.combined) {
+        report += generateCombinedActivitySection(summary.combined, period);
+    }
+
+    // Combined achievements
+    report += `## Combined Personal Achievements\n\n`;
+    if (summary.combined?.streaks.maxStreak > 1) {
+        report += `- Best Combined Activity Streak: ${summary.combined.streaks.maxStreak} consecutive days\n`;
+    }
+    if (gitlab?.events?.mostActiveMonth) {
+        report += `- Most Active Month (GitLab): ${gitlab.events.mostActiveMonth}\n`;
+    }
+    if (github?.events?.mostActiveMonth) {
+        report += `- Most Active Month (GitHub): ${github.events.mostActiveMonth}\n`;
+    }
+    if (gitlab?.events?.topProjects.length > 0) {
+        report += `- Top GitLab Project: ${gitlab.events.topProjects[0].project}\n`;
+    }
+    if (github?.events?.topRepos.length > 0) {
+        report += `- Top GitHub Repository: ${github.events.topRepos[0].repo}\n`;
+    }
+    if (gitlab?.codeReviews.totalReviewed > 0) {
+        report += `- GitLab Code Reviews Performed: ${gitlab.codeReviews.totalReviewed}\n`;
+    }
+    if (gitlab?.streaks.maxStreak > 1) {
+        report += `- Best GitLab Activity Streak: ${gitlab.streaks.maxStreak} consecutive days\n`;
+    }
+    if (github?.streaks.maxStreak > 1) {
+        report += `- Best GitHub Activity Streak: ${github.streaks.maxStreak} consecutive days\n`;
+    }
+    if (bitbucket?.events?.topProjects.length > 0) {
+        report += `- Top Bitbucket Repository: ${bitbucket.events.topProjects[0].project}\n`;
+    }
+    if (bitbucket?.pullRequests.mergedCount > 0) {
+        report += `- Bitbucket Pull Requests Merged: ${bitbucket.pullRequests.mergedCount}\n`;
+    }
+    if (bitbucket?.streaks.maxStreak > 1) {
+        report += `- Best Bitbucket Activity Streak: ${bitbucket.streaks.maxStreak} consecutive days\n`;
+    }
+    if (gitea?.contributions.total > 0) {
+        report += `- Gitea Contributions: ${gitea.contributions.total}\n`;
+    }
+    if (gitea?.streaks.maxStreak > 1) {
+        report += `- Best Gitea Activity Streak: ${gitea.streaks.maxStreak} consecutive days\n`;
+    }
+    if (local?.events?.topProjects.length > 0) {
+        report += `- Top Local Repository: ${local.events.topProjects[0].project}\n`;
+    }
+    if (local?.streaks.maxStreak > 1) {
+        report += `- Best Local Git Activity Streak: ${local.streaks.maxStreak} consecutive days\n`;
+    }
+
+    return report;
+}
+
+/**
+ * Parses an RFC 8288 `Link` header as sent by GitHub and GitLab
+ * @param {string} [header] - Raw header value
+ * @returns {Object} Map of rel name to URL, e.g. `{ next: 'https://...' }`
+ */
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) {
+        return links;
+    }
+
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+        if (match) {
+            match[2].split(/\s+/).forEach(rel => {
+                links[rel] = match[1];
+            });
+        }
+    });
+
+    return links;
+}
+
+/**
+ * Works out where the next page of a paginated response is
+ * @param {Object} response - Axios response
+ * @param {number} page - Page number of this response
+ * @returns {Object|null} `{ url }` for a full next-page URL (Link header, keyset pagination),
+ *   `{ page }` for a page number, or null on the last page
+ */
+function getNextPage(response, page) {
+    const headers = response.headers || {};
+
+    const next = parseLinkHeader(headers.link).next;
+    if (next) {
+        return { url: next };
+    }
+
+    // GitLab offset pagination; X-Next-Page is empty on the last page
+    if (headers['x-next-page'] !== undefined) {
+        const nextPage = parseInt(headers['x-next-page'], 10);
+        return nextPage ? { page: nextPage } : null;
+    }
+    if (headers['x-total-pages'] !== undefined) {
+        return page < parseInt(headers['x-total-pages'], 10) ? { page: page + 1 } : null;
+    }
+    // A Link header without rel="next" marks the last page
+    if (headers.link !== undefined) {
+        return null;
+    }
+
+    // No pagination headers (e.g. a proxy stripped them): a short page is the last one
+    const results = Array.isArray(response.data) ? response.data : [];
+    return results.length >= config.api.perPage ? { page: page + 1 } : null;
+}
+
+/**
+ * Helper function to fetch all paginated results from an API endpoint.
+ * Follows `Link: rel="next"` headers (GitHub, GitLab keyset pagination) and GitLab's
+ * `X-Next-Page`/`X-Total-Pages` headers. Hitting `maxPages` is recorded as a truncation.
+ * @async
+ * @param {string} url - API endpoint URL
+ * @param {Object} params - Query parameters; `page` sets the first page to fetch
+ * @param {number} [maxPages=100] - Maximum number of pages to fetch
+ * @param {Object} [clientToUse=gitlabClient] - Axios client instance to use
+ * @param {Object} [options] - Pagination options
+ * @param {boolean} [options.keyset=false] - Use GitLab keyset pagination (ordered by id); only
+ *   the project lists support it, and servers without it fall back to `X-Next-Page`
+ * @returns {Promise<Array>} All results from all pages combined
+ */
+async function fetchAllPages(url, params, maxPages = 100, clientToUse = gitlabClient, { keyset = false } = {}) {
+    let allResults = [];
+    let nextUrl = url;
+    let nextParams = {
+        ...params,
+        ...(keyset ? { pagination: 'keyset', order_by: 'id', sort: 'asc' } : { page: params?.page || 1 }),
+        per_page: config.api.perPage
+    };
+    let page = nextParams.page || 1;
+
+    while (nextUrl) {
+        if (page > maxPages) {
+            recordTruncation(url, allResults.length, `page limit of ${maxPages} reached`);
+            break;
+        }
+
+        try {
+            const response = await clientToUse.get(nextUrl, { params: nextParams });
+
+            if (!Array.isArray(response.data) || response.data.length === 0) {
+                break;
+            }
+            allResults = allResults.concat(response.data);
+
+            const next = getNextPage(response, page);
+            if (!next) {
+                nextUrl = null;
+            } else if (next.url) {
+                // The link carries the full query string, cursor included
+                nextUrl = next.url;
+                nextParams = undefined;
+            } else {
+                nextParams = { ...nextParams, page: next.page };
+            }
+            page++;
+        } catch (error) {
+            handleApiError(`paginated ${url}`, error);
+            recordTruncation(url, allResults.length, describeRequestError(error));
+            break;
+        }
+    }
+
+    return allResults;
+}
+
+/**
+ * GraphQL query for one month of a user's contributions. Each paged connection can be
+ * left out with its `with*` flag once all of its pages are fetched.
+ */
+const GITHUB_TIMELINE_QUERY = `
+query($username: String!, $from: DateTime!, $to: DateTime!, $withCommits: Boolean!,
+      $withPRs: Boolean!, $prAfter: String, $withIssues: Boolean!, $issueAfter: String,
+      $withReviews: Boolean!, $reviewAfter: String) {
+  user(login: $username) {
+    contributionsCollection(from: $from, to: $to) {
+      totalRepositoriesWithContributedCommits @include(if: $withCommits)
+      commitContributionsByRepository(maxRepositories: 100) @include(if: $withCommits) {
+        repository { nameWithOwner }
+        contributions(first: 100) { nodes { occurredAt commitCount } }
+      }
+      pullRequestContributions(first: 100, after: $prAfter) @include(if: $withPRs) {
+        nodes { occurredAt pullRequest { repository { nameWithOwner } } }
+        pageInfo { hasNextPage endCursor }
+      }
+      issueContributions(first: 100, after: $issueAfter) @include(if: $withIssues) {
+        nodes { occurredAt issue { repository { nameWithOwner } } }
+        pageInfo { hasNextPage endCursor }
+      }
+      pullRequestReviewContributions(first: 100, after: $reviewAfter) @include(if: $withReviews) {
+        nodes { occurredAt pullRequestReview { repository { nameWithOwner } } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+}
+`;
+
+/**
+ * Records a truncation when commitContributionsByRepository (capped at 100 repositories)
+ * left out repositories the user committed to
+ * @param {string} username - GitHub username
+ * @param {string} from - Start of the queried range
+ * @param {string} to - End of the queried range
+ * @param {Object} collection - contributionsCollection with `totalRepositoriesWithContributedCommits`
+ */
+function recordRepositoryLimit(username, from, to, collection) {
+    const returned = collection.commitContributionsByRepository?.length || 0;
+    const total = collection.totalRepositoriesWithContributedCommits || 0;
+    if (total > returned) {
+        recordTruncation(`GraphQL commitContributionsByRepository for ${username} from ${from} to ${to}`, returned,
+            `only ${returned} of ${total} repositories with commits are returned`);
+    }
+}
+
+/**
+ * Paged contribution connections of GITHUB_TIMELINE_QUERY, with the event type each
+ * contribution becomes and the field holding its subject
+ */
+const GITHUB_TIMELINE_CONNECTIONS = [
+    { field: 'pullRequestContributions', flag: 'withPRs', cursor: 'prAfter', type: 'PullRequestEvent', subject: 'pullRequest' },
+    { field: 'issueContributions', flag: 'withIssues', cursor: 'issueAfter', type: 'IssuesEvent', subject: 'issue' },
+    { field: 'pullRequestReviewContributions', flag: 'withReviews', cursor: 'reviewAfter', type: 'PullRequestReviewEvent', subject: 'pullRequestReview' }
+];
+
+/**
+ * Converts a contributionsCollection page into events-API-shaped objects, so the GitHub
+ * analyzers can use it unchanged. Connections left out of the query are skipped.
+ * @param {Object} collection - contributionsCollection from GITHUB_TIMELINE_QUERY
+ * @returns {Array} Event objects with `type`, `repo.name` and `created_at`; commit
+ *   contributions become one `PushEvent` per repository and day with `payload.size`
+ *   commits and `dateOnly: true`
+ */
+function convertGitHubContributionsToEvents(collection) {
+    const events = [];
+
+    (collection.commitContributionsByRepository || []).forEach(entry => {
+        entry.contributions.nodes.forEach(node => {
+            events.push({
+                type: 'PushEvent',
+                repo: { name: entry.repository.nameWithOwner },
+                created_at: node.occurredAt,
+                payload: { size: node.commitCount },
+                dateOnly: true
+            });
+        });
+    });
+
+    GITHUB_TIMELINE_CONNECTIONS.forEach(connection => {
+        (collection[connection.field]?.nodes || []).forEach(node => {
+            events.push({
+                type: connection.type,
+                repo: { name: node[connection.subject]?.repository?.nameWithOwner },
+                created_at: node.occurredAt
+            });
+        });
+    });
+
+    return events;
+}
+
+/**
+ * Fetches one month of contributions through GraphQL as events-API-shaped objects
+ * @async
+ * @param {string} username - GitHub username
+ * @param {Object} window - Month window from getPeriodMonths (`from` and `to`)
+ * @returns {Promise<Array>} Event objects with `type`, `repo.name` and `created_at`
+ * @throws {Error} If the query fails or returns errors
+ */
+async function getGitHubMonthTimeline(username, { from, to }) {
+    const variables = {
+        username,
+        from,
+        to,
+        withCommits: true,
+        withPRs: true,
+        withIssues: true,
+        withReviews: true
+    };
+    const events = [];
+
+    while (variables.withCommits || GITHUB_TIMELINE_CONNECTIONS.some(connection => variables[connection.flag])) {
+        const response = await githubClient.post(config.github.graphqlUrl, { query: GITHUB_TIMELINE_QUERY, variables });
+        if (response.data?.errors?.length) {
+            throw new Error(response.data.errors.map(error => error.message).join('; '));
+        }
+        const collection = response.data?.data?.user?.contributionsCollection;
+        if (!collection) {
+            throw new Error(`no contributions returned for ${username}`);
+        }
+
+        events.push(...convertGitHubContributionsToEvents(collection));
+
+        // A repository has at most one commit contribution per day, so one page covers a
+        // month, but only for the first 100 repositories
+        if (variables.withCommits) {
+            recordRepositoryLimit(username, from, to, collection);
+        }
+        variables.withCommits = false;
+        GITHUB_TIMELINE_CONNECTIONS.forEach(connection => {
+            if (!variables[connection.flag]) return;
+
+            const pageInfo = collection[connection.field]?.pageInfo;
+            variables[connection.flag] = Boolean(pageInfo?.hasNextPage);
+            variables[connection.cursor] = pageInfo?.endCursor || null;
+        });
+    }
+
+    return events;
+}
 
 /**
- * Fetches GitHub events for a user filtered by year
+ * Rebuilds a user's GitHub activity for a whole period from GraphQL contributionsCollection,
+ * one query per month. Unlike the events API this is not limited to the last 90 days
+ * or 300 events. Commit contributions are per repository and day, so they carry
+ * `dateOnly: true` and no meaningful time of day.
  * @async
  * @param {string} username - GitHub username
- * @param {number} year - Year to filter events by
- * @returns {Promise<Array>} Array of GitHub event objects for the specified year
+ * @param {Object} period - Reporting period to fetch
+ * @returns {Promise<Array|null>} Event objects sorted by date, or null when GraphQL
+ *   contributions are unavailable and the events API has to be used instead
  */
-async function getGitHubUserActivity(username, year) {
+async function getGitHubContributionTimeline(username, period) {
+    const serverInfo = await getGitHubServerInfo();
+    if (!isGitHubFeatureSupported(serverInfo, 'contributionsCollection')) {
+        return null;
+    }
+
+    try {
+        const monthlyEvents = await mapWithConcurrency(getPeriodMonths(period), config.api.concurrency, window =>
+            getGitHubMonthTimeline(username, window)
+        );
+        const events = monthlyEvents.flat().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+        console.log(`Fetched ${events.length} GitHub contributions for user ${username} in ${period.label} via the GraphQL timeline`);
+        return events;
+    } catch (error) {
+        console.log(`GraphQL timeline failed for user ${username} in ${period.label}, falling back to the events API:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetches GitHub activity for a user in a reporting period. The GraphQL contribution
+ * timeline is used when available; otherwise the events API, which only reaches back 90 days.
+ * @param {string} username - GitHub username
+ * @param {Object} period - Reporting period to filter events by
+ * @returns {Promise<Array>} Array of GitHub event objects in the period
+ */
+async function getGitHubUserActivity(username, period) {
     if (!githubClient) {
         console.log('GitHub client not configured, skipping GitHub data');
         return null;
     }
 
     try {
-        console.log(`Fetching GitHub activity for user: ${username}, year: ${year}`);
-
-        // Get user events from GitHub API
-        const eventsUrl = `/users/${username}/events`;
-        const events = await fetchAllPages(eventsUrl, {}, 50, githubClient); // GitHub has different pagination
+        console.log(`Fetching GitHub activity for user: ${username}, period: ${period.label}`);
+
+        let events = await getGitHubContributionTimeline(username, period);
+        if (!events) {
+            // Get user events from GitHub API
+            const eventsUrl = `/users/${username}/events`;
+            events = await fetchAllPages(eventsUrl, {}, 50, githubClient); // GitHub has different pagination
+
+            // The events API only goes back 90 days; flag older periods so they are not
+            // taken as complete (and, for --career, stored as if nothing happened)
+            if (period.start < addDays(new Date().toISOString().slice(0, 10), -GITHUB_EVENTS_API_DAYS)) {
+                recordTruncation(eventsUrl, events.length, `the events API only covers the last ${GITHUB_EVENTS_API_DAYS} days`);
+            }
+        }
 
-        // Filter events for the specified year
-        let filteredEvents = events.filter(event => {
-            const eventDate = new Date(event.created_at);
-            return eventDate.getFullYear() === year;
-        });
+        // Filter events for the reporting period
+        let filteredEvents = events.filter(event => isInPeriod(event.created_at, period));
 
         // Filter events by allowed repositories if specified in config
         if (config.github.allowedRepos && config.github.allowedRepos.length > 0) {
             filteredEvents = filteredEvents.filter(event => {
                 if (event.repo && event.repo.name) {
-                    return config.github.allowedRepos.includes(event.repo.name) ||
-                           config.github.allowedRepos.includes(event.repo.name.split('/')[1]); // Just the repo name part
+                    return isRepoAllowed(event.repo.name, config.github.allowedRepos);
                 }
                 return true; // Keep events that don't have repo info
             });
             console.log(`Filtered events from ${events.length} to ${filteredEvents.length} based on allowed repositories`);
         }
 
-        console.log(`Fetched ${filteredEvents.length} GitHub events for user ${username} in ${year}`);
+        console.log(`Fetched ${filteredEvents.length} GitHub events for user ${username} in ${period.label}`);
         return filteredEvents;
     } catch (error) {
         handleApiError('GitHub user events', error);
@@ -1079,12 +3177,91 @@ async function getGitHubUserActivity(username, year) {
     }
 }
 
+/**
+ * How far back GitHub's REST events API goes
+ */
+const GITHUB_EVENTS_API_DAYS = 90;
+
+/**
+ * Minimum GitHub Enterprise Server versions for the features this tool uses.
+ * github.com always has every feature.
+ */
+const GITHUB_ENTERPRISE_MIN_VERSIONS = {
+    contributionsCollection: '2.16.0'
+};
+
+let githubServerInfoPromise = null;
+
+/**
+ * Compares two dotted version strings numerically
+ * @param {string} a - First version, e.g. "3.9.2"
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Detects whether the GitHub API is github.com or Enterprise Server, and which version
+ * @async
+ * @returns {Promise<Object>} Object with `enterprise` (boolean) and `version` (string or null)
+ */
+async function getGitHubServerInfo() {
+    if (!config.github.isEnterprise) {
+        return { enterprise: false, version: null };
+    }
+
+    // Only ask the server once per run
+    if (!githubServerInfoPromise) {
+        githubServerInfoPromise = githubClient.get('/meta')
+            .then(response => {
+                const version = response.data?.installed_version || null;
+                console.log(`Detected GitHub Enterprise Server ${version || '(unknown version)'} at ${config.github.baseUrl}`);
+                return { enterprise: true, version };
+            })
+            .catch(error => {
+                handleApiError('GitHub Enterprise Server version', error);
+                return { enterprise: true, version: null };
+            });
+    }
+
+    return githubServerInfoPromise;
+}
+
+/**
+ * Checks whether a GitHub feature is available on the detected server
+ * @param {Object} serverInfo - Result of getGitHubServerInfo
+ * @param {string} feature - Key of GITHUB_ENTERPRISE_MIN_VERSIONS
+ * @returns {boolean} True on github.com, on Enterprise Server versions that have the
+ *   feature, and when the version could not be detected
+ */
+function isGitHubFeatureSupported(serverInfo, feature) {
+    if (!serverInfo.enterprise || !serverInfo.version || !GITHUB_ENTERPRISE_MIN_VERSIONS[feature]) {
+        return true;
+    }
+    return compareVersions(serverInfo.version, GITHUB_ENTERPRISE_MIN_VERSIONS[feature]) >= 0;
+}
+
 // Function to get GitHub contributions using GraphQL API for more comprehensive data
-async function getGitHubContributions(username, year) {
+async function getGitHubContributions(username, period) {
     if (!githubClient) {
         return null;
     }
 
+    const serverInfo = await getGitHubServerInfo();
+    if (!isGitHubFeatureSupported(serverInfo, 'contributionsCollection')) {
+        console.log(`GitHub Enterprise Server ${serverInfo.version} has no contributions GraphQL API, using REST API`);
+        return await getGitHubContributionsFallback(username, period);
+    }
+
     try {
         // GitHub's GraphQL API query to get contribution data
         const query = `
@@ -1113,11 +3290,12 @@ async function getGitHubContributions(username, year) {
 
         const variables = {
             username: username,
-            from: `${year}-01-01T00:00:00Z`,
-            to: `${year}-12-31T23:59:59Z`
+            from: period.startTime,
+            to: period.endTime
         };
 
-        const response = await githubClient.post('/graphql', {
+        // Absolute URL: on Enterprise Server GraphQL is not below the REST base URL
+        const response = await githubClient.post(config.github.graphqlUrl, {
             query: query,
             variables: variables
         });
@@ -1146,22 +3324,22 @@ async function getGitHubContributions(username, year) {
                 contributions.byWeek.push(week);
             });
 
-            console.log(`Fetched ${contributions.total} GitHub contributions for user ${username} in ${year} via GraphQL`);
+            console.log(`Fetched ${contributions.total} GitHub contributions for user ${username} in ${period.label} via GraphQL`);
             return contributions;
         } else {
-            console.log(`GraphQL query returned no data for user ${username} in ${year}`);
+            console.log(`GraphQL query returned no data for user ${username} in ${period.label}`);
             // Fallback to the previous method
-            return await getGitHubContributionsFallback(username, year);
+            return await getGitHubContributionsFallback(username, period);
         }
     } catch (error) {
-        console.log(`GraphQL query failed for user ${username} in ${year}, falling back to REST API:`, error.message);
+        console.log(`GraphQL query failed for user ${username} in ${period.label}, falling back to REST API:`, error.message);
         // Fallback to the previous method if GraphQL fails
-        return await getGitHubContributionsFallback(username, year);
+        return await getGitHubContributionsFallback(username, period);
     }
 }
 
 // Fallback function to get GitHub contributions using REST API
-async function getGitHubContributionsFallback(username, year) {
+async function getGitHubContributionsFallback(username, period) {
     if (!githubClient) {
         return null;
     }
@@ -1175,7 +3353,7 @@ async function getGitHubContributionsFallback(username, year) {
         };
 
         // Get events to calculate contributions
-        const events = await getGitHubUserActivity(username, year);
+        const events = await getGitHubUserActivity(username, period);
 
         events.forEach(event => {
             const date = new Date(event.created_at);
@@ -1198,7 +3376,7 @@ async function getGitHubContributionsFallback(username, year) {
         // Calculate total contributions
         contributions.total = events.length;
 
-        console.log(`Calculated ${contributions.total} GitHub contributions for user ${username} in ${year} via fallback method`);
+        console.log(`Calculated ${contributions.total} GitHub contributions for user ${username} in ${period.label} via fallback method`);
         return contributions;
     } catch (error) {
         handleApiError('GitHub contributions fallback', error);
@@ -1253,38 +3431,130 @@ async function getGitHubUserRepos(username) {
     }
 }
 
-async function getGitHubUserCommits(username, year) {
-    if (!githubClient) {
-        return [];
+/**
+ * Checks a repository name against an allowed-repositories filter such as
+ * GITHUB_ALLOWED_REPOS or GITEA_ALLOWED_REPOS
+ * @param {string} fullName - Repository full name (owner/repo)
+ * @param {Array<string>} allowedRepos - Full names or bare repository names; empty allows all
+ * @returns {boolean} True if no filter is configured or the repository is allowed
+ */
+function isRepoAllowed(fullName, allowedRepos) {
+    if (!allowedRepos || allowedRepos.length === 0) {
+        return true;
     }
+    return allowedRepos.includes(fullName) ||
+           allowedRepos.includes((fullName || '').split('/')[1]);
+}
 
-    try {
-        // Get user's repositories and fetch commits from each
-        const repos = await getGitHubUserRepos(username);
-        let allCommits = [];
-
-        for (const repo of repos) {
-            try {
-                // Get commits for this repository
-                const commitsUrl = `/repos/${username}/${repo.name}/commits`;
-                const commits = await fetchAllPages(commitsUrl, {
-                    author: username
-                }, 20, githubClient);
-
-                // Filter commits for the specified year
-                const yearCommits = commits.filter(commit => {
-                    const commitDate = new Date(commit.commit.author.date);
-                    return commitDate.getFullYear() === year;
-                });
+/**
+ * GraphQL query for the repositories a user committed to in a date range
+ */
+const GITHUB_COMMIT_REPOSITORIES_QUERY = `
+query($username: String!, $from: DateTime!, $to: DateTime!) {
+  user(login: $username) {
+    contributionsCollection(from: $from, to: $to) {
+      totalRepositoriesWithContributedCommits
+      commitContributionsByRepository(maxRepositories: 100) {
+        repository { nameWithOwner }
+      }
+    }
+  }
+}
+`;
 
-                allCommits = allCommits.concat(yearCommits);
-            } catch (error) {
-                // Continue with other repos if one fails
-                console.log(`Could not fetch commits for repo ${repo.name}:`, error.message);
-            }
+/**
+ * Finds the repositories a user committed to in a reporting period, including organization and
+ * other people's repositories. Uses the contributions collection where available and
+ * the commit search API otherwise.
+ * @async
+ * @param {string} username - GitHub username
+ * @param {Object} period - Reporting period to look at
+ * @returns {Promise<string[]>} Repository full names (owner/repo)
+ */
+async function getGitHubCommitRepositories(username, period) {
+    const serverInfo = await getGitHubServerInfo();
+    if (isGitHubFeatureSupported(serverInfo, 'contributionsCollection')) {
+        try {
+            const response = await githubClient.post(config.github.graphqlUrl, {
+                query: GITHUB_COMMIT_REPOSITORIES_QUERY,
+                variables: { username, from: period.startTime, to: period.endTime }
+            });
+            const collection = response.data?.data?.user?.contributionsCollection;
+            if (collection?.commitContributionsByRepository) {
+                recordRepositoryLimit(username, period.startTime, period.endTime, collection);
+                return collection.commitContributionsByRepository.map(entry => entry.repository.nameWithOwner);
+            }
+        } catch (error) {
+            console.log(`GraphQL commit repositories query failed for user ${username} in ${period.label}, using commit search:`, error.message);
         }
+    }
+
+    const repoNames = new Set();
+    const perPage = Math.min(config.api.perPage, 100);
+    const query = `author:${username} committer-date:${period.start}..${period.end}`;
+    try {
+        for (let page = 1; page * perPage <= GITHUB_SEARCH_RESULT_LIMIT; page++) {
+            const response = await fetchForPeriod(period, () => githubClient.get('/search/commits', {
+                params: { q: query, per_page: perPage, page }
+            }));
+            const items = response.data?.items || [];
+            items.forEach(item => {
+                if (item.repository?.full_name) {
+                    repoNames.add(item.repository.full_name);
+                }
+            });
+            if (items.length < perPage) {
+                break;
+            }
+        }
+    } catch (error) {
+        handleApiError(`GitHub commit search "${query}"`, error);
+    }
+    return [...repoNames];
+}
+
+/**
+ * Fetches the user's commits from a reporting period in every repository they committed to, plus
+ * their own repositories. Commits are filtered by author and date on the server; a
+ * commit found in several repositories (e.g. a fork) is counted once.
+ * @async
+ * @param {string} username - GitHub username
+ * @param {Object} period - Reporting period to fetch commits for
+ * @returns {Promise<Array>} Commit objects from the commits API, with `repo.name` set to
+ *   the repository they were found in
+ */
+async function getGitHubUserCommits(username, period) {
+    if (!githubClient) {
+        return [];
+    }
+
+    try {
+        const [ownedRepos, committedRepos] = await Promise.all([
+            getGitHubUserRepos(username),
+            getGitHubCommitRepositories(username, period)
+        ]);
+        const repoNames = [...new Set([...ownedRepos.map(repo => repo.full_name), ...committedRepos])]
+            .filter(fullName => isRepoAllowed(fullName, config.github.allowedRepos));
+
+        const commitsByRepo = await mapWithConcurrency(repoNames, config.api.concurrency, fullName =>
+            fetchForPeriod(period, () => fetchAllPages(`/repos/${fullName}/commits`, {
+                author: username,
+                since: period.startTime,
+                until: period.endTime
+            }, 20, githubClient))
+        );
+
+        const commitsBySha = new Map();
+        commitsByRepo.forEach((commits, index) => {
+            commits.forEach(commit => {
+                if (!commitsBySha.has(commit.sha)) {
+                    commitsBySha.set(commit.sha, { ...commit, repo: { name: repoNames[index] } });
+                }
+            });
+        });
+        const allCommits = [...commitsBySha.values()];
 
-        console.log(`Fetched ${allCommits.length} GitHub commits for user ${username} in ${year}`);
+        console.log(`Fetched ${allCommits.length} GitHub commits for user ${username} in ${period.label} from ${repoNames.length} repositories`);
         return allCommits;
     } catch (error) {
         handleApiError('GitHub user commits', error);
@@ -1292,8 +3562,151 @@ async function getGitHubUserCommits(username, year) {
     }
 }
 
+/**
+ * Builds change sets (lines added/removed and files touched) for GitHub commits.
+ * The commits list API has no stats, so every commit is fetched on its own; only the
+ * newest `config.api.maxChurnCommits` commits are, and the rest is recorded as a truncation.
+ * @async
+ * @param {Array} commits - Commits from getGitHubUserCommits (with `repo.name`)
+ * @returns {Promise<Array>} Change sets for analyzeChurn; commits whose details could
+ *   not be fetched are left out
+ */
+async function getGitHubCommitChangeSets(commits) {
+    if (!githubClient) {
+        return [];
+    }
+
+    const limit = config.api.maxChurnCommits;
+    const selected = [...commits]
+        .sort((a, b) => String(b.commit?.author?.date).localeCompare(String(a.commit?.author?.date)))
+        .slice(0, limit);
+    if (commits.length > limit) {
+        recordTruncation('/repos/:repo/commits/:sha', limit,
+            `churn is computed for the newest ${limit} of ${commits.length} commits (MAX_CHURN_COMMITS)`);
+    }
+
+    const changeSets = await mapWithConcurrency(selected, config.api.concurrency, async commit => {
+        try {
+            const response = await githubClient.get(`/repos/${commit.repo.name}/commits/${commit.sha}`);
+            const details = response.data;
+
+            return {
+                project: commit.repo.name,
+                title: (details.commit?.message || '').split('\n')[0],
+                url: details.html_url,
+                date: details.commit?.author?.date,
+                additions: details.stats?.additions || 0,
+                deletions: details.stats?.deletions || 0,
+                files: (details.files || []).length
+            };
+        } catch (error) {
+            handleApiError(`GitHub commit ${commit.sha}`, error);
+            return null;
+        }
+    });
+
+    return changeSets.filter(Boolean);
+}
+
+/**
+ * The GitHub search API returns at most this many results per query
+ */
+const GITHUB_SEARCH_RESULT_LIMIT = 1000;
+
+/**
+ * Runs a GitHub issue search and collects every page of results.
+ * Results beyond the search API's cap, or an incomplete (timed out) search, are
+ * recorded as a truncation.
+ * @async
+ * @param {string} query - Search query, e.g. `type:pr author:octocat created:2025-01-01..2025-12-31`
+ * @returns {Promise<Array>} Issue and pull request objects from the search results
+ */
+async function searchGitHubIssues(query) {
+    if (!githubClient) {
+        return [];
+    }
+
+    // The search API rejects per_page above 100
+    const perPage = Math.min(config.api.perPage, 100);
+    let items = [];
+    let incomplete = false;
+
+    try {
+        for (let page = 1; ; page++) {
+            const response = await githubClient.get('/search/issues', {
+                params: { q: query, per_page: perPage, page }
+            });
+            const pageItems = response.data?.items || [];
+            const totalCount = response.data?.total_count || 0;
+            items = items.concat(pageItems);
+            incomplete = incomplete || Boolean(response.data?.incomplete_results);
+
+            if (pageItems.length < perPage || items.length >= totalCount) {
+                break;
+            }
+            if (items.length >= GITHUB_SEARCH_RESULT_LIMIT) {
+                recordTruncation(`/search/issues?q=${query}`, items.length, `search result limit of ${GITHUB_SEARCH_RESULT_LIMIT} reached (${totalCount} matches)`);
+                return items;
+            }
+        }
+    } catch (error) {
+        handleApiError(`GitHub search "${query}"`, error);
+        recordTruncation(`/search/issues?q=${query}`, items.length, describeRequestError(error));
+        return items;
+    }
+
+    if (incomplete) {
+        recordTruncation(`/search/issues?q=${query}`, items.length, 'search timed out before finding every match');
+    }
+    return items;
+}
+
+/**
+ * Fetches pull requests and issues created in a reporting period that the user authored or is assigned to
+ * @async
+ * @param {string} username - GitHub username
+ * @param {Object} period - Reporting period the items were created in
+ * @returns {Promise<Object>} Object with `createdPRs`, `assignedPRs`, `createdIssues` and
+ *   `assignedIssues` arrays of raw search results
+ */
+async function getGitHubPullRequestsAndIssues(username, period) {
+    const created = `created:${period.start}..${period.end}`;
+    const [createdPRs, assignedPRs, createdIssues, assignedIssues] = await fetchForPeriod(period, () => Promise.all([
+        searchGitHubIssues(`type:pr author:${username} ${created}`),
+        searchGitHubIssues(`type:pr assignee:${username} ${created}`),
+        searchGitHubIssues(`type:issue author:${username} ${created}`),
+        searchGitHubIssues(`type:issue assignee:${username} ${created}`)
+    ]));
+
+    console.log(`Fetched ${createdPRs.length} pull requests and ${createdIssues.length} issues created by ${username} on GitHub in ${period.label}`);
+    return { createdPRs, assignedPRs, createdIssues, assignedIssues };
+}
+
+/**
+ * Converts a GitHub search result into the shape analyzeMergeRequests/analyzeIssues expect
+ * @param {Object} item - Issue or pull request object from the search API
+ * @returns {Object} Object with id, project_id (`owner/repo`), title, state, created_at,
+ *   merged_at and closed_at
+ */
+function normalizeGitHubItem(item) {
+    let state = item.state === 'open' ? 'opened' : 'closed';
+    if (item.pull_request?.merged_at) {
+        state = 'merged';
+    }
+
+    return {
+        id: item.id,
+        project_id: item.repository_url?.split('/repos/')[1] || 'unknown',
+        title: item.title,
+        state,
+        created_at: item.created_at,
+        merged_at: item.pull_request?.merged_at || null,
+        closed_at: item.closed_at || null
+    };
+}
+
 // Function to analyze GitHub events and extract metrics
-function analyzeGitHubEvents(events, commits) {
+function analyzeGitHubEvents(events, commits, timeZone = config.timezone) {
     if (!events) return null;
 
     const metrics = {
@@ -1338,8 +3751,7 @@ function analyzeGitHubEvents(events, commits) {
 
         // Count monthly activity
         if (event.created_at) {
-            const eventDate = new Date(event.created_at);
-            const month = eventDate.toLocaleString('default', { month: 'long' });
+            const month = getEventDateParts(event, timeZone).monthName;
             metrics.monthlyActivity[month] = (metrics.monthlyActivity[month] || 0) + 1;
         }
     });
@@ -1358,35 +3770,36 @@ function analyzeGitHubEvents(events, commits) {
     return metrics;
 }
 
-// Function to analyze GitHub time patterns
-function analyzeGitHubTimePatterns(events) {
+// Function to analyze GitHub time patterns in a timezone (defaults to TIMEZONE)
+function analyzeGitHubTimePatterns(events, timeZone = config.timezone) {
     if (!events) return null;
 
     const timeMetrics = {
         hourlyActivity: {}, // 0-23 hours
         dailyActivity: {}, // 0-6 days (Sunday-Saturday)
         weeklyActivity: {}, // Week number of the year
-        monthlyActivity: {} // Month names
+        monthlyActivity: {}, // Month names
+        dayHourActivity: Array.from({ length: 7 }, () => new Array(24).fill(0)) // [day][hour] grid
     };
 
     events.forEach(event => {
         if (event.created_at) {
-            const date = new Date(event.created_at);
+            const { hour, weekday: dayOfWeek, localDate, monthName: month } = getEventDateParts(event, timeZone);
 
-            // Hour of day (0-23)
-            const hour = date.getHours();
-            timeMetrics.hourlyActivity[hour] = (timeMetrics.hourlyActivity[hour] || 0) + 1;
+            // Hour of day (0-23); timeline commit contributions only know the day
+            if (!event.dateOnly) {
+                timeMetrics.hourlyActivity[hour] = (timeMetrics.hourlyActivity[hour] || 0) + 1;
+                timeMetrics.dayHourActivity[dayOfWeek][hour]++;
+            }
 
             // Day of week (0-6, Sunday-Saturday)
-            const dayOfWeek = date.getDay();
             timeMetrics.dailyActivity[dayOfWeek] = (timeMetrics.dailyActivity[dayOfWeek] || 0) + 1;
 
             // Week of year
-            const weekNumber = getWeekNumber(date);
+            const weekNumber = getWeekNumber(localDate);
             timeMetrics.weeklyActivity[weekNumber] = (timeMetrics.weeklyActivity[weekNumber] || 0) + 1;
 
             // Month
-            const month = date.toLocaleString('default', { month: 'long' });
             timeMetrics.monthlyActivity[month] = (timeMetrics.monthlyActivity[month] || 0) + 1;
         }
     });
@@ -1394,8 +3807,8 @@ function analyzeGitHubTimePatterns(events) {
     return timeMetrics;
 }
 
-// Function to analyze GitHub streaks
-function analyzeGitHubStreaks(events) {
+// Function to analyze GitHub streaks, with days in a timezone (defaults to TIMEZONE)
+function analyzeGitHubStreaks(events, timeZone = config.timezone) {
     if (!events) return null;
 
     // Group events by date
@@ -1403,8 +3816,7 @@ function analyzeGitHubStreaks(events) {
 
     events.forEach(event => {
         if (event.created_at) {
-            const date = new Date(event.created_at);
-            const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            const { dateStr } = getEventDateParts(event, timeZone);
 
             if (!eventsByDate[dateStr]) {
                 eventsByDate[dateStr] = [];
@@ -1458,165 +3870,1745 @@ function analyzeGitHubStreaks(events) {
         maxStreakEnd = activeDates[activeDates.length - 1];
     }
 
+    // Per-day activity counts, used for the contribution calendar
+    const activityByDate = {};
+    activeDates.forEach(dateStr => {
+        activityByDate[dateStr] = eventsByDate[dateStr].length;
+    });
+
     return {
         maxStreak,
         maxStreakStart,
         maxStreakEnd,
-        totalActiveDays: activeDates.length
+        totalActiveDays: activeDates.length,
+        activityByDate
     };
 }
 
-// Function to handle API errors
-function handleApiError(entity, error) {
-    if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        console.error(`API Error fetching ${entity}:`, {
-            status: error.response.status,
-            statusText: error.response.statusText,
-            data: error.response.data,
-            url: error.config.url
+/**
+ * Fetches all pages of a Bitbucket collection, following Cloud `next` links or
+ * Data Center `nextPageStart` offsets
+ * @async
+ * @param {string} url - API endpoint URL
+ * @param {Object} params - Query parameters
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.maxPages=100] - Maximum number of pages to fetch
+ * @param {Function} [options.stopWhen] - Called with each page of values; fetching stops once it returns true
+ * @returns {Promise<Array>} All values from all pages combined
+ */
+async function fetchAllBitbucketPages(url, params, { maxPages = 100, stopWhen = null } = {}) {
+    let allResults = [];
+    let nextUrl = url;
+    let nextParams = config.bitbucket.isDataCenter
+        ? { ...params, limit: config.api.perPage }
+        : { ...params, pagelen: Math.min(config.api.perPage, 50) }; // Cloud caps pagelen at 50 for most endpoints
+    let page = 1;
+
+    while (nextUrl && page <= maxPages) {
+        try {
+            const response = await bitbucketClient.get(nextUrl, { params: nextParams });
+            const values = response.data?.values || [];
+            allResults = allResults.concat(values);
+
+            if (stopWhen && stopWhen(values)) {
+                break;
+            }
+
+            if (config.bitbucket.isDataCenter) {
+                nextParams = { ...nextParams, start: response.data?.nextPageStart };
+                nextUrl = response.data?.isLastPage === false ? url : null;
+            } else {
+                // Cloud returns the full next URL, query string included
+                nextUrl = response.data?.next || null;
+                nextParams = undefined;
+            }
+            page++;
+        } catch (error) {
+            handleApiError(`paginated ${url}`, error);
+            recordTruncation(url, allResults.length, describeRequestError(error));
+            return allResults;
+        }
+    }
+
+    // stopWhen ends the loop early on purpose, only the page cap loses data
+    if (nextUrl && page > maxPages) {
+        recordTruncation(url, allResults.length, `page limit of ${maxPages} reached`);
+    }
+
+    return allResults;
+}
+
+/**
+ * Builds the API path of a Bitbucket repository for the configured flavor
+ * @param {string} repo - Repository as workspace/repo (Cloud) or PROJECT/repo (Data Center)
+ * @returns {string} Repository path relative to the API base URL
+ */
+function getBitbucketRepoPath(repo) {
+    const [owner, slug] = repo.split('/');
+    return config.bitbucket.isDataCenter
+        ? `/projects/${owner}/repos/${slug}`
+        : `/repositories/${owner}/${slug}`;
+}
+
+/**
+ * Checks whether a Bitbucket user object belongs to the configured user
+ * @param {Object} user - Bitbucket user (Cloud `author`/`user` or Data Center `user`)
+ * @returns {boolean} True if the user matches BITBUCKET_USERNAME
+ */
+function isBitbucketUser(user) {
+    if (!user) return false;
+    const username = config.bitbucket.username.toLowerCase();
+    return [user.nickname, user.username, user.name, user.slug, user.emailAddress]
+        .filter(Boolean)
+        .some(value => value.toLowerCase() === username);
+}
+
+/**
+ * Converts a Bitbucket pull request into the merge request shape analyzeMergeRequests expects
+ * @param {Object} pr - Bitbucket Cloud or Data Center pull request
+ * @param {string} repo - Repository the pull request belongs to
+ * @returns {Object} Object with id, project_id, state, created_at and merged_at
+ */
+function normalizeBitbucketPullRequest(pr, repo) {
+    const states = { MERGED: 'merged', OPEN: 'opened', DECLINED: 'closed', SUPERSEDED: 'closed' };
+
+    if (config.bitbucket.isDataCenter) {
+        return {
+            id: pr.id,
+            project_id: repo,
+            title: pr.title,
+            state: states[pr.state] || 'closed',
+            created_at: new Date(pr.createdDate).toISOString(),
+            merged_at: pr.state === 'MERGED' && pr.closedDate ? new Date(pr.closedDate).toISOString() : null
+        };
+    }
+
+    // Cloud has no merged timestamp; the last update of a merged PR is the merge itself
+    return {
+        id: pr.id,
+        project_id: repo,
+        title: pr.title,
+        state: states[pr.state] || 'closed',
+        created_at: pr.created_on,
+        merged_at: pr.state === 'MERGED' ? pr.updated_on : null
+    };
+}
+
+/**
+ * Fetches pull requests created or updated in the period for one Bitbucket repository
+ * @async
+ * @param {string} repo - Repository as workspace/repo or PROJECT/repo
+ * @param {Object} period - Reporting period to fetch pull requests for
+ * @returns {Promise<Array>} Raw pull request objects
+ */
+async function getBitbucketRepoPullRequests(repo, period) {
+    const repoPath = getBitbucketRepoPath(repo);
+    const periodStart = Date.parse(period.startTime);
+
+    try {
+        if (config.bitbucket.isDataCenter) {
+            // Newest first; stop once a whole page was last updated before the period
+            return await fetchAllBitbucketPages(`${repoPath}/pull-requests`, { state: 'ALL', order: 'NEWEST' }, {
+                stopWhen: values => values.length > 0 && values.every(pr => pr.updatedDate < periodStart)
+            });
+        }
+
+        return await fetchAllBitbucketPages(`${repoPath}/pullrequests`, {
+            state: ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'],
+            q: `updated_on >= ${period.start}T00:00:00+00:00`,
+            sort: '-updated_on'
         });
-    } else if (error.request) {
-        // The request was made but no response was received
-        console.error(`Network Error fetching ${entity}:`, error.request);
-    } else {
-        // Something happened in setting up the request that triggered an Error
-        console.error(`Error fetching ${entity}:`, error.message);
+    } catch (error) {
+        handleApiError(`Bitbucket pull requests for ${repo}`, error);
+        return [];
+    }
+}
+
+/**
+ * Fetches the configured user's commits in the period for one Bitbucket repository
+ * @async
+ * @param {string} repo - Repository as workspace/repo or PROJECT/repo
+ * @param {Object} period - Reporting period to fetch commits for
+ * @returns {Promise<Array>} Normalized commit records ({ sha, created_at, repo, title })
+ */
+async function getBitbucketRepoCommits(repo, period) {
+    const repoPath = getBitbucketRepoPath(repo);
+    const periodStart = Date.parse(period.startTime);
+    const getTime = commit => config.bitbucket.isDataCenter ? commit.authorTimestamp : Date.parse(commit.date);
+
+    // Neither flavor filters commits by author or date server-side, so page newest
+    // first and stop once a page is entirely older than the period
+    const commits = await fetchAllBitbucketPages(`${repoPath}/commits`, {}, {
+        stopWhen: values => values.length > 0 && values.every(commit => getTime(commit) < periodStart)
+    });
+
+    return commits
+        .filter(commit => isInPeriod(getTime(commit), period))
+        .filter(commit => config.bitbucket.isDataCenter ? isBitbucketUser(commit.author) : isBitbucketUser(commit.author?.user))
+        .map(commit => ({
+            sha: config.bitbucket.isDataCenter ? commit.id : commit.hash,
+            created_at: new Date(getTime(commit)).toISOString(),
+            repo,
+            title: (commit.message || '').split('\n')[0]
+        }));
+}
+
+/**
+ * Fetches the configured user's comments on a set of Bitbucket pull requests
+ * @async
+ * @param {string} repo - Repository as workspace/repo or PROJECT/repo
+ * @param {Array} pullRequests - Raw pull request objects from getBitbucketRepoPullRequests
+ * @param {Object} period - Reporting period to count comments for
+ * @returns {Promise<Array>} Normalized comment records ({ id, created_at, repo, pull_request_id })
+ */
+async function getBitbucketRepoComments(repo, pullRequests, period) {
+    const repoPath = getBitbucketRepoPath(repo);
+
+    // One request (or more) per pull request, so fetch a few at a time
+    const commentsPerPR = await mapWithConcurrency(pullRequests, config.api.concurrency, async pr => {
+        if (config.bitbucket.isDataCenter) {
+            const activities = await fetchAllBitbucketPages(`${repoPath}/pull-requests/${pr.id}/activities`, {});
+            return activities
+                .filter(activity => activity.action === 'COMMENTED' && isBitbucketUser(activity.user))
+                .map(activity => ({
+                    id: activity.comment?.id || activity.id,
+                    created_at: new Date(activity.createdDate).toISOString(),
+                    repo,
+                    pull_request_id: pr.id
+                }));
+        }
+
+        const prComments = await fetchAllBitbucketPages(`${repoPath}/pullrequests/${pr.id}/comments`, {});
+        return prComments
+            .filter(comment => !comment.deleted && isBitbucketUser(comment.user))
+            .map(comment => ({
+                id: comment.id,
+                created_at: comment.created_on,
+                repo,
+                pull_request_id: pr.id
+            }));
+    });
+
+    return commentsPerPR.flat().filter(comment => isInPeriod(comment.created_at, period));
+}
+
+/**
+ * Fetches pull requests, commits and comments for every configured Bitbucket repository
+ * @async
+ * @param {Object} period - Reporting period to fetch activity for
+ * @returns {Promise<Object>} Object with `pullRequests` (authored, normalized), `commits` and `comments`
+ */
+async function getBitbucketActivity(period) {
+    let pullRequests = [];
+    let commits = [];
+    let comments = [];
+
+    for (const repo of config.bitbucket.repos) {
+        const [repoPullRequests, repoCommits] = await Promise.all([
+            getBitbucketRepoPullRequests(repo, period),
+            getBitbucketRepoCommits(repo, period)
+        ]);
+
+        const normalized = repoPullRequests.map(pr => normalizeBitbucketPullRequest(pr, repo));
+        const authored = normalized.filter((pr, index) => {
+            const rawPr = repoPullRequests[index];
+            const author = config.bitbucket.isDataCenter ? rawPr.author?.user : rawPr.author;
+            return isInPeriod(pr.created_at, period) && isBitbucketUser(author);
+        });
+
+        pullRequests = pullRequests.concat(authored);
+        commits = commits.concat(repoCommits);
+        comments = comments.concat(await getBitbucketRepoComments(repo, repoPullRequests, period));
+    }
+
+    console.log(`Fetched ${pullRequests.length} pull requests, ${commits.length} commits and ${comments.length} comments from Bitbucket in ${period.label}`);
+    return { pullRequests, commits, comments };
+}
+
+/**
+ * Analyzes typed activity records into the same metric shape analyzeEvents produces
+ * @param {Array} records - Array of { type, repo, created_at } records
+ * @param {string} [timeZone=config.timezone] - IANA timezone the months are counted in
+ * @returns {Object} Metrics including activity types, repositories, monthly data, and top repositories
+ */
+function analyzeActivityRecords(records, timeZone = config.timezone) {
+    const metrics = {
+        totalEvents: records.length,
+        eventTypeCounts: {},
+        projectActivity: {},
+        monthlyActivity: {},
+        topProjects: [],
+        mostActiveMonth: '',
+        projectContributions: {}
+    };
+
+    records.forEach(record => {
+        metrics.eventTypeCounts[record.type] = (metrics.eventTypeCounts[record.type] || 0) + 1;
+        metrics.projectActivity[record.repo] = (metrics.projectActivity[record.repo] || 0) + 1;
+
+        if (!metrics.projectContributions[record.repo]) {
+            metrics.projectContributions[record.repo] = {
+                total: 0,
+                pushEvents: 0,
+                otherEvents: 0
+            };
+        }
+        metrics.projectContributions[record.repo].total++;
+        if (record.type === 'commit') {
+            metrics.projectContributions[record.repo].pushEvents++;
+        } else {
+            metrics.projectContributions[record.repo].otherEvents++;
+        }
+
+        const month = getZonedDateParts(record.created_at, timeZone).monthName;
+        metrics.monthlyActivity[month] = (metrics.monthlyActivity[month] || 0) + 1;
+    });
+
+    metrics.topProjects = Object.entries(metrics.projectActivity)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 5)
+        .map(([project, count]) => ({ project, count }));
+
+    const mostActive = Object.entries(metrics.monthlyActivity)
+        .sort(([,a], [,b]) => b - a)[0];
+    metrics.mostActiveMonth = mostActive ? mostActive[0] : '';
+
+    return metrics;
+}
+
+/**
+ * Flattens fetched Bitbucket activity into one record per commit, pull request and comment
+ * @param {Object} activity - Result of getBitbucketActivity
+ * @returns {Array} Records with `type`, `repo` and `created_at`
+ */
+function getBitbucketActivityRecords({ pullRequests, commits, comments }) {
+    return [
+        ...commits.map(commit => ({ type: 'commit', repo: commit.repo, created_at: commit.created_at })),
+        ...pullRequests.map(pr => ({ type: 'pull request', repo: pr.project_id, created_at: pr.created_at })),
+        ...comments.map(comment => ({ type: 'comment', repo: comment.repo, created_at: comment.created_at }))
+    ];
+}
+
+/**
+ * Builds the Bitbucket part of the activity summary from fetched activity
+ * @param {Object} activity - Result of getBitbucketActivity
+ * @returns {Object} Bitbucket metrics in the same shape as the other platforms
+ */
+function buildBitbucketSummary(activity) {
+    const { pullRequests, commits, comments } = activity;
+    const records = getBitbucketActivityRecords(activity);
+    const eventMetrics = analyzeActivityRecords(records);
+    const repoNames = Object.keys(eventMetrics.projectActivity);
+
+    return {
+        events: eventMetrics,
+        pullRequests: analyzeMergeRequests(pullRequests),
+        comments: {
+            total: comments.length
+        },
+        timePatterns: analyzeTimePatterns(records),
+        streaks: analyzeStreaks(records),
+        repositories: {
+            total: repoNames.length,
+            names: repoNames
+        },
+        overall: {
+            totalActivities: records.length,
+            totalProjects: repoNames.length,
+            totalCommits: commits.length,
+            totalCreatedPRs: pullRequests.length,
+            totalComments: comments.length
+        }
+    };
+}
+
+/**
+ * Fetches all pages of a Gitea / Forgejo list endpoint
+ * @async
+ * @param {string} url - API endpoint URL
+ * @param {Object} params - Query parameters
+ * @param {number} [maxPages=100] - Maximum number of pages to fetch
+ * @returns {Promise<Array>} All results from all pages combined
+ */
+async function fetchAllGiteaPages(url, params, maxPages = 100) {
+    // Gitea pages with `limit` rather than `per_page` and caps it at 50 by default
+    const limit = Math.min(config.api.perPage, 50);
+    let allResults = [];
+    let totalCount = null;
+    let page = 1;
+
+    while (page <= maxPages) {
+        try {
+            const response = await giteaClient.get(url, {
+                params: { ...params, page, limit }
+            });
+            const results = Array.isArray(response.data) ? response.data : [];
+            allResults = allResults.concat(results);
+            const headerCount = parseInt(response.headers?.['x-total-count'], 10);
+            totalCount = Number.isNaN(headerCount) ? null : headerCount;
+
+            if (results.length < limit) {
+                break;
+            }
+            page++;
+        } catch (error) {
+            handleApiError(`paginated ${url}`, error);
+            recordTruncation(url, allResults.length, describeRequestError(error));
+            return allResults;
+        }
+    }
+
+    // The last allowed page may have been exactly full; only report a truncation when
+    // the total count (or, without one, a look at the next page) shows more results
+    if (page > maxPages && await hasMoreGiteaResults(url, params, page, limit, totalCount, allResults.length)) {
+        recordTruncation(url, allResults.length, `page limit of ${maxPages} reached`);
+    }
+
+    return allResults;
+}
+
+/**
+ * Checks whether a Gitea list has results beyond those already fetched
+ * @async
+ * @param {string} url - API endpoint URL
+ * @param {Object} params - Query parameters
+ * @param {number} page - First page that was not fetched
+ * @param {number} limit - Page size
+ * @param {number|null} totalCount - Value of the `x-total-count` header, if the server sent one
+ * @param {number} fetched - Number of results fetched so far
+ * @returns {Promise<boolean>} True if at least one more result exists
+ */
+async function hasMoreGiteaResults(url, params, page, limit, totalCount, fetched) {
+    if (totalCount !== null) {
+        return totalCount > fetched;
+    }
+
+    try {
+        const response = await giteaClient.get(url, { params: { ...params, page, limit } });
+        return Array.isArray(response.data) && response.data.length > 0;
+    } catch (error) {
+        // Err on the side of warning about missing data
+        return true;
+    }
+}
+
+/**
+ * How far back Gitea's contribution heatmap goes
+ */
+const GITEA_HEATMAP_DAYS = 365;
+
+/**
+ * Fetches the user's contribution heatmap from Gitea / Forgejo, limited to the reporting period.
+ * Periods starting before the heatmap window are recorded as a truncation.
+ * @async
+ * @param {string} username - Gitea username
+ * @param {Object} period - Reporting period to keep contributions for
+ * @returns {Promise<Array>} Heatmap entries ({ timestamp, contributions }) within the period
+ */
+async function getGiteaHeatmap(username, period) {
+    try {
+        const url = `/users/${username}/heatmap`;
+        const response = await giteaClient.get(url);
+        const heatmap = Array.isArray(response.data) ? response.data : [];
+        const entries = heatmap.filter(entry => isInPeriod(entry.timestamp * 1000, period));
+
+        if (period.start < addDays(new Date().toISOString().slice(0, 10), -GITEA_HEATMAP_DAYS)) {
+            recordTruncation(url, entries.length, `the heatmap only covers the last ${GITEA_HEATMAP_DAYS} days`);
+        }
+        return entries;
+    } catch (error) {
+        handleApiError('Gitea heatmap', error);
+        return [];
+    }
+}
+
+/**
+ * Fetches pull requests or issues created by the authenticated Gitea user in the reporting period
+ * @async
+ * @param {string} type - Either `pulls` or `issues`
+ * @param {Object} period - Reporting period to fetch items for
+ * @returns {Promise<Array>} Array of issue objects (pull requests carry a `pull_request` field)
+ */
+async function getGiteaCreatedItems(type, period) {
+    try {
+        // The search endpoint filters on the token's user, so GITEA_TOKEN must belong to GITEA_USERNAME
+        const items = await fetchForPeriod(period, () => fetchAllGiteaPages('/repos/issues/search', {
+            type,
+            state: 'all',
+            created: true,
+            since: period.startTime,
+            before: `${addDays(period.end, 1)}T00:00:00Z`
+        }));
+        return items.filter(item =>
+            isInPeriod(item.created_at, period) && isRepoAllowed(item.repository?.full_name, config.gitea.allowedRepos)
+        );
+    } catch (error) {
+        handleApiError(`Gitea ${type}`, error);
+        return [];
+    }
+}
+
+/**
+ * Converts a Gitea pull request or issue into the shape analyzeMergeRequests/analyzeIssues expect
+ * @param {Object} item - Gitea issue object from the search endpoint
+ * @returns {Object} Object with id, project_id, state, created_at and merged_at
+ */
+function normalizeGiteaItem(item) {
+    let state = item.state === 'open' ? 'opened' : 'closed';
+    if (item.pull_request?.merged) {
+        state = 'merged';
+    }
+
+    return {
+        id: item.id,
+        project_id: item.repository?.full_name || 'unknown',
+        title: item.title,
+        state,
+        created_at: item.created_at,
+        merged_at: item.pull_request?.merged_at || null
+    };
+}
+
+/**
+ * Expands a Gitea heatmap into one record per contribution. The heatmap is the only
+ * per-timestamp activity Gitea exposes, so this is what the time and streak analyzers use.
+ * @param {Array} heatmap - Heatmap entries with `timestamp` (seconds) and `contributions`
+ * @returns {Array} Records with `created_at`
+ */
+function expandGiteaHeatmap(heatmap) {
+    return heatmap.flatMap(entry =>
+        new Array(entry.contributions).fill({ created_at: new Date(entry.timestamp * 1000).toISOString() })
+    );
+}
+
+/**
+ * Builds the Gitea part of the activity summary from fetched data
+ * @param {Object} data - Object with `heatmap`, `pullRequests` and `issues`
+ * @returns {Object} Gitea metrics in the same shape as the other platforms
+ */
+function buildGiteaSummary({ heatmap, pullRequests, issues }) {
+    const normalizedPRs = pullRequests.map(normalizeGiteaItem);
+    const normalizedIssues = issues.map(normalizeGiteaItem);
+
+    const contributionRecords = expandGiteaHeatmap(heatmap);
+    const byDate = {};
+    contributionRecords.forEach(record => {
+        const dateStr = record.created_at.split('T')[0];
+        byDate[dateStr] = (byDate[dateStr] || 0) + 1;
+    });
+
+    const eventMetrics = analyzeActivityRecords([
+        ...normalizedPRs.map(pr => ({ type: 'pull request', repo: pr.project_id, created_at: pr.created_at })),
+        ...normalizedIssues.map(issue => ({ type: 'issue', repo: issue.project_id, created_at: issue.created_at }))
+    ]);
+    const timeMetrics = analyzeTimePatterns(contributionRecords);
+    // Monthly charts should reflect every contribution, not just PRs and issues
+    eventMetrics.monthlyActivity = timeMetrics.monthlyActivity;
+    const mostActive = Object.entries(timeMetrics.monthlyActivity).sort(([,a], [,b]) => b - a)[0];
+    eventMetrics.mostActiveMonth = mostActive ? mostActive[0] : '';
+
+    // Heatmap entries carry no repository, so only pull requests and issues name one
+    const repoNames = Object.keys(eventMetrics.projectActivity);
+
+    return {
+        events: eventMetrics,
+        contributions: {
+            total: contributionRecords.length,
+            byDate
+        },
+        pullRequests: analyzeMergeRequests(normalizedPRs),
+        issues: analyzeIssues(normalizedIssues),
+        timePatterns: timeMetrics,
+        streaks: analyzeStreaks(contributionRecords),
+        repositories: {
+            total: repoNames.length,
+            names: repoNames
+        },
+        overall: {
+            totalActivities: contributionRecords.length,
+            totalProjects: repoNames.length,
+            totalCreatedPRs: normalizedPRs.length,
+            totalCreatedIssues: normalizedIssues.length
+        }
+    };
+}
+
+/**
+ * Runs `git log` in a local clone and returns the user's commits for a reporting period
+ * @async
+ * @param {string} repoPath - Path to the local git clone
+ * @param {Array<string>} authorEmails - Commit author emails belonging to the user
+ * @param {number|Object} yearOrPeriod - Calendar year or reporting period to fetch commits for
+ * @returns {Promise<Array>} Array of commit objects ({ sha, created_at, author_email, author_name, title, repo })
+ */
+async function getLocalRepoCommits(repoPath, authorEmails, yearOrPeriod) {
+    const period = resolvePeriod(yearOrPeriod);
+    const repo = path.basename(path.resolve(repoPath));
+    const args = [
+        '-C', repoPath,
+        'log',
+        '--all',
+        '--no-merges',
+        // Only a lower bound: --since/--until look at the committer date, and a commit
+        // authored in the period may have been rebased or cherry-picked after it ended
+        `--since=${period.start}T00:00:00`,
+        // Unit and record separators keep commit subjects with any punctuation intact
+        '--pretty=format:%H%x1f%aI%x1f%ae%x1f%an%x1f%s%x1e',
+        '--regexp-ignore-case',
+        '--fixed-strings',
+        ...authorEmails.map(email => `--author=${email}`)
+    ];
+
+    try {
+        const stdout = await runRecordedGit(args);
+        const emails = authorEmails.map(email => email.toLowerCase());
+
+        // --author is a substring match, so confirm the exact email here, and keep the
+        // commits whose author date falls in the period
+        const commits = stdout
+            .split('\x1e')
+            .map(record => record.trim())
+            .filter(Boolean)
+            .map(record => {
+                const [sha, date, email, name, title] = record.split('\x1f');
+                return { sha, created_at: date, author_email: email, author_name: name, title, repo };
+            })
+            .filter(commit => emails.includes((commit.author_email || '').toLowerCase()))
+            .filter(commit => isInPeriod(commit.created_at, period));
+
+        console.log(`Fetched ${commits.length} local commits from ${repo} in ${period.label}`);
+        return commits;
+    } catch (error) {
+        console.error(`Error reading local repository ${repoPath}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetches the user's commits for the reporting period from every configured local clone
+ * @async
+ * @param {Object} period - Reporting period to fetch commits for
+ * @returns {Promise<Array>} Commits from all repositories, in no particular order
+ */
+async function getLocalCommits(period) {
+    const commitsPerRepo = await Promise.all(
+        config.local.repos.map(repoPath => getLocalRepoCommits(repoPath, config.local.authorEmails, period))
+    );
+    return commitsPerRepo.flat();
+}
+
+/**
+ * Analyzes local git commits into the same metric shape analyzeEvents produces
+ * @param {Array} commits - Array of commit objects from getLocalCommits
+ * @returns {Object} Metrics including activity types, repositories, monthly data, and top repositories
+ */
+function analyzeLocalCommits(commits) {
+    return analyzeActivityRecords(commits.map(commit => ({ type: 'commit', repo: commit.repo, created_at: commit.created_at })));
+}
+
+// Function to handle API errors
+function handleApiError(entity, error) {
+    if (error.response) {
+        // The request was made and the server responded with a status code
+        // that falls out of the range of 2xx
+        console.error(`API Error fetching ${entity}:`, {
+            status: error.response.status,
+            statusText: error.response.statusText,
+            data: error.response.data,
+            url: error.config.url
+        });
+    } else if (error.request) {
+        // The request was made but no response was received
+        console.error(`Network Error fetching ${entity}:`, error.request);
+    } else {
+        // Something happened in setting up the request that triggered an Error
+        console.error(`Error fetching ${entity}:`, error.message);
+    }
+}
+
+/**
+ * Version of the JSON report schema. Bump the major part when a field is
+ * removed or changes meaning, the minor part when fields are only added.
+ */
+const REPORT_SCHEMA_VERSION = '1.13';
+
+/**
+ * File extensions used for each supported output format
+ */
+const OUTPUT_EXTENSIONS = {
+    markdown: 'md',
+    json: 'json',
+    html: 'html'
+};
+
+/**
+ * Returns the file extension for the configured output format
+ * @returns {string} File extension without the leading dot
+ */
+function getOutputExtension() {
+    return OUTPUT_EXTENSIONS[config.output.format] || OUTPUT_EXTENSIONS.markdown;
+}
+
+/**
+ * Serializes a single-user activity summary into the versioned JSON report schema
+ *
+ * Schema:
+ * - `schema` {string} Always `year-in-code/user-report`
+ * - `schemaVersion` {string} Version of this schema
+ * - `generatedAt` {string} ISO 8601 timestamp of generation
+ * - `year` {number} Year the report covers (the year the period starts in)
+ * - `period` {Object} Reporting period: `start`, `end` (inclusive YYYY-MM-DD, UTC),
+ *   `label`, `slug` and `isCalendarYear`
+ * - `platforms` {string[]} Platforms with data (`gitlab`, `github`, `bitbucket`, `gitea`, `local`)
+ * - `summary` {Object} The summary from getUserActivitySummary: `overall`,
+ *   `gitlab` (events, mergeRequests, issues, codeReviews, churn, timePatterns, streaks,
+ *   projects, overall), `github` (events, pullRequests, issues, churn, timePatterns,
+ *   streaks, user, commits, contributions), `bitbucket` (events, pullRequests, comments,
+ *   timePatterns, streaks, repositories, overall), `gitea` (events,
+ *   contributions, pullRequests, issues, timePatterns, streaks, repositories,
+ *   overall) and `local` (events, timePatterns, streaks, repositories,
+ *   overall). `gitlab.projects.details` lists each project with id, name,
+ *   pathWithNamespace, namespace, visibility and webUrl. Platforms that are
+ *   not configured are `null`. `truncated`
+ *   lists paginated requests that stopped early (`url`, `fetched`, `reason`).
+ *   `timezone` is the IANA timezone used for hours, weekdays and streaks.
+ *   With --compare, `comparison` holds year-over-year deltas from compareSummaries.
+ *   Durations such as `averageTimeToMerge` are in milliseconds.
+ *
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {string} Pretty-printed JSON document
+ */
+function generateJsonReport(summary) {
+    const document = {
+        schema: 'year-in-code/user-report',
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        year: summary.year,
+        period: summary.period,
+        platforms: ['gitlab', 'github', 'bitbucket', 'gitea', 'local'].filter(platform => summary[platform]),
+        summary
+    };
+
+    return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Serializes team summaries into the versioned JSON report schema
+ *
+ * Schema:
+ * - `schema` {string} Always `year-in-code/team-report`
+ * - `schemaVersion` {string} Version of this schema
+ * - `generatedAt` {string} ISO 8601 timestamp of generation
+ * - `year` {number} Year the report covers (the year the period starts in)
+ * - `period` {Object} Reporting period, as in the user report
+ * - `team` {Object} Aggregates: `totalMembers`, `totalActivities`, `totalProjects`
+ * - `members` {Object[]} One user summary per member (same shape as the
+ *   `summary` field of the user report) plus the member's `username`
+ * - `failedMembers` {Object[]} Members whose data could not be fetched, with
+ *   `username` and `error`
+ *
+ * @param {Array} teamSummaries - Array of summaries from runTeamYearInReview
+ * @param {Array} [failedMembers=[]] - Members that failed, from runTeamYearInReview
+ * @returns {string} Pretty-printed JSON document
+ */
+function generateTeamJsonReport(teamSummaries, failedMembers = []) {
+    const document = {
+        schema: 'year-in-code/team-report',
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        year: config.year,
+        period: config.period,
+        team: {
+            totalMembers: teamSummaries.length,
+            totalActivities: teamSummaries.reduce((sum, s) => sum + (s.overall?.totalActivities || 0), 0),
+            totalProjects: new Set(teamSummaries.flatMap(s => s.gitlab?.projects?.names || [])).size
+        },
+        members: teamSummaries,
+        failedMembers
+    };
+
+    return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Serializes a career history into the versioned JSON report schema
+ *
+ * Schema:
+ * - `schema` {string} Always `year-in-code/career-report`
+ * - `schemaVersion` {string} Version of this schema
+ * - `generatedAt` {string} ISO 8601 timestamp of generation
+ * - `firstYear`, `lastYear` {number} Years the report covers
+ * - `user` {Object|null} `name` and `username` of the user
+ * - `career` {Object} The result of analyzeCareer
+ *
+ * @param {Object} career - Career from analyzeCareer
+ * @param {Object} [user=null] - User shown in the report ({ name, username })
+ * @returns {string} Pretty-printed JSON document
+ */
+function generateCareerJsonReport(career, user = null) {
+    const document = {
+        schema: 'year-in-code/career-report',
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        firstYear: career.firstYear,
+        lastYear: career.lastYear,
+        user,
+        career
+    };
+
+    return JSON.stringify(document, null, 2);
+}
+
+// Function to determine appropriate filename based on data sources
+function getOutputFilename(summary) {
+    let platform = 'gitlab'; // default
+
+    // Determine platform based on what data is available in the summary
+    const hasGitLab = summary.gitlab && summary.gitlab.events && summary.gitlab.events.totalEvents > 0;
+    const hasGitHub = summary.github && summary.github.events && summary.github.events.totalEvents > 0;
+    const hasBitbucket = summary.bitbucket && summary.bitbucket.events && summary.bitbucket.events.totalEvents > 0;
+    const hasGitea = summary.gitea && summary.gitea.overall && summary.gitea.overall.totalActivities > 0;
+    const hasLocal = summary.local && summary.local.events && summary.local.events.totalEvents > 0;
+
+    if ([hasGitLab, hasGitHub, hasBitbucket, hasGitea, hasLocal].filter(Boolean).length > 1) {
+        platform = 'all-platforms';
+    } else if (hasGitHub) {
+        platform = 'github';
+    } else if (hasBitbucket) {
+        platform = 'bitbucket';
+    } else if (hasGitea) {
+        platform = 'gitea';
+    } else if (hasLocal) {
+        platform = 'local';
+    } else if (hasGitLab) {
+        platform = 'gitlab';
+    }
+
+    // Use custom filename if provided, otherwise generate based on platform
+    const customFilename = process.env.OUTPUT_FILENAME;
+    if (customFilename) {
+        return customFilename;
+    }
+
+    return `${platform}-year-in-review-${config.period.slug}.${getOutputExtension()}`;
+}
+
+// Function to save the report to a file
+async function saveReportToFile(report, summary) {
+    try {
+        const filename = getOutputFilename(summary);
+        await fs.writeFile(filename, report);
+        console.log(`Report saved to ${filename}`);
+    } catch (error) {
+        console.error('Error saving report to file:', error);
+        throw error;
+    }
+}
+
+// Function to generate a simple text-based visualization
+function generateActivityVisualization(summary) {
+    let visualization = `## Activity Visualization\n\n`;
+    const months = getPeriodMonthNames(resolvePeriod(summary.period || summary.year));
+
+    // GitLab monthly activity chart
+    if (summary.gitlab && summary.gitlab.events) {
+        visualization += `### GitLab Monthly Activity Chart\n\n`;
+
+        // Find max activity count for scaling
+        const maxActivity = Math.max(...Object.values(summary.gitlab.events.monthlyActivity), 1);
+
+        months.forEach(month => {
+            const count = summary.gitlab.events.monthlyActivity[month] || 0;
+            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
+        });
+
+        visualization += `\n`;
+    }
+
+    // GitHub monthly activity chart if available
+    if (summary.github && summary.github.events) {
+        visualization += `### GitHub Monthly Activity Chart\n\n`;
+
+        // Find max activity count for scaling
+        const maxActivity = Math.max(...Object.values(summary.github.events.monthlyActivity), 1);
+
+        months.forEach(month => {
+            const count = summary.github.events.monthlyActivity[month] || 0;
+            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
+        });
+
+        visualization += `\n`;
+    }
+
+    // Bitbucket monthly activity chart if available
+    if (summary.bitbucket && summary.bitbucket.events) {
+        visualization += `### Bitbucket Monthly Activity Chart\n\n`;
+
+        // Find max activity count for scaling
+        const maxActivity = Math.max(...Object.values(summary.bitbucket.events.monthlyActivity), 1);
+
+        months.forEach(month => {
+            const count = summary.bitbucket.events.monthlyActivity[month] || 0;
+            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
+        });
+
+        visualization += `\n`;
+    }
+
+    // Gitea monthly activity chart if available
+    if (summary.gitea && summary.gitea.events) {
+        visualization += `### Gitea Monthly Activity Chart\n\n`;
+
+        // Find max activity count for scaling
+        const maxActivity = Math.max(...Object.values(summary.gitea.events.monthlyActivity), 1);
+
+        months.forEach(month => {
+            const count = summary.gitea.events.monthlyActivity[month] || 0;
+            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
+        });
+
+        visualization += `\n`;
+    }
+
+    // Local git monthly activity chart if available
+    if (summary.local && summary.local.events) {
+        visualization += `### Local Git Monthly Activity Chart\n\n`;
+
+        // Find max activity count for scaling
+        const maxActivity = Math.max(...Object.values(summary.local.events.monthlyActivity), 1);
+
+        months.forEach(month => {
+            const count = summary.local.events.monthlyActivity[month] || 0;
+            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
+            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
+            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
+        });
+
+        visualization += `\n`;
+    }
+
+    visualization += generateContributionCalendarSection(summary);
+
+    return visualization;
+}
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Escapes a value for safe inclusion in HTML text or attribute content
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-escaped string
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a monthly activity object as an inline SVG bar chart
+ * @param {Object} monthlyActivity - Map of month name to activity count
+ * @param {Array<string>} [months=MONTH_NAMES] - Months of the reporting period, in order
+ * @param {string} [color='#4c6ef5'] - Bar fill color
+ * @returns {string} SVG markup
+ */
+function renderMonthlyBarChartSvg(monthlyActivity, months = MONTH_NAMES, color = '#4c6ef5') {
+    const width = 720;
+    const height = 240;
+    const padding = { top: 20, right: 10, bottom: 40, left: 40 };
+    const chartHeight = height - padding.top - padding.bottom;
+    const slot = (width - padding.left - padding.right) / months.length;
+    const maxActivity = Math.max(...months.map(month => monthlyActivity?.[month] || 0), 1);
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Monthly activity">`;
+    svg += `<line x1="${padding.left}" y1="${padding.top + chartHeight}" x2="${width - padding.right}" y2="${padding.top + chartHeight}" stroke="#adb5bd"/>`;
+    svg += `<text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end" class="axis">${maxActivity}</text>`;
+    svg += `<text x="${padding.left - 6}" y="${padding.top + chartHeight}" text-anchor="end" class="axis">0</text>`;
+
+    months.forEach((month, index) => {
+        const count = monthlyActivity?.[month] || 0;
+        const barHeight = Math.round((count / maxActivity) * chartHeight);
+        const x = padding.left + index * slot + slot * 0.15;
+        const y = padding.top + chartHeight - barHeight;
+        svg += `<rect x="${x.toFixed(1)}" y="${y}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight}" fill="${color}"><title>${month}: ${count}</title></rect>`;
+        svg += `<text x="${(x + slot * 0.35).toFixed(1)}" y="${padding.top + chartHeight + 16}" text-anchor="middle" class="axis">${month.slice(0, 3)}</text>`;
+    });
+
+    svg += `</svg>`;
+    return svg;
+}
+
+/**
+ * Renders a 7x24 day-of-week by hour-of-day grid as an inline SVG heatmap
+ * @param {Array<Array<number>>} dayHourActivity - Counts indexed as [day][hour]
+ * @returns {string} SVG markup
+ */
+function renderDayHourHeatmapSvg(dayHourActivity) {
+    const cell = 24;
+    const left = 90;
+    const top = 20;
+    const width = left + cell * 24 + 10;
+    const height = top + cell * 7 + 10;
+    const grid = dayHourActivity || [];
+    const maxActivity = Math.max(...grid.flat(), 1);
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Activity by day and hour">`;
+
+    for (let hour = 0; hour < 24; hour += 3) {
+        svg += `<text x="${left + hour * cell + cell / 2}" y="${top - 6}" text-anchor="middle" class="axis">${hour}</text>`;
+    }
+
+    DAY_NAMES.forEach((dayName, day) => {
+        svg += `<text x="${left - 8}" y="${top + day * cell + cell * 0.65}" text-anchor="end" class="axis">${dayName}</text>`;
+        for (let hour = 0; hour < 24; hour++) {
+            const count = grid[day]?.[hour] || 0;
+            // Keep empty cells faintly visible so the grid shape stays readable
+            const opacity = count > 0 ? (0.2 + 0.8 * (count / maxActivity)).toFixed(2) : '0.05';
+            svg += `<rect x="${left + hour * cell + 1}" y="${top + day * cell + 1}" width="${cell - 2}" height="${cell - 2}" rx="3" fill="#2f9e44" fill-opacity="${opacity}"><title>${dayName} ${hour}:00 - ${count} activities</title></rect>`;
+        }
+    });
+
+    svg += `</svg>`;
+    return svg;
+}
+
+/**
+ * Renders a list of label/value pairs as an HTML definition table
+ * @param {Array<Array>} rows - Array of [label, value] pairs
+ * @returns {string} HTML table markup
+ */
+function renderHtmlStatsTable(rows) {
+    let html = `<table class="stats">`;
+    rows.forEach(([label, value]) => {
+        html += `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    });
+    html += `</table>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible GitLab section of the HTML report
+ * @param {Object} gitlab - GitLab part of the activity summary
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderGitLabHtmlSection(gitlab, period) {
+    const avgDays = Math.round(gitlab.mergeRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+
+    let html = `<details open class="platform gitlab"><summary>GitLab Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Activities', gitlab.overall.totalActivities],
+        ['Projects Involved', gitlab.overall.totalProjects],
+        ['Merge Requests Created', gitlab.mergeRequests.totalCreated],
+        ['Merge Requests Merged', gitlab.mergeRequests.mergedCount],
+        ['Average Time to Merge', gitlab.mergeRequests.averageTimeToMerge > 0 ? `${avgDays} days` : 'n/a'],
+        ['Issues Created', gitlab.issues.totalCreated],
+        ['Issues Closed', gitlab.issues.closedCount],
+        ['Code Reviews', gitlab.codeReviews.totalReviewed],
+        ['Lines Added / Removed', gitlab.churn ? `+${gitlab.churn.totalAdditions} / -${gitlab.churn.totalDeletions}` : 'n/a'],
+        ['Merge Requests Approved', gitlab.codeReviews.approvedCount ?? 'n/a'],
+        ['Merge Requests Commented On', gitlab.codeReviews.commentedCount ?? 'n/a'],
+        ['Longest Activity Streak', `${gitlab.streaks.maxStreak} days`],
+        ['Total Active Days', gitlab.streaks.totalActiveDays]
+    ]);
+
+    html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(gitlab.events.monthlyActivity, getPeriodMonthNames(period), '#fc6d26')}`;
+    if (gitlab.streaks?.activityByDate) {
+        html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(gitlab.streaks.activityByDate, period))}`;
+    }
+    if (gitlab.timePatterns?.dayHourActivity) {
+        html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(gitlab.timePatterns.dayHourActivity)}`;
+    }
+
+    if (gitlab.events.topProjects.length > 0) {
+        html += `<h3>Top Projects</h3><ol>`;
+        gitlab.events.topProjects.forEach(project => {
+            html += `<li>${escapeHtml(project.project)}: ${project.count} activities</li>`;
+        });
+        html += `</ol>`;
+    }
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible GitHub section of the HTML report
+ * @param {Object} github - GitHub part of the activity summary
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderGitHubHtmlSection(github, period) {
+    const avgMergeDays = Math.round((github.pullRequests?.averageTimeToMerge || 0) / (1000 * 60 * 60 * 24));
+    const avgCloseDays = Math.round((github.issues?.averageTimeToClose || 0) / (1000 * 60 * 60 * 24));
+
+    let html = `<details open class="platform github"><summary>GitHub Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Events', github.events?.totalEvents || 0],
+        ['Total Commits', github.commits || 0],
+        ['Total Contributions', github.contributions?.total || 0],
+        ['Pull Requests Created', github.pullRequests?.totalCreated || 0],
+        ['Pull Requests Merged', github.pullRequests?.mergedCount || 0],
+        ['Average Time to Merge', github.pullRequests?.averageTimeToMerge > 0 ? `${avgMergeDays} days` : 'n/a'],
+        ['Issues Created', github.issues?.totalCreated || 0],
+        ['Issues Closed', github.issues?.closedCount || 0],
+        ['Average Time to Close', github.issues?.averageTimeToClose > 0 ? `${avgCloseDays} days` : 'n/a'],
+        ['Lines Added / Removed', github.churn ? `+${github.churn.totalAdditions} / -${github.churn.totalDeletions}` : 'n/a'],
+        ['Longest Activity Streak', `${github.streaks?.maxStreak || 0} days`],
+        ['Total Active Days', github.streaks?.totalActiveDays || 0]
+    ]);
+
+    if (github.events) {
+        html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(github.events.monthlyActivity, getPeriodMonthNames(period), '#6e40c9')}`;
+    }
+    const githubByDate = github.contributions?.byDate || github.streaks?.activityByDate;
+    if (githubByDate) {
+        html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(githubByDate, period))}`;
+    }
+    if (github.timePatterns?.dayHourActivity) {
+        html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(github.timePatterns.dayHourActivity)}`;
+    }
+
+    if (github.events?.topRepos.length > 0) {
+        html += `<h3>Top Repositories</h3><ol>`;
+        github.events.topRepos.forEach(repo => {
+            html += `<li>${escapeHtml(repo.repo)}: ${repo.count} activities</li>`;
+        });
+        html += `</ol>`;
+    }
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible Bitbucket section of the HTML report
+ * @param {Object} bitbucket - Bitbucket part of the activity summary
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderBitbucketHtmlSection(bitbucket, period) {
+    const avgDays = Math.round(bitbucket.pullRequests.averageTimeToMerge / (1000 * 60 * 60 * 24));
+
+    let html = `<details open class="platform bitbucket"><summary>Bitbucket Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Activities', bitbucket.overall.totalActivities],
+        ['Repositories Involved', bitbucket.overall.totalProjects],
+        ['Pull Requests Created', bitbucket.pullRequests.totalCreated],
+        ['Pull Requests Merged', bitbucket.pullRequests.mergedCount],
+        ['Average Time to Merge', bitbucket.pullRequests.averageTimeToMerge > 0 ? `${avgDays} days` : 'n/a'],
+        ['Commits', bitbucket.overall.totalCommits],
+        ['Pull Request Comments', bitbucket.comments.total],
+        ['Longest Activity Streak', `${bitbucket.streaks.maxStreak} days`],
+        ['Total Active Days', bitbucket.streaks.totalActiveDays]
+    ]);
+
+    html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(bitbucket.events.monthlyActivity, getPeriodMonthNames(period), '#0052cc')}`;
+    html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(bitbucket.streaks.activityByDate, period))}`;
+    html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(bitbucket.timePatterns.dayHourActivity)}`;
+
+    if (bitbucket.events.topProjects.length > 0) {
+        html += `<h3>Top Repositories</h3><ol>`;
+        bitbucket.events.topProjects.forEach(project => {
+            html += `<li>${escapeHtml(project.project)}: ${project.count} activities</li>`;
+        });
+        html += `</ol>`;
+    }
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible Gitea / Forgejo section of the HTML report
+ * @param {Object} gitea - Gitea part of the activity summary
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderGiteaHtmlSection(gitea, period) {
+    let html = `<details open class="platform gitea"><summary>Gitea Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Contributions', gitea.contributions.total],
+        ['Repositories', gitea.overall.totalProjects],
+        ['Pull Requests Created', gitea.pullRequests.totalCreated],
+        ['Pull Requests Merged', gitea.pullRequests.mergedCount],
+        ['Issues Created', gitea.issues.totalCreated],
+        ['Longest Activity Streak', `${gitea.streaks.maxStreak} days`],
+        ['Total Active Days', gitea.streaks.totalActiveDays]
+    ]);
+
+    html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(gitea.events.monthlyActivity, getPeriodMonthNames(period), '#609926')}`;
+    html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(gitea.contributions.byDate, period))}`;
+    html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(gitea.timePatterns.dayHourActivity)}`;
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible local git section of the HTML report
+ * @param {Object} local - Local git part of the activity summary
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderLocalHtmlSection(local, period) {
+    let html = `<details open class="platform local"><summary>Local Git Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Commits', local.overall.totalCommits],
+        ['Repositories Involved', local.overall.totalProjects],
+        ['Longest Activity Streak', `${local.streaks.maxStreak} days`],
+        ['Total Active Days', local.streaks.totalActiveDays]
+    ]);
+
+    html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(local.events.monthlyActivity, getPeriodMonthNames(period), '#f05033')}`;
+    html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(local.streaks.activityByDate, period))}`;
+    html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(local.timePatterns.dayHourActivity)}`;
+
+    if (local.events.topProjects.length > 0) {
+        html += `<h3>Top Repositories</h3><ol>`;
+        local.events.topProjects.forEach(project => {
+            html += `<li>${escapeHtml(project.project)}: ${project.count} commits</li>`;
+        });
+        html += `</ol>`;
+    }
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Renders the collapsible section for activity merged across platforms
+ * @param {Object} combined - Combined part of the activity summary, from analyzeCombinedActivity
+ * @param {Object} period - Reporting period the report covers
+ * @returns {string} HTML markup
+ */
+function renderCombinedHtmlSection(combined, period) {
+    let html = `<details open class="platform combined"><summary>Combined Activity</summary>`;
+    html += renderHtmlStatsTable([
+        ['Total Activities', combined.totalActivities],
+        ['Longest Activity Streak', `${combined.streaks.maxStreak} days`],
+        ['Total Active Days', combined.streaks.totalActiveDays]
+    ]);
+
+    html += `<h3>Monthly Activity</h3>${renderMonthlyBarChartSvg(combined.timePatterns.monthlyActivity, getPeriodMonthNames(period))}`;
+    html += `<h3>Contribution Calendar</h3>${renderContributionCalendarSvg(buildContributionCalendar(combined.streaks.activityByDate, period))}`;
+    html += `<h3>Activity by Day and Hour</h3>${renderDayHourHeatmapSvg(combined.timePatterns.dayHourActivity)}`;
+
+    html += `</details>`;
+    return html;
+}
+
+/**
+ * Wraps rendered report content in a standalone HTML document with inline styles
+ * @param {string} title - Document title
+ * @param {string} body - Body markup
+ * @returns {string} Complete HTML document
+ */
+function wrapHtmlDocument(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+h1 { border-bottom: 2px solid #dee2e6; padding-bottom: .5rem; }
+details { border: 1px solid #dee2e6; border-radius: 8px; padding: .5rem 1rem; margin: 1rem 0; }
+summary { font-size: 1.3rem; font-weight: 600; cursor: pointer; }
+table.stats { border-collapse: collapse; margin: 1rem 0; }
+table.stats th { text-align: left; font-weight: normal; color: #495057; padding: .2rem 1.5rem .2rem 0; }
+table.stats td { font-weight: 600; }
+svg.chart { width: 100%; height: auto; }
+svg .axis { font-size: 11px; fill: #495057; }
+.warning { background: #fff3cd; border: 1px solid #ffe69c; border-radius: 8px; padding: .5rem 1rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Generates a self-contained HTML year-in-review report with inline SVG charts
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {string} Complete HTML document
+ */
+function generateHtmlReport(summary) {
+    const { user, year, gitlab, github, bitbucket, gitea, local, overall } = summary;
+    const period = resolvePeriod(summary.period || year);
+    const title = `Combined Year-in-Review Report - ${formatPeriod(period)}`;
+
+    let body = `<h1>${escapeHtml(title)}</h1>`;
+    if (user) {
+        body += `<h2>User: ${escapeHtml(user.name)} (@${escapeHtml(user.username)})</h2>`;
+    }
+
+    body += `<h2>Overview</h2>`;
+    body += renderHtmlStatsTable([
+        ['Total Activities', overall.totalActivities],
+        ['Projects Involved', overall.totalProjects],
+        ['Timezone', summary.timezone || 'n/a']
+    ]);
+
+    if (summary.truncated?.length > 0) {
+        body += `<div class="warning"><strong>Incomplete data:</strong> some API results were cut short, so the numbers below may be too low.<ul>`;
+        summary.truncated.forEach(({ url, fetched, reason }) => {
+            body += `<li><code>${escapeHtml(url)}</code>: stopped after ${fetched} items (${escapeHtml(reason)})</li>`;
+        });
+        body += `</ul></div>`;
+    }
+
+    if (gitlab) {
+        body += renderGitLabHtmlSection(gitlab, period);
+    }
+    if (github) {
+        body += renderGitHubHtmlSection(github, period);
+    }
+    if (bitbucket) {
+        body += renderBitbucketHtmlSection(bitbucket, period);
+    }
+    if (gitea) {
+        body += renderGiteaHtmlSection(gitea, period);
+    }
+    if (local) {
+        body += renderLocalHtmlSection(local, period);
+    }
+    if (summary.combined) {
+        body += renderCombinedHtmlSection(summary.combined, period);
+    }
+
+    return wrapHtmlDocument(title, body);
+}
+
+/**
+ * Generates a self-contained HTML team report with one collapsible section per member
+ * @param {Array} teamSummaries - Array of summaries from runTeamYearInReview
+ * @param {Array} [failedMembers=[]] - Members that failed, from runTeamYearInReview
+ * @returns {string} Complete HTML document
+ */
+function generateTeamHtmlReport(teamSummaries, failedMembers = []) {
+    const title = `Team Year-in-Review Report - ${formatPeriod(config.period)}`;
+
+    let body = `<h1>${escapeHtml(title)}</h1>`;
+    body += renderHtmlStatsTable([
+        ['Total Team Members', teamSummaries.length],
+        ['Total Activities', teamSummaries.reduce((sum, s) => sum + (s.overall?.totalActivities || 0), 0)],
+        ['Total Projects', new Set(teamSummaries.flatMap(s => s.gitlab?.projects?.names || [])).size],
+        ['Default Timezone', config.timezone]
+    ]);
+
+    for (const summary of teamSummaries) {
+        body += `<details class="member"><summary>${escapeHtml(getMemberDisplayName(summary))} (@${escapeHtml(summary.username)})</summary>`;
+        if (summary.timezone && summary.timezone !== config.timezone) {
+            body += `<p>Timezone: ${escapeHtml(summary.timezone)}</p>`;
+        }
+        if (summary.gitlab) {
+            body += renderGitLabHtmlSection(summary.gitlab, summary.period || config.period);
+        }
+        if (summary.github) {
+            body += renderGitHubHtmlSection(summary.github, summary.period || config.period);
+        }
+        if (summary.bitbucket) {
+            body += renderBitbucketHtmlSection(summary.bitbucket, summary.period || config.period);
+        }
+        if (summary.gitea) {
+            body += renderGiteaHtmlSection(summary.gitea, summary.period || config.period);
+        }
+        if (summary.local) {
+            body += renderLocalHtmlSection(summary.local, summary.period || config.period);
+        }
+        body += `</details>`;
+    }
+
+    if (failedMembers.length > 0) {
+        body += `<h2>Members That Failed</h2><div class="warning"><ul>`;
+        failedMembers.forEach(({ username, error }) => {
+            body += `<li>@${escapeHtml(username)}: ${escapeHtml(error)}</li>`;
+        });
+        body += `</ul></div>`;
+    }
+
+    return wrapHtmlDocument(title, body);
+}
+
+/**
+ * Generates a self-contained HTML career history report
+ * @param {Object} career - Career from analyzeCareer
+ * @param {Object} [user=null] - User shown in the heading ({ name, username })
+ * @returns {string} Complete HTML document
+ */
+function generateCareerHtmlReport(career, user = null) {
+    const title = `Career in Code - ${career.firstYear} to ${career.lastYear}`;
+
+    let body = `<h1>${escapeHtml(title)}</h1>`;
+    if (user) {
+        body += `<h2>User: ${escapeHtml(user.name)} (@${escapeHtml(user.username)})</h2>`;
+    }
+
+    body += `<h2>Lifetime</h2>`;
+    body += renderHtmlStatsTable([
+        ['Years', career.years.length],
+        ['Total Activities', career.totalActivities],
+        ['Total Active Days', career.activeDays],
+        ['Longest Activity Streak', career.longestStreak.days > 0 ? `${career.longestStreak.days} days (${career.longestStreak.start} to ${career.longestStreak.end})` : 'n/a'],
+        ['Busiest Year', career.busiestYear ? `${career.busiestYear.year} (${career.busiestYear.totalActivities} activities)` : 'n/a']
+    ]);
+
+    body += `<h2>Yearly Totals</h2>`;
+    body += renderHtmlStatsTable(career.years.map(year => [
+        year.year,
+        `${year.totalActivities} activities in ${year.totalProjects} projects, ${year.activeDays} active days, longest streak ${year.longestStreak} days`
+    ]));
+
+    body += `<h2>Top Projects by Year</h2>`;
+    body += renderHtmlStatsTable(career.years.map(year => [
+        year.year,
+        year.topProjects.map(project => `${project.name} (${project.count})`).join(', ') || 'n/a'
+    ]));
+
+    body += `<h2>Working Hours</h2><p>Hours are in ${escapeHtml(career.timezone)}.</p>`;
+    body += renderHtmlStatsTable(career.years.map(year => [year.year, formatCareerWorkingHours(year)]));
+
+    return wrapHtmlDocument(title, body);
+}
+
+/**
+ * Intensity glyphs for the markdown contribution calendar, from no activity to busiest
+ */
+const CALENDAR_GLYPHS = ['·', '░', '▒', '▓', '█'];
+
+/**
+ * Fill colors for the SVG contribution calendar, matching CALENDAR_GLYPHS levels
+ */
+const CALENDAR_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+
+/**
+ * Sums several date-keyed activity maps into one
+ * @param {...Object} maps - Objects mapping YYYY-MM-DD to activity count
+ * @returns {Object} Combined map of YYYY-MM-DD to activity count
+ */
+function mergeActivityByDate(...maps) {
+    const merged = {};
+    maps.filter(Boolean).forEach(map => {
+        for (const [date, count] of Object.entries(map)) {
+            merged[date] = (merged[date] || 0) + count;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Lays out a reporting period of daily activity counts as a week x 7-day calendar grid
+ * (53 weeks for a calendar year)
+ * @param {Object} activityByDate - Map of YYYY-MM-DD to activity count
+ * @param {number|Object} yearOrPeriod - Calendar year or reporting period the calendar covers
+ * @returns {Object} Calendar with `weeks` (columns of 7 day cells, Sunday first,
+ *   `null` outside the period), `year`, `label`, `maxCount` and `total`
+ */
+function buildContributionCalendar(activityByDate, yearOrPeriod) {
+    const period = resolvePeriod(yearOrPeriod);
+    const weeks = [];
+    let week = new Array(7).fill(null);
+    let maxCount = 0;
+    let total = 0;
+
+    // Walk the period in UTC so daylight saving changes never skip or repeat a day
+    for (let time = Date.parse(period.start); time <= Date.parse(period.end); time += 86400000) {
+        const date = new Date(time);
+        const weekday = date.getUTCDay();
+        const dateStr = date.toISOString().split('T')[0];
+        const count = activityByDate?.[dateStr] || 0;
+
+        if (weekday === 0 && week.some(cell => cell)) {
+            weeks.push(week);
+            week = new Array(7).fill(null);
+        }
+
+        week[weekday] = { date: dateStr, count };
+        maxCount = Math.max(maxCount, count);
+        total += count;
     }
+    weeks.push(week);
+
+    return { year: parseInt(period.start, 10), label: period.label, weeks, maxCount, total };
 }
 
-// Function to determine appropriate filename based on data sources
-function getOutputFilename(summary) {
-    let platform = 'gitlab'; // default
+/**
+ * Maps an activity count to an intensity level between 0 and 4
+ * @param {number} count - Activity count for a day
+ * @param {number} maxCount - Highest daily count in the calendar
+ * @returns {number} Intensity level
+ */
+function getCalendarLevel(count, maxCount) {
+    if (!count || !maxCount) return 0;
+    return Math.min(4, Math.ceil((count / maxCount) * 4));
+}
 
-    // Determine platform based on what data is available in the summary
-    const hasGitLab = summary.gitlab && summary.gitlab.events && summary.gitlab.events.totalEvents > 0;
-    const hasGitHub = summary.github && summary.github.events && summary.github.events.totalEvents > 0;
+/**
+ * Renders a contribution calendar as a Unicode block grid for markdown reports
+ * @param {Object} calendar - Calendar from buildContributionCalendar
+ * @returns {string} Grid wrapped in a fenced code block
+ */
+function renderContributionCalendarMarkdown(calendar) {
+    const labelWidth = 4;
+
+    // Month labels sit above the first week that contains the 1st of the month
+    let header = ' '.repeat(labelWidth);
+    calendar.weeks.forEach(week => {
+        const firstOfMonth = week.find(cell => cell && cell.date.endsWith('-01'));
+        header += firstOfMonth ? MONTH_NAMES[parseInt(firstOfMonth.date.slice(5, 7), 10) - 1][0] : ' ';
+    });
 
-    if (hasGitLab && hasGitHub) {
-        platform = 'all-platforms';
-    } else if (hasGitHub) {
-        platform = 'github';
-    } else if (hasGitLab) {
-        platform = 'gitlab';
-    }
+    const rows = DAY_NAMES.map((dayName, day) => {
+        let row = dayName.slice(0, 3).padEnd(labelWidth);
+        calendar.weeks.forEach(week => {
+            const cell = week[day];
+            row += cell ? CALENDAR_GLYPHS[getCalendarLevel(cell.count, calendar.maxCount)] : ' ';
+        });
+        return row.trimEnd();
+    });
 
-    // Use custom filename if provided, otherwise generate based on platform
-    const customFilename = process.env.OUTPUT_FILENAME;
-    if (customFilename) {
-        return customFilename;
+    const legend = `Less ${CALENDAR_GLYPHS.join('')} More`;
+    return '```\n' + [header.trimEnd(), ...rows, '', legend].join('\n') + '\n```\n';
+}
+
+/**
+ * Renders a contribution calendar as an SVG image
+ * @param {Object} calendar - Calendar from buildContributionCalendar
+ * @param {string} [title=''] - Optional title drawn above the grid
+ * @returns {string} SVG markup
+ */
+function renderContributionCalendarSvg(calendar, title = '') {
+    const cell = 13;
+    const left = 36;
+    const top = title ? 40 : 20;
+    const width = left + calendar.weeks.length * cell + 10;
+    const height = top + 7 * cell + 30;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Contribution calendar ${escapeHtml(calendar.label)}">`;
+    svg += `<style>text { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 10px; fill: #57606a; }</style>`;
+    if (title) {
+        svg += `<text x="${left}" y="16" style="font-size: 13px; fill: #24292f">${escapeHtml(title)}</text>`;
     }
 
-    return `${platform}-year-in-review-${config.year}.md`;
+    calendar.weeks.forEach((week, weekIndex) => {
+        const firstOfMonth = week.find(cell => cell && cell.date.endsWith('-01'));
+        if (firstOfMonth) {
+            const month = MONTH_NAMES[parseInt(firstOfMonth.date.slice(5, 7), 10) - 1];
+            svg += `<text x="${left + weekIndex * cell}" y="${top - 6}">${month.slice(0, 3)}</text>`;
+        }
+        week.forEach((day, dayIndex) => {
+            if (!day) return;
+            const fill = CALENDAR_COLORS[getCalendarLevel(day.count, calendar.maxCount)];
+            svg += `<rect x="${left + weekIndex * cell}" y="${top + dayIndex * cell}" width="${cell - 3}" height="${cell - 3}" rx="2" fill="${fill}"><title>${day.date}: ${day.count} contributions</title></rect>`;
+        });
+    });
+
+    [1, 3, 5].forEach(dayIndex => {
+        svg += `<text x="${left - 6}" y="${top + dayIndex * cell + 9}" text-anchor="end">${DAY_NAMES[dayIndex].slice(0, 3)}</text>`;
+    });
+    svg += `<text x="${left}" y="${height - 8}">${calendar.total} contributions in ${escapeHtml(calendar.label)}</text>`;
+
+    svg += `</svg>`;
+    return svg;
 }
 
-// Function to save the report to a file
-async function saveReportToFile(report, summary) {
-    try {
-        const filename = getOutputFilename(summary);
-        await fs.writeFile(filename, report);
-        console.log(`Report saved to ${filename}`);
-    } catch (error) {
-        console.error('Error saving report to file:', error);
-        throw error;
+/**
+ * Collects the per-day activity maps available in a summary, per platform and combined
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {Object} Map of `gitlab`, `github`, `bitbucket`, `gitea`, `local` and (when
+ *   more than one exists) `combined` to YYYY-MM-DD activity counts
+ */
+function getContributionCalendarSources(summary) {
+    const sources = {};
+
+    if (summary.gitlab?.streaks?.activityByDate) {
+        sources.gitlab = summary.gitlab.streaks.activityByDate;
     }
-}
 
-// Function to generate a simple text-based visualization
-function generateActivityVisualization(summary) {
-    let visualization = `## Activity Visualization\n\n`;
+    // Prefer GitHub's own contribution calendar, which covers the whole period
+    const githubByDate = summary.github?.contributions?.byDate || summary.github?.streaks?.activityByDate;
+    if (githubByDate) {
+        sources.github = githubByDate;
+    }
 
-    // GitLab monthly activity chart
-    if (summary.gitlab && summary.gitlab.events) {
-        visualization += `### GitLab Monthly Activity Chart\n\n`;
-        const months = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
+    if (summary.bitbucket?.streaks?.activityByDate) {
+        sources.bitbucket = summary.bitbucket.streaks.activityByDate;
+    }
 
-        // Find max activity count for scaling
-        const maxActivity = Math.max(...Object.values(summary.gitlab.events.monthlyActivity), 1);
+    if (summary.gitea?.contributions?.byDate) {
+        sources.gitea = summary.gitea.contributions.byDate;
+    }
 
-        months.forEach(month => {
-            const count = summary.gitlab.events.monthlyActivity[month] || 0;
-            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
-            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
-            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
-        });
+    if (summary.local?.streaks?.activityByDate) {
+        sources.local = summary.local.streaks.activityByDate;
+    }
 
-        visualization += `\n`;
+    if (Object.keys(sources).length > 1) {
+        sources.combined = mergeActivityByDate(...Object.values(sources));
     }
 
-    // GitHub monthly activity chart if available
-    if (summary.github && summary.github.events) {
-        visualization += `### GitHub Monthly Activity Chart\n\n`;
-        const months = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
+    return sources;
+}
 
-        // Find max activity count for scaling
-        const maxActivity = Math.max(...Object.values(summary.github.events.monthlyActivity), 1);
+/**
+ * Generates the markdown contribution calendar section for each available timeline
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {string} Markdown section, or an empty string when there is no daily data
+ */
+function generateContributionCalendarSection(summary) {
+    const sources = getContributionCalendarSources(summary);
+    const labels = { gitlab: 'GitLab', github: 'GitHub', bitbucket: 'Bitbucket', gitea: 'Gitea', local: 'Local Git', combined: 'Combined' };
 
-        months.forEach(month => {
-            const count = summary.github.events.monthlyActivity[month] || 0;
-            const barLength = Math.round((count / maxActivity) * 20); // Scale to 20 characters max
-            const bar = '█'.repeat(barLength) + '░'.repeat(20 - barLength);
-            visualization += `${month.padEnd(10)} |${bar}| ${count}\n`;
-        });
+    if (Object.keys(sources).length === 0) {
+        return '';
+    }
 
-        visualization += `\n`;
+    let section = `## Contribution Calendar\n\n`;
+    for (const [key, activityByDate] of Object.entries(sources)) {
+        const calendar = buildContributionCalendar(activityByDate, summary.period || summary.year);
+        section += `### ${labels[key]} Contribution Calendar\n\n`;
+        section += renderContributionCalendarMarkdown(calendar);
+        section += `\n`;
     }
 
-    return visualization;
+    return section;
+}
+
+/**
+ * Writes one SVG contribution calendar file per available timeline
+ * @async
+ * @param {Object} summary - Activity summary object from getUserActivitySummary
+ * @returns {Promise<Array<string>>} Filenames that were written
+ */
+async function saveContributionCalendars(summary) {
+    const sources = getContributionCalendarSources(summary);
+    const labels = { gitlab: 'GitLab', github: 'GitHub', bitbucket: 'Bitbucket', gitea: 'Gitea', local: 'Local Git', combined: 'Combined' };
+    const filenames = [];
+
+    for (const [key, activityByDate] of Object.entries(sources)) {
+        const calendar = buildContributionCalendar(activityByDate, summary.period || summary.year);
+        const filename = `${key}-contribution-calendar-${summary.period?.slug || summary.year}.svg`;
+        try {
+            await fs.writeFile(filename, renderContributionCalendarSvg(calendar, `${labels[key]} contributions`));
+            filenames.push(filename);
+        } catch (error) {
+            console.error(`Error saving contribution calendar to ${filename}:`, error.message);
+        }
+    }
+
+    if (filenames.length > 0) {
+        console.log(`Contribution calendars saved to ${filenames.join(', ')}`);
+    }
+    return filenames;
 }
 
 // Main function to run the year-in-review for single user or team
 async function runYearInReview() {
     try {
-        if (config.gitlab.teamUsers.length > 0) {
-            console.log(`Generating Team Year-in-Review for ${config.year}...`);
-            console.log(`Team members: ${config.gitlab.teamUsers.join(', ')}`);
+        if (config.recording.mode === 'record') {
+            await writeRecordingManifest();
+        } else if (config.recording.mode === 'replay') {
+            console.log(`Replaying recorded API responses from ${config.recording.dir}`);
+        }
+
+        if (config.career) {
+            console.log('Generating Career in Code report...');
+            return await runCareerInReview();
+        }
+
+        if (config.isTeamMode()) {
+            console.log(`Generating Team Year-in-Review for ${formatPeriod(config.period)}...`);
+            if (config.compare) {
+                console.warn('--compare only applies to single-user reports and is ignored in team mode');
+            }
             return await runTeamYearInReview();
         } else {
-            console.log(`Generating GitLab Year-in-Review for ${config.year}...`);
+            console.log(`Generating GitLab Year-in-Review for ${formatPeriod(config.period)}...`);
             return await runSingleUserYearInReview();
         }
     } catch (error) {
         console.error('Error running year-in-review:', error);
         throw error;
+    } finally {
+        logCacheStats();
     }
 }
 
-// Function to run year-in-review for a single user
-async function runSingleUserYearInReview() {
-    // First, get user details to find the numeric user ID
+/**
+ * Looks up the numeric GitLab user ID of the configured user
+ * @async
+ * @returns {Promise<number|null>} User ID, or null when GitLab is not configured
+ * @throws {Error} If the user does not exist
+ */
+async function getConfiguredGitLabUserId() {
+    if (!config.isGitLabConfigured()) {
+        return null;
+    }
+
     const userDetails = await getUserDetails();
     if (!userDetails) {
         throw new Error(`User with username ${config.gitlab.userId} not found`);
     }
 
-    const userId = userDetails.id;
-    console.log(`Found user ID: ${userId}`);
+    console.log(`Found user ID: ${userDetails.id}`);
+    return userDetails.id;
+}
+
+// Function to run year-in-review for a single user
+async function runSingleUserYearInReview() {
+    // First, get GitLab user details to find the numeric user ID
+    const userId = await getConfiguredGitLabUserId();
 
     // Get user activity summary
-    const summary = await getUserActivitySummary(userId, config.year);
+    const summary = await getUserActivitySummary(userId, config.period);
+    if (config.compare) {
+        summary.comparison = compareSummaries(summary, await loadComparisonSummary(userId));
+    }
 
-    // Generate the main report
-    let report = generateYearInReviewReport(summary);
+    // Generate the report in the configured format
+    let report;
+    if (config.output.format === 'json') {
+        report = generateJsonReport(summary);
+    } else if (config.output.format === 'html') {
+        report = generateHtmlReport(summary);
+    } else {
+        report = generateYearInReviewReport(summary);
 
-    // Add visualization to the report
-    report += generateActivityVisualization(summary);
+        // Add visualization to the report
+        report += generateActivityVisualization(summary);
+    }
 
-    // Save the report to a file
+    // Save the report to a file; HTML reports draw their calendars inline
     await saveReportToFile(report, summary);
+    if (config.output.format === 'markdown') {
+        await saveContributionCalendars(summary);
+    }
 
     // Also print a summary to console
     console.log('\n--- Year-in-Review Summary ---');
     console.log(`User: ${summary.user ? summary.user.name : 'Unknown'}`);
-    console.log(`Year: ${summary.year}`);
-    console.log(`Total Activities: ${summary.overall.totalActivities}`);
+    console.log(`Period: ${formatPeriod(summary.period)}`);
+    console.log(`Total Activities: ${summary.overall.totalActivities}${formatDelta(summary.comparison?.overall.totalActivities, summary.comparison?.period.label)}`);
     console.log(`Total Projects: ${summary.overall.totalProjects}`);
 
     if (summary.gitlab) {
@@ -1635,6 +5627,10 @@ async function runSingleUserYearInReview() {
     if (summary.github) {
         console.log(`GitHub Events: ${summary.github.events?.totalEvents || 0}`);
         console.log(`GitHub Commits: ${summary.github.commits || 0}`);
+        if (summary.github.pullRequests) {
+            console.log(`GitHub Pull Requests Created: ${summary.github.pullRequests.totalCreated}`);
+            console.log(`GitHub Issues Created: ${summary.github.issues.totalCreated}`);
+        }
         if (summary.github.events) {
             console.log(`GitHub Most Active Month: ${summary.github.events.mostActiveMonth}`);
             console.log(`GitHub Longest Activity Streak: ${summary.github.streaks.maxStreak} days`);
@@ -1646,6 +5642,29 @@ async function runSingleUserYearInReview() {
         console.log('GitHub: Not configured');
     }
 
+    if (summary.bitbucket) {
+        console.log(`Bitbucket Activities: ${summary.bitbucket.overall.totalActivities}`);
+        console.log(`Bitbucket Pull Requests Created: ${summary.bitbucket.overall.totalCreatedPRs}`);
+        console.log(`Bitbucket Longest Activity Streak: ${summary.bitbucket.streaks.maxStreak} days`);
+    }
+
+    if (summary.gitea) {
+        console.log(`Gitea Contributions: ${summary.gitea.contributions.total}`);
+        console.log(`Gitea Pull Requests Created: ${summary.gitea.overall.totalCreatedPRs}`);
+        console.log(`Gitea Longest Activity Streak: ${summary.gitea.streaks.maxStreak} days`);
+    }
+
+    if (summary.local) {
+        console.log(`Local Git Commits: ${summary.local.overall.totalCommits}`);
+        console.log(`Local Git Repositories: ${summary.local.overall.totalProjects}`);
+        console.log(`Local Git Longest Activity Streak: ${summary.local.streaks.maxStreak} days`);
+    }
+
+    if (summary.combined) {
+        console.log(`Combined Longest Activity Streak: ${summary.combined.streaks.maxStreak} days`);
+        console.log(`Combined Active Days: ${summary.combined.streaks.totalActiveDays}`);
+    }
+
     const finalFilename = getOutputFilename(summary);
     console.log(`Report saved to ${finalFilename}`);
     console.log('--- End Summary ---\n');
@@ -1653,46 +5672,288 @@ async function runSingleUserYearInReview() {
     return report;
 }
 
+/**
+ * Fills in a team member entry from TEAM_MEMBERS_FILE
+ * @param {Object} entry - Member with optional `name`, `gitlab`, `github` and `timezone`
+ * @returns {Object} Member with `name`, `gitlab` and `github` (null when absent), plus
+ *   `timezone` when the entry has one
+ */
+function normalizeTeamMember(entry) {
+    const gitlab = entry.gitlab || null;
+    const github = entry.github || null;
+    const member = { name: entry.name || gitlab || github, gitlab, github };
+    if (entry.timezone) {
+        member.timezone = entry.timezone;
+    }
+    return member;
+}
+
+/**
+ * Combines GITLAB_TEAM_USERS and GITHUB_TEAM_USERS into one member list.
+ * A handle that appears in both lists (case-insensitive) is treated as one person;
+ * people whose handles differ need TEAM_MEMBERS_FILE.
+ * @param {Array<string>} gitlabUsers - GitLab usernames
+ * @param {Array<string>} githubUsers - GitHub logins
+ * @returns {Array<Object>} Members with `name`, `gitlab` and `github`
+ */
+function buildTeamMembers(gitlabUsers, githubUsers) {
+    const members = gitlabUsers.map(gitlab => normalizeTeamMember({ gitlab }));
+
+    githubUsers.forEach(github => {
+        const sameHandle = members.find(member => !member.github && member.gitlab?.toLowerCase() === github.toLowerCase());
+        if (sameHandle) {
+            sameHandle.github = github;
+        } else {
+            members.push(normalizeTeamMember({ github }));
+        }
+    });
+
+    return members;
+}
+
+/**
+ * Recognizes bot accounts: GitLab project/group access token users and GitHub Apps
+ * @param {Object} user - GitLab member or GitHub user object
+ * @returns {boolean} True if the account belongs to a bot
+ */
+function isBotAccount(user) {
+    const handle = user.username || user.login || '';
+    return user.bot === true ||
+        user.type === 'Bot' ||
+        /\[bot\]$/i.test(handle) ||
+        /^(project|group)_\d+_bot(_[0-9a-f]+)?$/i.test(handle);
+}
+
+/**
+ * Lists the active human members of a GitLab group, including inherited members
+ * @async
+ * @param {string} group - Group ID or full path, e.g. "platform/backend"
+ * @returns {Promise<Array<string>>} Usernames
+ * @throws {Error} If the group has no members that can be read
+ */
+async function getGitLabGroupMembers(group) {
+    const members = await fetchAllPages(`/groups/${encodeURIComponent(group)}/members/all`, {});
+    if (members.length === 0) {
+        throw new Error(`No members found in GitLab group ${group}`);
+    }
+
+    // Blocked and deactivated users keep their membership but can't contribute
+    return members
+        .filter(member => member.state === 'active' && !isBotAccount(member))
+        .map(member => member.username);
+}
+
+/**
+ * Lists the human members of a GitHub team
+ * @async
+ * @param {string} team - "org/team-slug"
+ * @returns {Promise<Array<string>>} Logins
+ * @throws {Error} If the team is not in org/team-slug form or has no members that can be read
+ */
+async function getGitHubTeamMembers(team) {
+    const [org, slug] = team.split('/');
+    if (!org || !slug) {
+        throw new Error(`GITHUB_TEAM must look like org/team-slug, got "${team}"`);
+    }
+
+    const members = await fetchAllPages(`/orgs/${org}/teams/${slug}/members`, {}, 100, githubClient);
+    if (members.length === 0) {
+        throw new Error(`No members found in GitHub team ${team}`);
+    }
+
+    return members.filter(member => !isBotAccount(member)).map(member => member.login);
+}
+
+/**
+ * Applies TEAM_INCLUDE and TEAM_EXCLUDE to the team. Handles are matched
+ * case-insensitively against both the GitLab and the GitHub handle.
+ * @param {Array<Object>} members - Members with `gitlab` and `github` handles
+ * @param {Array<string>} include - If not empty, only these members are kept
+ * @param {Array<string>} exclude - Members to drop
+ * @returns {Array<Object>} Remaining members
+ */
+function filterTeamMembers(members, include, exclude) {
+    const matches = (member, handles) => handles.some(handle =>
+        [member.gitlab, member.github].some(own => own && own.toLowerCase() === handle.toLowerCase())
+    );
+
+    return members.filter(member =>
+        (include.length === 0 || matches(member, include)) && !matches(member, exclude)
+    );
+}
+
+/**
+ * Builds the team from TEAM_MEMBERS_FILE, the team user lists and the discovered
+ * GitLab group and GitHub team, then applies TEAM_INCLUDE and TEAM_EXCLUDE.
+ * Handles already paired in the members file are not added a second time.
+ * @async
+ * @returns {Promise<Array<Object>>} Members with `name`, `gitlab` and `github`
+ * @throws {Error} If the members file is invalid or a group or team can't be read
+ */
+async function loadTeamMembers() {
+    const members = [];
+
+    if (config.team.membersFile) {
+        const entries = JSON.parse(await fs.readFile(config.team.membersFile, 'utf8'));
+        if (!Array.isArray(entries) || entries.some(entry => !entry?.gitlab && !entry?.github)) {
+            throw new Error(`${config.team.membersFile} must be a JSON array of members, each with a "gitlab" or "github" handle`);
+        }
+        const badTimezone = entries.find(entry => entry.timezone && !config.isValidTimezone(entry.timezone));
+        if (badTimezone) {
+            throw new Error(`${config.team.membersFile}: "${badTimezone.timezone}" is not a valid IANA timezone`);
+        }
+        members.push(...entries.map(normalizeTeamMember));
+    }
+
+    const gitlabUsers = [...config.gitlab.teamUsers];
+    if (config.gitlab.teamGroup) {
+        const groupMembers = await getGitLabGroupMembers(config.gitlab.teamGroup);
+        console.log(`Found ${groupMembers.length} members in GitLab group ${config.gitlab.teamGroup}`);
+        gitlabUsers.push(...groupMembers);
+    }
+
+    const githubUsers = [...config.github.teamUsers];
+    if (config.github.team) {
+        const teamMembers = await getGitHubTeamMembers(config.github.team);
+        console.log(`Found ${teamMembers.length} members in GitHub team ${config.github.team}`);
+        githubUsers.push(...teamMembers);
+    }
+
+    // Drop duplicates and handles already in the members file; each platform is checked on
+    // its own so that "alice" on both GitLab and GitHub still pairs up in buildTeamMembers
+    const unseen = (handles, platform) => {
+        const seen = new Set(members.map(member => member[platform]).filter(Boolean).map(handle => handle.toLowerCase()));
+        return handles.filter(handle => !seen.has(handle.toLowerCase()) && seen.add(handle.toLowerCase()));
+    };
+    members.push(...buildTeamMembers(unseen(gitlabUsers, 'gitlab'), unseen(githubUsers, 'github')));
+
+    return filterTeamMembers(members, config.team.include, config.team.exclude);
+}
+
+/**
+ * Picks the name shown for a team member in reports
+ * @param {Object} summary - Member summary from runTeamYearInReview
+ * @returns {string} GitLab display name, the name from the members file, or the handle
+ */
+function getMemberDisplayName(summary) {
+    return summary.user?.name || summary.member?.name || summary.username;
+}
+
+/**
+ * Builds the career report: one summary per calendar year from the first account's
+ * creation to this year, past years served from the career cache
+ * @async
+ * @returns {Promise<string>} The report in the configured format
+ */
+async function runCareerInReview() {
+    const userId = await getConfiguredGitLabUserId();
+    const lastYear = new Date().getFullYear();
+    let firstYear = await getCareerStartYear(userId);
+    if (!firstYear) {
+        console.warn(`No account creation date available; the career report starts in ${config.year}`);
+        firstYear = Math.min(config.year, lastYear);
+    }
+
+    // One year at a time; every year is a full set of API calls
+    const summaries = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+        console.log(`Career in Code: ${year} (${year - firstYear + 1}/${lastYear - firstYear + 1})`);
+        summaries.push(await getCareerYearSummary(userId, year));
+    }
+
+    const career = analyzeCareer(summaries);
+    const latest = summaries[summaries.length - 1];
+    const user = latest.gitlab?.user || (latest.github?.user ? { name: latest.github.user.name || latest.github.user.login, username: latest.github.user.login } : null);
+
+    let report;
+    if (config.output.format === 'json') {
+        report = generateCareerJsonReport(career, user);
+    } else if (config.output.format === 'html') {
+        report = generateCareerHtmlReport(career, user);
+    } else {
+        report = generateCareerReport(career, user);
+    }
+
+    const filename = process.env.OUTPUT_FILENAME || `career-in-code-${career.firstYear}-${career.lastYear}.${getOutputExtension()}`;
+    await fs.writeFile(filename, report);
+    console.log(`Career report saved to ${filename}`);
+
+    console.log('\n--- Career in Code Summary ---');
+    console.log(`Years: ${career.firstYear} to ${career.lastYear}`);
+    console.log(`Total Activities: ${career.totalActivities}`);
+    console.log(`Longest Activity Streak: ${career.longestStreak.days} days`);
+    if (career.busiestYear) {
+        console.log(`Busiest Year: ${career.busiestYear.year} (${career.busiestYear.totalActivities} activities)`);
+    }
+    console.log('--- End Career Summary ---\n');
+
+    return report;
+}
+
 // Function to run year-in-review for a team of users
 async function runTeamYearInReview() {
-    const teamSummaries = [];
+    const members = await loadTeamMembers();
+    const failedMembers = [];
+    let finished = 0;
+
+    console.log(`Team members: ${members.map(member => member.gitlab || member.github).join(', ')}`);
 
-    // Process each team member
-    for (const username of config.gitlab.teamUsers) {
-        console.log(`\nProcessing user: ${username}`);
+    // Members run in parallel; their API requests still share each client's request limit
+    const results = await mapWithConcurrency(members, config.team.concurrency, async member => {
+        const username = member.gitlab || member.github;
 
         try {
-            // Get user details by username
-            const userDetails = await getUserDetailsByUsername(username);
-            if (!userDetails) {
-                console.error(`User with username ${username} not found, skipping...`);
-                continue;
+            // Get the GitLab user ID by username
+            let userId = null;
+            if (member.gitlab && config.isGitLabConfigured()) {
+                const userDetails = await getUserDetailsByUsername(member.gitlab);
+                if (!userDetails) {
+                    throw new Error(`User with username ${member.gitlab} not found`);
+                }
+                userId = userDetails.id;
             }
 
-            const userId = userDetails.id;
-            console.log(`Found user ID: ${userId} for ${username}`);
-
-            // Get user activity summary
-            const summary = await getUserActivitySummary(userId, config.year);
+            // Get user activity summary, GitHub data under the member's own login
+            const summary = await getUserActivitySummary(userId, config.period, {
+                gitlabUsername: member.gitlab,
+                githubUsername: member.github,
+                teamMember: true,
+                timezone: member.timezone || config.timezone
+            });
             summary.username = username; // Add username to the summary
-            teamSummaries.push(summary);
+            summary.member = member;
+            console.log(`[${++finished}/${members.length}] ${username}: ${summary.overall.totalActivities} activities`);
+            return summary;
         } catch (error) {
-            console.error(`Error processing user ${username}:`, error.message);
+            console.error(`[${++finished}/${members.length}] ${username}: failed - ${error.message}`);
+            failedMembers.push({ username, error: error.message });
+            return null;
         }
+    });
+    const teamSummaries = results.filter(Boolean);
+
+    // Generate team report in the configured format
+    let teamReport;
+    if (config.output.format === 'json') {
+        teamReport = generateTeamJsonReport(teamSummaries, failedMembers);
+    } else if (config.output.format === 'html') {
+        teamReport = generateTeamHtmlReport(teamSummaries, failedMembers);
+    } else {
+        teamReport = generateTeamYearInReviewReport(teamSummaries, failedMembers);
     }
 
-    // Generate team report
-    const teamReport = generateTeamYearInReviewReport(teamSummaries);
-
     // Save the team report to a file
-    const teamFilename = `team-year-in-review-${config.year}.md`;
+    const teamFilename = `team-year-in-review-${config.period.slug}.${getOutputExtension()}`;
     await fs.writeFile(teamFilename, teamReport);
     console.log(`Team report saved to ${teamFilename}`);
 
     // Print team summary
     console.log('\n--- Team Year-in-Review Summary ---');
-    console.log(`Year: ${config.year}`);
+    console.log(`Period: ${formatPeriod(config.period)}`);
     console.log(`Team Members: ${teamSummaries.length}`);
+    if (failedMembers.length > 0) {
+        console.log(`Failed Members: ${failedMembers.map(member => member.username).join(', ')}`);
+    }
     console.log(`Total Activities: ${teamSummaries.reduce((sum, s) => sum + (s.overall?.totalActivities || 0), 0)}`);
     console.log(`Total Projects: ${new Set(teamSummaries.flatMap(s => s.gitlab?.projects?.names || [])).size}`);
     console.log('--- End Team Summary ---\n');
@@ -1700,7 +5961,8 @@ async function runTeamYearInReview() {
     return teamReport;
 }
 
-// Function to get user details by username
+// Function to get user details by username; null when there is no such user. Other
+// failures (rate limits, server or network errors) are rethrown so they are reported as they are
 async function getUserDetailsByUsername(username) {
     try {
         const res = await gitlabClient.get(`/users?username=${username}`);
@@ -1710,22 +5972,29 @@ async function getUserDetailsByUsername(username) {
         return null;
     } catch (error) {
         handleApiError('user details', error);
-        return null;
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
     }
 }
 
 // Function to generate team year-in-review report
-function generateTeamYearInReviewReport(teamSummaries) {
-    let report = `# Team Year-in-Review Report - ${config.year}\n\n`;
+function generateTeamYearInReviewReport(teamSummaries, failedMembers = []) {
+    let report = `# Team Year-in-Review Report - ${formatPeriod(config.period)}\n\n`;
 
     report += `## Team Summary\n\n`;
     report += `- Total Team Members: ${teamSummaries.length}\n`;
     report += `- Total Activities: ${teamSummaries.reduce((sum, s) => sum + (s.overall?.totalActivities || 0), 0)}\n`;
-    report += `- Total Projects: ${new Set(teamSummaries.flatMap(s => s.gitlab?.projects?.names || [])).size}\n\n`;
+    report += `- Total Projects: ${new Set(teamSummaries.flatMap(s => s.gitlab?.projects?.names || [])).size}\n`;
+    report += `- Default Timezone: ${config.timezone} (members with their own timezone are noted below)\n\n`;
 
     // Add individual user reports
     for (const summary of teamSummaries) {
-        report += `## User: ${summary.user?.name || summary.username} (@${summary.username})\n\n`;
+        report += `## User: ${getMemberDisplayName(summary)} (@${summary.username})\n\n`;
+        if (summary.timezone && summary.timezone !== config.timezone) {
+            report += `- Timezone: ${summary.timezone}\n\n`;
+        }
 
         if (summary.gitlab) {
             report += `### GitLab Activity\n\n`;
@@ -1760,7 +6029,9 @@ function generateTeamYearInReviewReport(teamSummaries) {
             report += `### GitHub Activity\n\n`;
             report += `- Total Events: ${summary.github.events?.totalEvents || 0}\n`;
             report += `- Total Commits: ${summary.github.commits || 0}\n`;
-            report += `- Total Contributions: ${summary.github.contributions?.total || 0}\n\n`;
+            report += `- Total Contributions: ${summary.github.contributions?.total || 0}\n`;
+            report += `- Pull Requests Created: ${summary.github.pullRequests?.totalCreated || 0}\n`;
+            report += `- Issues Created: ${summary.github.issues?.totalCreated || 0}\n\n`;
 
             if (summary.github.events?.mostActiveMonth) {
                 report += `- Most Active Month: ${summary.github.events.mostActiveMonth}\n`;
@@ -1783,7 +6054,7 @@ function generateTeamYearInReviewReport(teamSummaries) {
 
     report += `### Most Active Users (by GitLab activities)\n\n`;
     sortedUsers.slice(0, 5).forEach((summary, index) => {
-        report += `${index + 1}. ${summary.user?.name || summary.username}: ${summary.gitlab?.overall?.totalActivities || 0} activities\n`;
+        report += `${index + 1}. ${getMemberDisplayName(summary)}: ${summary.gitlab?.overall?.totalActivities || 0} activities\n`;
     });
 
     // Top projects across team
@@ -1808,6 +6079,82 @@ function generateTeamYearInReviewReport(teamSummaries) {
         report += `${index + 1}. ${project}: ${count} total activities\n`;
     });
 
+    if (failedMembers.length > 0) {
+        report += `\n## Members That Failed\n\n`;
+        report += `These members are missing from the numbers above:\n\n`;
+        failedMembers.forEach(({ username, error }) => {
+            report += `- @${username}: ${error}\n`;
+        });
+    }
+
+    return report;
+}
+
+/**
+ * Describes when a year's work happened, for the career report
+ * @param {Object} year - Entry of `career.years` from analyzeCareer
+ * @returns {string} E.g. "busiest hour 14:00, 12% before 9:00 or from 18:00"
+ */
+function formatCareerWorkingHours(year) {
+    if (year.peakHour === null) {
+        return 'no timed activity';
+    }
+    return `busiest hour ${String(year.peakHour).padStart(2, '0')}:00, ${year.afterHoursPercent}% before 9:00 or from 18:00`;
+}
+
+/**
+ * Generates the markdown career history report
+ * @param {Object} career - Career from analyzeCareer
+ * @param {Object} [user=null] - User shown in the heading ({ name, username })
+ * @returns {string} Formatted markdown report
+ */
+function generateCareerReport(career, user = null) {
+    let report = `# Career in Code - ${career.firstYear} to ${career.lastYear}\n\n`;
+
+    if (user) {
+        report += `## User: ${user.name} (@${user.username})\n\n`;
+    }
+
+    report += `## Lifetime\n\n`;
+    report += `- Years: ${career.years.length}\n`;
+    report += `- Total Activities: ${career.totalActivities}\n`;
+    report += `- Total Active Days: ${career.activeDays}\n`;
+    if (career.longestStreak.days > 0) {
+        report += `- Longest Activity Streak: ${career.longestStreak.days} days (${career.longestStreak.start} to ${career.longestStreak.end})\n`;
+    }
+    if (career.busiestYear) {
+        report += `- Busiest Year: ${career.busiestYear.year} (${career.busiestYear.totalActivities} activities)\n`;
+    }
+    report += `\n`;
+
+    report += `## Yearly Totals\n\n`;
+    career.years.forEach(year => {
+        report += `- **${year.year}**: ${year.totalActivities} activities in ${year.totalProjects} projects, ${year.activeDays} active days, longest streak ${year.longestStreak} days\n`;
+    });
+    report += `\n`;
+
+    const maxActivities = Math.max(...career.years.map(year => year.totalActivities), 1);
+    report += '```\n';
+    career.years.forEach(year => {
+        const barLength = Math.round((year.totalActivities / maxActivities) * 20); // Scale to 20 characters max
+        report += `${year.year} |${'█'.repeat(barLength)}${'░'.repeat(20 - barLength)}| ${year.totalActivities}\n`;
+    });
+    report += '```\n\n';
+
+    report += `## Top Projects by Year\n\n`;
+    career.years.forEach(year => {
+        const projects = year.topProjects.map(project => `${project.name} (${project.count})`).join(', ');
+        report += `- **${year.year}**: ${projects || 'no project activity'}\n`;
+    });
+    report += `\n`;
+
+    report += `## Working Hours\n\n`;
+    report += `Hours are in ${career.timezone}.\n\n`;
+    career.years.forEach(year => {
+        report += `- **${year.year}**: ${formatCareerWorkingHours(year)}\n`;
+    });
+    report += `\n`;
+
     return report;
 }
 
@@ -1832,15 +6179,84 @@ if (process.argv[1] === new URL(import.meta.url).pathname) {
 export {
     getUserActivitySummary,
     generateYearInReviewReport,
+    generateJsonReport,
+    generateTeamJsonReport,
+    generateHtmlReport,
+    generateTeamHtmlReport,
+    generateTeamYearInReviewReport,
+    getUserDetailsByUsername,
+    buildTeamMembers,
+    loadTeamMembers,
+    filterTeamMembers,
+    isBotAccount,
+    normalizeTeamMember,
+    renderMonthlyBarChartSvg,
+    renderDayHourHeatmapSvg,
+    escapeHtml,
+    mergeActivityByDate,
+    buildContributionCalendar,
+    renderContributionCalendarMarkdown,
+    renderContributionCalendarSvg,
+    generateContributionCalendarSection,
     saveReportToFile,
     runYearInReview,
+    mapWithConcurrency,
+    normalizeGitLabProject,
     analyzeMergeRequests,
     analyzeIssues,
+    analyzeCodeReviews,
+    normalizeGitHubItem,
+    getZonedDateParts,
+    resolvePeriod,
+    isInPeriod,
+    getPeriodMonths,
+    getPeriodMonthNames,
+    formatPeriod,
+    compareSummaries,
+    loadComparisonSummary,
+    formatDelta,
+    getCareerStartYear,
+    getCareerYearSummary,
+    analyzeCareer,
+    generateCareerReport,
+    generateCareerJsonReport,
+    generateCareerHtmlReport,
+    countDiffLines,
+    analyzeChurn,
+    addChurnToContributions,
+    renderChurnMarkdown,
+    convertGitHubContributionsToEvents,
+    isRepoAllowed,
+    recordRepositoryLimit,
     analyzeTimePatterns,
     getWeekNumber,
     analyzeStreaks,
+    buildActivityTimeline,
+    analyzeCombinedActivity,
     analyzeGitHubEvents,
     analyzeGitHubTimePatterns,
     analyzeGitHubStreaks,
-    getOutputFilename
+    compareVersions,
+    isGitHubFeatureSupported,
+    isRetryableError,
+    getRetryDelay,
+    withRetries,
+    parseLinkHeader,
+    getNextPage,
+    fetchAllPages,
+    getCachePath,
+    fetchForPeriod,
+    withCache,
+    withRecording,
+    withRequestLimit,
+    analyzeLocalCommits,
+    getLocalRepoCommits,
+    analyzeActivityRecords,
+    normalizeBitbucketPullRequest,
+    buildBitbucketSummary,
+    normalizeGiteaItem,
+    getGiteaHeatmap,
+    buildGiteaSummary,
+    getOutputFilename,
+    REPORT_SCHEMA_VERSION
 };
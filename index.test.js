@@ -1,18 +1,87 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import axios from 'axios';
 import fs from 'fs/promises';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
 import {
+  mapWithConcurrency,
+  normalizeGitLabProject,
   analyzeMergeRequests,
   analyzeIssues,
+  analyzeCodeReviews,
+  normalizeGitHubItem,
+  convertGitHubContributionsToEvents,
+  isRepoAllowed,
+  recordRepositoryLimit,
+  countDiffLines,
+  analyzeChurn,
+  addChurnToContributions,
+  renderChurnMarkdown,
+  getZonedDateParts,
+  resolvePeriod,
+  isInPeriod,
+  getPeriodMonths,
+  getPeriodMonthNames,
+  formatPeriod,
+  compareSummaries,
+  loadComparisonSummary,
+  formatDelta,
+  getCareerYearSummary,
+  analyzeCareer,
+  generateCareerReport,
+  generateCareerJsonReport,
   analyzeTimePatterns,
   getWeekNumber,
   analyzeStreaks,
+  buildActivityTimeline,
+  analyzeCombinedActivity,
   analyzeGitHubEvents,
   analyzeGitHubTimePatterns,
   analyzeGitHubStreaks,
+  analyzeLocalCommits,
+  getLocalRepoCommits,
+  analyzeActivityRecords,
+  normalizeBitbucketPullRequest,
+  buildBitbucketSummary,
+  normalizeGiteaItem,
+  buildGiteaSummary,
+  compareVersions,
+  isGitHubFeatureSupported,
+  isRetryableError,
+  getRetryDelay,
+  withRetries,
+  parseLinkHeader,
+  getNextPage,
+  fetchAllPages,
+  getCachePath,
+  fetchForPeriod,
+  withCache,
+  withRecording,
+  withRequestLimit,
   getOutputFilename,
   generateYearInReviewReport,
+  generateJsonReport,
+  generateTeamJsonReport,
+  generateTeamYearInReviewReport,
+  buildTeamMembers,
+  loadTeamMembers,
+  filterTeamMembers,
+  isBotAccount,
+  normalizeTeamMember,
+  generateHtmlReport,
+  renderMonthlyBarChartSvg,
+  renderDayHourHeatmapSvg,
+  escapeHtml,
+  mergeActivityByDate,
+  buildContributionCalendar,
+  renderContributionCalendarMarkdown,
+  renderContributionCalendarSvg,
+  generateContributionCalendarSection,
+  REPORT_SCHEMA_VERSION,
 } from './index.js';
+import config from './config.js';
 
 vi.mock('axios');
 vi.mock('fs/promises');
@@ -196,6 +265,19 @@ describe('Index.js - Extended Coverage Tests', () => {
       expect(result.dailyActivity[1]).toBe(2);
     });
 
+    it('should fill the 7x24 day/hour grid', () => {
+      const events = [
+        { created_at: '2025-01-06T10:00:00' },
+        { created_at: '2025-01-06T10:30:00' },
+        { created_at: '2025-01-07T22:00:00' },
+      ];
+      const result = analyzeTimePatterns(events);
+      expect(result.dayHourActivity).toHaveLength(7);
+      expect(result.dayHourActivity[1]).toHaveLength(24);
+      expect(result.dayHourActivity[1][10]).toBe(2);
+      expect(result.dayHourActivity[2][22]).toBe(1);
+    });
+
     it('should count monthly activity', () => {
       const events = [
         { created_at: '2025-01-01T00:00:00Z' },
@@ -260,6 +342,16 @@ describe('Index.js - Extended Coverage Tests', () => {
       expect(result.maxStreakEnd).toBe('2025-01-07');
     });
 
+    it('should count activity per active date', () => {
+      const events = [
+        { created_at: '2025-01-05T10:00:00' },
+        { created_at: '2025-01-05T11:00:00' },
+        { created_at: '2025-01-06T10:00:00' },
+      ];
+      const result = analyzeStreaks(events);
+      expect(result.activityByDate).toEqual({ '2025-01-05': 2, '2025-01-06': 1 });
+    });
+
     it('should handle single day streak', () => {
       const events = [
         { created_at: '2025-01-01T00:00:00Z' },
@@ -288,6 +380,12 @@ describe('Index.js - Extended Coverage Tests', () => {
       expect(result.eventTypeCounts['CreateEvent']).toBe(1);
     });
 
+    it('should count months in the given timezone', () => {
+      const events = [{ type: 'PushEvent', created_at: '2025-01-31T23:30:00Z' }];
+      expect(analyzeGitHubEvents(events, [], 'Asia/Tokyo').monthlyActivity).toEqual({ February: 1 });
+      expect(analyzeGitHubEvents(events, [], 'UTC').monthlyActivity).toEqual({ January: 1 });
+    });
+
     it('should count repo activity', () => {
       const events = [
         { type: 'PushEvent', repo: { name: 'user/repo1' }, created_at: '2025-01-01T00:00:00Z' },
@@ -362,6 +460,17 @@ describe('Index.js - Extended Coverage Tests', () => {
       const result = analyzeGitHubTimePatterns(events);
       expect(result.dailyActivity[1]).toBe(2);
     });
+
+    it('should not count date-only events in hourly activity', () => {
+      const events = [
+        { created_at: '2025-01-06T00:00:00Z', dateOnly: true },
+        { created_at: '2025-01-06T12:00:00Z' },
+      ];
+      const result = analyzeGitHubTimePatterns(events);
+      expect(Object.values(result.hourlyActivity).reduce((a, b) => a + b, 0)).toBe(1);
+      expect(result.dayHourActivity.flat().reduce((a, b) => a + b, 0)).toBe(1);
+      expect(Object.values(result.dailyActivity).reduce((a, b) => a + b, 0)).toBe(2);
+    });
   });
 
   describe('analyzeGitHubStreaks', () => {
@@ -383,6 +492,276 @@ describe('Index.js - Extended Coverage Tests', () => {
     });
   });
 
+  describe('analyzeLocalCommits', () => {
+    it('should count commits per repository and month', () => {
+      const commits = [
+        { repo: 'api', created_at: '2025-01-10T10:00:00Z' },
+        { repo: 'api', created_at: '2025-01-11T10:00:00Z' },
+        { repo: 'web', created_at: '2025-02-01T10:00:00Z' },
+      ];
+      const result = analyzeLocalCommits(commits);
+      expect(result.totalEvents).toBe(3);
+      expect(result.eventTypeCounts).toEqual({ commit: 3 });
+      expect(result.topProjects[0]).toEqual({ project: 'api', count: 2 });
+      expect(result.projectContributions.web).toEqual({ total: 1, pushEvents: 1, otherEvents: 0 });
+      expect(result.mostActiveMonth).toBe('January');
+    });
+
+    it('should handle no commits', () => {
+      const result = analyzeLocalCommits([]);
+      expect(result.totalEvents).toBe(0);
+      expect(result.eventTypeCounts).toEqual({});
+      expect(result.mostActiveMonth).toBe('');
+    });
+  });
+
+  describe('getLocalRepoCommits', () => {
+    let repoPath;
+
+    const commit = (email, date, message) => {
+      execFileSync('git', ['-C', repoPath, 'commit', '--allow-empty', '-q', '-m', message], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: 'Dev',
+          GIT_AUTHOR_EMAIL: email,
+          GIT_AUTHOR_DATE: date,
+          GIT_COMMITTER_NAME: 'Dev',
+          GIT_COMMITTER_EMAIL: email,
+          GIT_COMMITTER_DATE: date,
+        },
+      });
+    };
+
+    beforeEach(() => {
+      repoPath = mkdtempSync(path.join(os.tmpdir(), 'year-in-code-'));
+      execFileSync('git', ['init', '-q', repoPath]);
+      commit('me@example.com', '2024-12-31T12:00:00Z', 'last year');
+      commit('me@example.com', '2025-03-01T12:00:00Z', 'fix: a | b');
+      commit('someone.else@example.com', '2025-03-02T12:00:00Z', 'not mine');
+      commit('ME@example.com', '2025-03-03T12:00:00Z', 'mine again');
+    });
+
+    afterEach(() => {
+      rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('should return only the author\'s commits in the year', async () => {
+      const commits = await getLocalRepoCommits(repoPath, ['me@example.com'], 2025);
+      expect(commits.map(c => c.title).sort()).toEqual(['fix: a | b', 'mine again']);
+      expect(commits[0].repo).toBe(path.basename(repoPath));
+      expect(commits[0].sha).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('should report commits by author date, not committer date', async () => {
+      execFileSync('git', ['-C', repoPath, 'commit', '--allow-empty', '-q', '-m', 'rebased'], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: 'Dev',
+          GIT_AUTHOR_EMAIL: 'me@example.com',
+          GIT_AUTHOR_DATE: '2024-12-30T12:00:00Z',
+          GIT_COMMITTER_NAME: 'Dev',
+          GIT_COMMITTER_EMAIL: 'me@example.com',
+          GIT_COMMITTER_DATE: '2025-03-04T12:00:00Z',
+        },
+      });
+
+      const commits = await getLocalRepoCommits(repoPath, ['me@example.com'], 2025);
+      expect(commits.map(c => c.title)).not.toContain('rebased');
+    });
+
+    it('should keep commits authored in the period but committed after it', async () => {
+      execFileSync('git', ['-C', repoPath, 'commit', '--allow-empty', '-q', '-m', 'cherry-picked'], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: 'Dev',
+          GIT_AUTHOR_EMAIL: 'me@example.com',
+          GIT_AUTHOR_DATE: '2025-12-30T12:00:00Z',
+          GIT_COMMITTER_NAME: 'Dev',
+          GIT_COMMITTER_EMAIL: 'me@example.com',
+          GIT_COMMITTER_DATE: '2026-01-15T12:00:00Z',
+        },
+      });
+
+      const commits = await getLocalRepoCommits(repoPath, ['me@example.com'], 2025);
+      expect(commits.map(c => c.title)).toContain('cherry-picked');
+    });
+
+    it('should read the git output from a recording when replaying', async () => {
+      const originalRecording = { ...config.recording };
+      config.recording.mode = 'replay';
+      config.recording.dir = 'recordings/test';
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify({
+        stdout: 'abc\x1f2025-05-01T10:00:00+02:00\x1fme@example.com\x1fDev\x1frecorded\x1e'
+      }));
+
+      try {
+        const commits = await getLocalRepoCommits('/nowhere/api', ['me@example.com'], 2025);
+        expect(commits).toEqual([{
+          sha: 'abc',
+          created_at: '2025-05-01T10:00:00+02:00',
+          author_email: 'me@example.com',
+          author_name: 'Dev',
+          title: 'recorded',
+          repo: 'api'
+        }]);
+        expect(vi.mocked(fs.readFile).mock.calls[0][0]).toMatch(/^recordings\/test\/local\/[0-9a-f]{64}\.json$/);
+      } finally {
+        Object.assign(config.recording, originalRecording);
+      }
+    });
+
+    it('should return an empty array for a path that is not a repository', async () => {
+      const commits = await getLocalRepoCommits(path.join(repoPath, 'missing'), ['me@example.com'], 2025);
+      expect(commits).toEqual([]);
+    });
+  });
+
+  describe('analyzeActivityRecords', () => {
+    it('should count records by type, repository and month', () => {
+      const records = [
+        { type: 'commit', repo: 'ws/api', created_at: '2025-04-01T10:00:00Z' },
+        { type: 'commit', repo: 'ws/api', created_at: '2025-04-02T10:00:00Z' },
+        { type: 'comment', repo: 'ws/web', created_at: '2025-05-01T10:00:00Z' },
+      ];
+      const result = analyzeActivityRecords(records);
+      expect(result.totalEvents).toBe(3);
+      expect(result.eventTypeCounts).toEqual({ commit: 2, comment: 1 });
+      expect(result.projectContributions['ws/api']).toEqual({ total: 2, pushEvents: 2, otherEvents: 0 });
+      expect(result.projectContributions['ws/web']).toEqual({ total: 1, pushEvents: 0, otherEvents: 1 });
+      expect(result.mostActiveMonth).toBe('April');
+    });
+
+    it('should count months in the given timezone', () => {
+      const records = [{ type: 'commit', repo: 'ws/api', created_at: '2025-04-30T20:00:00Z' }];
+      expect(analyzeActivityRecords(records, 'Asia/Kolkata').monthlyActivity).toEqual({ May: 1 });
+      expect(analyzeActivityRecords(records, 'America/New_York').monthlyActivity).toEqual({ April: 1 });
+    });
+  });
+
+  describe('normalizeBitbucketPullRequest', () => {
+    let originalBaseUrl;
+
+    beforeEach(() => {
+      originalBaseUrl = config.bitbucket.baseUrl;
+    });
+
+    afterEach(() => {
+      config.bitbucket.baseUrl = originalBaseUrl;
+    });
+
+    it('should map a Bitbucket Cloud pull request', () => {
+      config.bitbucket.baseUrl = 'https://api.bitbucket.org/2.0';
+      const pr = normalizeBitbucketPullRequest({
+        id: 7,
+        title: 'Add feature',
+        state: 'MERGED',
+        created_on: '2025-02-01T00:00:00Z',
+        updated_on: '2025-02-03T00:00:00Z',
+      }, 'ws/api');
+      expect(pr).toEqual({
+        id: 7,
+        project_id: 'ws/api',
+        title: 'Add feature',
+        state: 'merged',
+        created_at: '2025-02-01T00:00:00Z',
+        merged_at: '2025-02-03T00:00:00Z',
+      });
+    });
+
+    it('should map a Bitbucket Data Center pull request', () => {
+      config.bitbucket.baseUrl = 'https://bitbucket.example.com/rest/api/1.0';
+      const pr = normalizeBitbucketPullRequest({
+        id: 3,
+        title: 'Fix bug',
+        state: 'DECLINED',
+        createdDate: Date.UTC(2025, 1, 1),
+        closedDate: Date.UTC(2025, 1, 2),
+      }, 'PROJ/api');
+      expect(pr.state).toBe('closed');
+      expect(pr.created_at).toBe('2025-02-01T00:00:00.000Z');
+      expect(pr.merged_at).toBeNull();
+    });
+  });
+
+  describe('buildBitbucketSummary', () => {
+    it('should combine pull requests, commits and comments into platform metrics', () => {
+      const result = buildBitbucketSummary({
+        pullRequests: [
+          { id: 1, project_id: 'ws/api', state: 'merged', created_at: '2025-03-01T10:00:00Z', merged_at: '2025-03-02T10:00:00Z' },
+        ],
+        commits: [
+          { sha: 'a', repo: 'ws/api', created_at: '2025-03-01T09:00:00Z' },
+          { sha: 'b', repo: 'ws/web', created_at: '2025-03-02T09:00:00Z' },
+        ],
+        comments: [
+          { id: 9, repo: 'ws/web', created_at: '2025-03-03T09:00:00Z' },
+        ],
+      });
+      expect(result.overall).toEqual({
+        totalActivities: 4,
+        totalProjects: 2,
+        totalCommits: 2,
+        totalCreatedPRs: 1,
+        totalComments: 1,
+      });
+      expect(result.pullRequests.mergedCount).toBe(1);
+      expect(result.pullRequests.averageTimeToMerge).toBe(86400000);
+      expect(result.comments.total).toBe(1);
+      expect(result.streaks.maxStreak).toBe(3);
+    });
+  });
+
+  describe('normalizeGiteaItem', () => {
+    it('should map a merged pull request', () => {
+      const item = normalizeGiteaItem({
+        id: 4,
+        title: 'Add docs',
+        state: 'closed',
+        created_at: '2025-06-01T00:00:00Z',
+        repository: { full_name: 'me/site' },
+        pull_request: { merged: true, merged_at: '2025-06-02T00:00:00Z' },
+      });
+      expect(item).toEqual({
+        id: 4,
+        project_id: 'me/site',
+        title: 'Add docs',
+        state: 'merged',
+        created_at: '2025-06-01T00:00:00Z',
+        merged_at: '2025-06-02T00:00:00Z',
+      });
+    });
+
+    it('should map an open issue', () => {
+      const item = normalizeGiteaItem({ id: 5, state: 'open', created_at: '2025-06-01T00:00:00Z', repository: { full_name: 'me/site' } });
+      expect(item.state).toBe('opened');
+      expect(item.merged_at).toBeNull();
+    });
+  });
+
+  describe('buildGiteaSummary', () => {
+    it('should derive contributions, time patterns and streaks from the heatmap', () => {
+      const result = buildGiteaSummary({
+        heatmap: [
+          { timestamp: Date.UTC(2025, 5, 1, 9) / 1000, contributions: 2 },
+          { timestamp: Date.UTC(2025, 5, 2, 9) / 1000, contributions: 1 },
+        ],
+        pullRequests: [
+          { id: 1, state: 'closed', created_at: '2025-06-01T00:00:00Z', repository: { full_name: 'me/site' }, pull_request: { merged: true, merged_at: '2025-06-03T00:00:00Z' } },
+        ],
+        issues: [
+          { id: 2, state: 'open', created_at: '2025-06-02T00:00:00Z', repository: { full_name: 'org/tool' } },
+        ],
+      });
+      expect(result.contributions.total).toBe(3);
+      expect(result.contributions.byDate).toEqual({ '2025-06-01': 2, '2025-06-02': 1 });
+      expect(result.events.monthlyActivity.June).toBe(3);
+      expect(result.pullRequests.mergedCount).toBe(1);
+      expect(result.issues.openedCount).toBe(1);
+      expect(result.repositories.names).toEqual(['me/site', 'org/tool']);
+      expect(result.overall.totalActivities).toBe(3);
+    });
+  });
+
   describe('getOutputFilename', () => {
     let originalOutputFilename;
 
@@ -425,6 +804,45 @@ describe('Index.js - Extended Coverage Tests', () => {
       expect(filename).toContain('all-platforms-year-in-review');
     });
 
+    it('should generate bitbucket filename for Bitbucket only', () => {
+      const summary = {
+        gitlab: null,
+        github: null,
+        bitbucket: { events: { totalEvents: 4 } },
+      };
+      expect(getOutputFilename(summary)).toContain('bitbucket-year-in-review');
+    });
+
+    it('should generate local filename for local git only', () => {
+      const summary = {
+        gitlab: null,
+        github: null,
+        local: { events: { totalEvents: 4 } },
+      };
+      expect(getOutputFilename(summary)).toContain('local-year-in-review');
+    });
+
+    it('should generate combined filename for local git with another platform', () => {
+      const summary = {
+        gitlab: { events: { totalEvents: 10 } },
+        github: null,
+        local: { events: { totalEvents: 4 } },
+      };
+      expect(getOutputFilename(summary)).toContain('all-platforms-year-in-review');
+    });
+
+    it('should use the .json extension for the json output format', () => {
+      const originalFormat = config.output.format;
+      config.output.format = 'json';
+      const summary = {
+        gitlab: { events: { totalEvents: 10 } },
+        github: { events: { totalEvents: 0 } },
+      };
+      const filename = getOutputFilename(summary);
+      config.output.format = originalFormat;
+      expect(filename).toMatch(/^gitlab-year-in-review-\d{4}\.json$/);
+    });
+
     it('should use custom filename if set in environment', () => {
       process.env.OUTPUT_FILENAME = 'custom-report.md';
       const summary = {
@@ -519,4 +937,1220 @@ describe('Index.js - Extended Coverage Tests', () => {
       expect(report).toContain('Total Activities: 100');
     });
   });
+
+  describe('generateJsonReport', () => {
+    it('should wrap the summary in a versioned envelope', () => {
+      const summary = {
+        year: 2025,
+        gitlab: { overall: { totalActivities: 3 } },
+        github: null,
+        overall: { totalActivities: 3, totalProjects: 1 },
+      };
+      const document = JSON.parse(generateJsonReport(summary));
+      expect(document.schema).toBe('year-in-code/user-report');
+      expect(document.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+      expect(document.year).toBe(2025);
+      expect(document.platforms).toEqual(['gitlab']);
+      expect(document.summary).toEqual(summary);
+      expect(Number.isNaN(Date.parse(document.generatedAt))).toBe(false);
+    });
+  });
+
+  describe('generateTeamJsonReport', () => {
+    it('should include team aggregates and member summaries', () => {
+      const teamSummaries = [
+        { username: 'alice', overall: { totalActivities: 5 }, gitlab: { projects: { names: ['A', 'B'] } } },
+        { username: 'bob', overall: { totalActivities: 7 }, gitlab: { projects: { names: ['B'] } } },
+      ];
+      const document = JSON.parse(generateTeamJsonReport(teamSummaries));
+      expect(document.schema).toBe('year-in-code/team-report');
+      expect(document.team).toEqual({ totalMembers: 2, totalActivities: 12, totalProjects: 2 });
+      expect(document.members.map(m => m.username)).toEqual(['alice', 'bob']);
+      expect(document.failedMembers).toEqual([]);
+    });
+
+    it('should list members that failed', () => {
+      const document = JSON.parse(generateTeamJsonReport([], [{ username: 'carol', error: 'HTTP 500' }]));
+      expect(document.failedMembers).toEqual([{ username: 'carol', error: 'HTTP 500' }]);
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape markup characters', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    it('should render null and undefined as empty strings', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(undefined)).toBe('');
+    });
+  });
+
+  describe('renderMonthlyBarChartSvg', () => {
+    it('should render one bar per month', () => {
+      const svg = renderMonthlyBarChartSvg({ January: 4, March: 2 });
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg.match(/<rect /g)).toHaveLength(12);
+      expect(svg).toContain('<title>January: 4</title>');
+      expect(svg).toContain('<title>December: 0</title>');
+    });
+  });
+
+  describe('renderDayHourHeatmapSvg', () => {
+    it('should render a 7x24 grid of cells', () => {
+      const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+      grid[1][9] = 3;
+      const svg = renderDayHourHeatmapSvg(grid);
+      expect(svg.match(/<rect /g)).toHaveLength(168);
+      expect(svg).toContain('<title>Monday 9:00 - 3 activities</title>');
+    });
+  });
+
+  describe('generateHtmlReport', () => {
+    it('should render a standalone document with a collapsible GitHub section', () => {
+      const summary = {
+        year: 2025,
+        gitlab: null,
+        github: {
+          events: {
+            totalEvents: 2,
+            monthlyActivity: { January: 2 },
+            topRepos: [{ repo: 'octo/<repo>', count: 2 }],
+          },
+          timePatterns: analyzeGitHubTimePatterns([{ created_at: '2025-01-06T10:00:00Z' }]),
+          streaks: { maxStreak: 1, totalActiveDays: 1 },
+          commits: 5,
+          contributions: { total: 7 },
+        },
+        overall: { totalActivities: 2, totalProjects: 1 },
+      };
+      const html = generateHtmlReport(summary);
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<details open class="platform github"><summary>GitHub Activity</summary>');
+      expect(html).toContain('octo/&lt;repo&gt;');
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('GitLab Activity');
+    });
+  });
+
+  describe('mergeActivityByDate', () => {
+    it('should sum counts for matching dates and skip missing maps', () => {
+      const merged = mergeActivityByDate({ '2025-01-01': 2, '2025-01-02': 1 }, null, { '2025-01-02': 3 });
+      expect(merged).toEqual({ '2025-01-01': 2, '2025-01-02': 4 });
+    });
+  });
+
+  describe('buildContributionCalendar', () => {
+    it('should lay out a year as 53 Sunday-first weeks', () => {
+      const calendar = buildContributionCalendar({ '2025-01-01': 3, '2025-12-31': 1 }, 2025);
+      expect(calendar.weeks).toHaveLength(53);
+      // January 1, 2025 is a Wednesday
+      expect(calendar.weeks[0][0]).toBeNull();
+      expect(calendar.weeks[0][3]).toEqual({ date: '2025-01-01', count: 3 });
+      expect(calendar.weeks[52][3]).toEqual({ date: '2025-12-31', count: 1 });
+      expect(calendar.total).toBe(4);
+      expect(calendar.maxCount).toBe(3);
+    });
+
+    it('should ignore dates outside the year', () => {
+      const calendar = buildContributionCalendar({ '2024-12-31': 9 }, 2025);
+      expect(calendar.total).toBe(0);
+    });
+  });
+
+  describe('renderContributionCalendarMarkdown', () => {
+    it('should render a fenced grid with one row per weekday', () => {
+      const calendar = buildContributionCalendar({ '2025-01-01': 4, '2025-01-02': 1 }, 2025);
+      const grid = renderContributionCalendarMarkdown(calendar);
+      const lines = grid.split('\n');
+      expect(lines[0]).toBe('```');
+      expect(lines[2].startsWith('Sun')).toBe(true);
+      expect(lines[5]).toMatch(/^Wed █/);
+      expect(lines[6]).toMatch(/^Thu ░/);
+    });
+  });
+
+  describe('renderContributionCalendarSvg', () => {
+    it('should render one cell per day of the year', () => {
+      const calendar = buildContributionCalendar({}, 2024);
+      const svg = renderContributionCalendarSvg(calendar, 'GitLab contributions');
+      expect(svg.match(/<rect /g)).toHaveLength(366);
+      expect(svg).toContain('GitLab contributions');
+    });
+  });
+
+  describe('generateContributionCalendarSection', () => {
+    it('should render GitLab, GitHub and combined calendars', () => {
+      const summary = {
+        year: 2025,
+        gitlab: { streaks: { activityByDate: { '2025-03-03': 1 } } },
+        github: { contributions: { byDate: { '2025-03-04': 2 } } },
+      };
+      const section = generateContributionCalendarSection(summary);
+      expect(section).toContain('### GitLab Contribution Calendar');
+      expect(section).toContain('### GitHub Contribution Calendar');
+      expect(section).toContain('### Combined Contribution Calendar');
+    });
+
+    it('should return an empty string without daily data', () => {
+      expect(generateContributionCalendarSection({ year: 2025, gitlab: null, github: null })).toBe('');
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('should compare dotted versions numerically', () => {
+      expect(compareVersions('3.10.0', '3.9.2')).toBeGreaterThan(0);
+      expect(compareVersions('2.15.9', '2.16.0')).toBeLessThan(0);
+      expect(compareVersions('3.9', '3.9.0')).toBe(0);
+    });
+  });
+
+  describe('isGitHubFeatureSupported', () => {
+    it('should support everything on github.com', () => {
+      expect(isGitHubFeatureSupported({ enterprise: false, version: null }, 'contributionsCollection')).toBe(true);
+    });
+
+    it('should check the minimum Enterprise Server version', () => {
+      expect(isGitHubFeatureSupported({ enterprise: true, version: '2.15.3' }, 'contributionsCollection')).toBe(false);
+      expect(isGitHubFeatureSupported({ enterprise: true, version: '3.9.0' }, 'contributionsCollection')).toBe(true);
+    });
+
+    it('should assume support when the version is unknown', () => {
+      expect(isGitHubFeatureSupported({ enterprise: true, version: null }, 'contributionsCollection')).toBe(true);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry network errors, 5xx and 429', () => {
+      expect(isRetryableError({ request: {} })).toBe(true);
+      expect(isRetryableError({ request: {}, response: { status: 502, headers: {} } })).toBe(true);
+      expect(isRetryableError({ request: {}, response: { status: 429, headers: {} } })).toBe(true);
+    });
+
+    it('should only retry 403 when it is a rate limit', () => {
+      expect(isRetryableError({ request: {}, response: { status: 403, headers: {} } })).toBe(false);
+      expect(isRetryableError({ request: {}, response: { status: 403, headers: { 'x-ratelimit-remaining': '0' } } })).toBe(true);
+    });
+
+    it('should not retry client errors', () => {
+      expect(isRetryableError({ request: {}, response: { status: 404, headers: {} } })).toBe(false);
+      expect(isRetryableError({ message: 'bad config' })).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const now = Date.UTC(2025, 0, 1, 12, 0, 0);
+
+    it('should back off exponentially', () => {
+      const error = { request: {}, response: { status: 503, headers: {} } };
+      expect(getRetryDelay(error, 0, now)).toBe(1000);
+      expect(getRetryDelay(error, 2, now)).toBe(4000);
+      expect(getRetryDelay(error, 10, now)).toBe(30000);
+    });
+
+    it('should honor Retry-After in seconds and as a date', () => {
+      expect(getRetryDelay({ response: { status: 429, headers: { 'retry-after': '7' } } }, 0, now)).toBe(7000);
+      const date = new Date(now + 20000).toUTCString();
+      expect(getRetryDelay({ response: { status: 503, headers: { 'retry-after': date } } }, 0, now)).toBe(20000);
+    });
+
+    it('should wait for GitHub and GitLab rate limit resets', () => {
+      const reset = String(now / 1000 + 30);
+      expect(getRetryDelay({ response: { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset } } }, 0, now)).toBe(31000);
+      expect(getRetryDelay({ response: { status: 429, headers: { 'ratelimit-reset': reset } } }, 0, now)).toBe(31000);
+    });
+  });
+
+  describe('withRetries', () => {
+    const createClient = () => {
+      const client = { interceptors: { response: { use: vi.fn() } }, request: vi.fn() };
+      withRetries(client, 'Test');
+      return { client, onError: client.interceptors.response.use.mock.calls[0][1] };
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should replay retryable requests', async () => {
+      const { client, onError } = createClient();
+      client.request.mockResolvedValue({ data: 'ok' });
+      const error = { config: { url: '/events' }, request: {}, response: { status: 429, headers: { 'retry-after': '0' } } };
+
+      await expect(onError(error)).resolves.toEqual({ data: 'ok' });
+      expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ url: '/events', retryAttempt: 1 }));
+    });
+
+    it('should give up after MAX_RETRIES attempts', async () => {
+      const { client, onError } = createClient();
+      const error = { config: { url: '/events', retryAttempt: config.api.maxRetries }, request: {}, response: { status: 500, headers: {} } };
+
+      await expect(onError(error)).rejects.toBe(error);
+      expect(client.request).not.toHaveBeenCalled();
+    });
+
+    it('should not retry client errors', async () => {
+      const { client, onError } = createClient();
+      const error = { config: { url: '/missing' }, request: {}, response: { status: 404, headers: {} } };
+
+      await expect(onError(error)).rejects.toBe(error);
+      expect(client.request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateYearInReviewReport truncation warning', () => {
+    it('should list truncated requests under the overview', () => {
+      const report = generateYearInReviewReport({
+        year: 2025,
+        gitlab: null,
+        github: null,
+        overall: { totalActivities: 0, totalProjects: 0 },
+        truncated: [{ url: '/users/1/events', fetched: 300, reason: 'HTTP 502 Bad Gateway' }],
+      });
+      expect(report).toContain('Incomplete data');
+      expect(report).toContain('`/users/1/events`: stopped after 300 items (HTTP 502 Bad Gateway)');
+    });
+  });
+
+  describe('parseLinkHeader', () => {
+    it('should map rel names to URLs', () => {
+      const links = parseLinkHeader('<https://api.github.com/user/1/events?page=2>; rel="next", <https://api.github.com/user/1/events?page=5>; rel="last"');
+      expect(links.next).toBe('https://api.github.com/user/1/events?page=2');
+      expect(links.last).toBe('https://api.github.com/user/1/events?page=5');
+    });
+
+    it('should return an empty map without a header', () => {
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+
+  describe('getNextPage', () => {
+    it('should follow X-Next-Page even when GitLab clamps per_page', () => {
+      const response = { data: [{ id: 1 }], headers: { 'x-next-page': '3' } };
+      expect(getNextPage(response, 2)).toEqual({ page: 3 });
+    });
+
+    it('should stop on an empty X-Next-Page', () => {
+      expect(getNextPage({ data: [], headers: { 'x-next-page': '' } }, 4)).toBeNull();
+    });
+
+    it('should use X-Total-Pages when X-Next-Page is missing', () => {
+      expect(getNextPage({ data: [], headers: { 'x-total-pages': '3' } }, 2)).toEqual({ page: 3 });
+      expect(getNextPage({ data: [], headers: { 'x-total-pages': '3' } }, 3)).toBeNull();
+    });
+
+    it('should stop when the Link header has no next page', () => {
+      const response = { data: new Array(100).fill({}), headers: { link: '<https://api.github.com/x?page=1>; rel="first"' } };
+      expect(getNextPage(response, 3)).toBeNull();
+    });
+  });
+
+  describe('fetchAllPages', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should follow Link headers with the full next URL', async () => {
+      const client = {
+        get: vi.fn()
+          .mockResolvedValueOnce({ data: [{ id: 1 }], headers: { link: '<https://api.github.com/users/me/events?page=2>; rel="next"' } })
+          .mockResolvedValueOnce({ data: [{ id: 2 }], headers: { link: '<https://api.github.com/users/me/events?page=1>; rel="first"' } }),
+      };
+
+      const results = await fetchAllPages('/users/me/events', {}, 50, client);
+
+      expect(results.map(r => r.id)).toEqual([1, 2]);
+      expect(client.get).toHaveBeenLastCalledWith('https://api.github.com/users/me/events?page=2', { params: undefined });
+    });
+
+    it('should start from the page given in the parameters', async () => {
+      const client = {
+        get: vi.fn()
+          .mockResolvedValueOnce({ data: [{ id: 2 }], headers: { 'x-next-page': '3' } })
+          .mockResolvedValueOnce({ data: [{ id: 3 }], headers: { 'x-next-page': '' } }),
+      };
+
+      const results = await fetchAllPages('/projects/1/merge_requests/2/diffs', { page: 2 }, 10, client);
+
+      expect(results.map(r => r.id)).toEqual([2, 3]);
+      expect(client.get.mock.calls.map(call => call[1].params.page)).toEqual([2, 3]);
+    });
+
+    it('should request keyset pagination when asked', async () => {
+      const client = { get: vi.fn().mockResolvedValue({ data: [{ id: 1 }], headers: {} }) };
+
+      await fetchAllPages('/projects', {}, 10, client, { keyset: true });
+
+      expect(client.get.mock.calls[0][1].params).toMatchObject({ pagination: 'keyset', order_by: 'id', sort: 'asc' });
+    });
+
+    it('should report truncation when the page cap is reached', async () => {
+      const client = { get: vi.fn().mockResolvedValue({ data: [{ id: 1 }], headers: { 'x-next-page': '2' } }) };
+      const warn = vi.mocked(console.warn);
+
+      const results = await fetchAllPages('/users/1/events', {}, 2, client);
+
+      expect(results).toHaveLength(2);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('page limit of 2 reached'));
+    });
+  });
+
+  describe('getCachePath', () => {
+    it('should key entries by platform, method and URL', () => {
+      const first = getCachePath('GitHub', 'get', 'https://api.github.com/users/me/events?page=1');
+      const second = getCachePath('GitHub', 'get', 'https://api.github.com/users/me/events?page=2');
+      expect(first).toMatch(new RegExp(`^${config.cache.dir}/github/[0-9a-f]{64}\\.json$`));
+      expect(first).not.toBe(second);
+      expect(getCachePath('GitHub', 'get', 'https://api.github.com/users/me/events?page=1')).toBe(first);
+    });
+
+    it('should keep entries of different tokens apart', () => {
+      const url = 'https://api.github.com/user';
+      expect(getCachePath('GitHub', 'get', url, 'token a')).not.toBe(getCachePath('GitHub', 'get', url, 'token b'));
+      expect(getCachePath('GitHub', 'get', url, 'token a')).not.toContain('token');
+    });
+  });
+
+  describe('withCache', () => {
+    const originalYear = config.year;
+    const entry = { url: 'https://api.github.com/user', etag: '"abc"', headers: {}, data: '{"login":"me"}' };
+
+    const createClient = (send) => {
+      vi.mocked(axios.getAdapter).mockReturnValue(send);
+      const client = { defaults: { adapter: 'http' }, getUri: () => entry.url };
+      withCache(client, 'GitHub');
+      return client;
+    };
+
+    afterEach(() => {
+      config.year = originalYear;
+    });
+
+    it('should serve requests bounded by a past period from disk without a request', async () => {
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify(entry));
+      const send = vi.fn();
+      const client = createClient(send);
+
+      const response = await fetchForPeriod(resolvePeriod(2020), () =>
+        client.defaults.adapter({ method: 'get', url: '/user', headers: { set: vi.fn() } }));
+
+      expect(response.data).toBe(entry.data);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should revalidate requests that are not bounded by the period, even for past years', async () => {
+      config.year = 2020;
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify(entry));
+      const send = vi.fn().mockRejectedValue({ response: { status: 304 } });
+      const client = createClient(send);
+      const headers = { set: vi.fn() };
+
+      await client.defaults.adapter({ method: 'get', url: '/user', headers });
+
+      expect(headers.set).toHaveBeenCalledWith('If-None-Match', '"abc"');
+      expect(send).toHaveBeenCalled();
+    });
+
+    it('should decide by the period of the request, not the configured one', async () => {
+      config.year = 2020;
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify(entry));
+      const send = vi.fn().mockRejectedValue({ response: { status: 304 } });
+      const client = createClient(send);
+
+      await fetchForPeriod(resolvePeriod(new Date().getFullYear()), () =>
+        client.defaults.adapter({ method: 'get', url: '/user', headers: { set: vi.fn() } }));
+
+      expect(send).toHaveBeenCalled();
+    });
+
+    it('should revalidate the current year with If-None-Match and reuse the body on 304', async () => {
+      config.year = new Date().getFullYear();
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify(entry));
+      const send = vi.fn().mockRejectedValue({ response: { status: 304 } });
+      const client = createClient(send);
+      const headers = { set: vi.fn() };
+
+      const response = await client.defaults.adapter({ method: 'get', url: '/user', headers });
+
+      expect(headers.set).toHaveBeenCalledWith('If-None-Match', '"abc"');
+      expect(response.status).toBe(200);
+      expect(response.data).toBe(entry.data);
+    });
+
+    it('should not cache POST requests', async () => {
+      const send = vi.fn().mockResolvedValue({ data: '{}', headers: {} });
+      const client = createClient(send);
+
+      await client.defaults.adapter({ method: 'post', url: '/graphql', headers: { set: vi.fn() } });
+
+      expect(fs.readFile).not.toHaveBeenCalled();
+      expect(send).toHaveBeenCalled();
+    });
+  });
+
+  describe('withRecording', () => {
+    const originalRecording = { ...config.recording };
+    const recorded = { method: 'get', url: 'https://gitlab.com/api/v4/user', status: 200, statusText: 'OK', headers: {}, data: '{"id":1}' };
+
+    const createClient = (send) => {
+      vi.mocked(axios.getAdapter).mockReturnValue(send);
+      const client = { defaults: { adapter: 'http' }, getUri: () => recorded.url };
+      withRecording(client, 'GitLab');
+      return client;
+    };
+
+    afterEach(() => {
+      Object.assign(config.recording, originalRecording);
+    });
+
+    it('should leave clients alone without --record or --replay', () => {
+      const client = { defaults: { adapter: 'http' } };
+      withRecording(client, 'GitLab');
+      expect(client.defaults.adapter).toBe('http');
+    });
+
+    it('should write responses to the recording directory', async () => {
+      Object.assign(config.recording, { mode: 'record', dir: '/tmp/recording' });
+      vi.mocked(axios.AxiosHeaders.from).mockReturnValue({ toJSON: () => ({}) });
+      const client = createClient(vi.fn().mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: '{"id":1}' }));
+
+      await client.defaults.adapter({ method: 'get', url: '/user' });
+
+      const [file, contents] = vi.mocked(fs.writeFile).mock.calls[0];
+      expect(file).toMatch(/^\/tmp\/recording\/gitlab\/[0-9a-f]{64}\.json$/);
+      expect(JSON.parse(contents)).toMatchObject({ url: recorded.url, status: 200, data: '{"id":1}' });
+    });
+
+    it('should replay recorded responses without sending requests', async () => {
+      Object.assign(config.recording, { mode: 'replay', dir: '/tmp/recording' });
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify(recorded));
+      const send = vi.fn();
+      const client = createClient(send);
+
+      const response = await client.defaults.adapter({ method: 'get', url: '/user' });
+
+      expect(response.data).toBe('{"id":1}');
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should fail requests that were not recorded', async () => {
+      Object.assign(config.recording, { mode: 'replay', dir: '/tmp/recording' });
+      vi.mocked(fs.readFile).mockRejectedValue(new Error('ENOENT'));
+      const client = createClient(vi.fn());
+
+      await expect(client.defaults.adapter({ method: 'get', url: '/user' })).rejects.toBeInstanceOf(axios.AxiosError);
+      expect(vi.mocked(axios.AxiosError).mock.calls[0][1]).toBe('ERR_NOT_RECORDED');
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep input order and respect the limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should handle an empty list', async () => {
+      expect(await mapWithConcurrency([], 5, async () => 1)).toEqual([]);
+    });
+  });
+
+  describe('normalizeGitLabProject', () => {
+    it('should keep namespace, visibility and web URL', () => {
+      const project = normalizeGitLabProject({
+        id: 7,
+        name: 'api',
+        path_with_namespace: 'acme/api',
+        namespace: { full_path: 'acme' },
+        visibility: 'internal',
+        web_url: 'https://gitlab.com/acme/api',
+      });
+      expect(project).toEqual({
+        id: 7,
+        name: 'api',
+        pathWithNamespace: 'acme/api',
+        namespace: 'acme',
+        visibility: 'internal',
+        webUrl: 'https://gitlab.com/acme/api',
+      });
+    });
+
+    it('should fall back to the project ID', () => {
+      expect(normalizeGitLabProject({ id: 9 }).name).toBe('Project-9');
+    });
+  });
+
+  describe('generateTeamYearInReviewReport', () => {
+    it('should keep partial results and list members that failed', () => {
+      const report = generateTeamYearInReviewReport(
+        [{ username: 'alice', overall: { totalActivities: 5 } }],
+        [{ username: 'bob', error: 'User with username bob not found' }]
+      );
+      expect(report).toContain('- Total Team Members: 1');
+      expect(report).toContain('## Members That Failed');
+      expect(report).toContain('- @bob: User with username bob not found');
+    });
+
+    it('should omit the section when every member succeeded', () => {
+      const report = generateTeamYearInReviewReport([{ username: 'alice', overall: { totalActivities: 5 } }]);
+      expect(report).not.toContain('Members That Failed');
+    });
+  });
+
+  describe('withRequestLimit', () => {
+    it('should keep at most API_CONCURRENCY requests in flight', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      vi.mocked(axios.getAdapter).mockReturnValue(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { status: 200 };
+      });
+      const client = withRequestLimit({ defaults: { adapter: 'http' } });
+
+      await Promise.all(Array.from({ length: 12 }, () => client.defaults.adapter({})));
+
+      expect(maxRunning).toBe(config.api.concurrency);
+    });
+
+    it('should free the slot when a request fails', async () => {
+      vi.mocked(axios.getAdapter).mockReturnValue(vi.fn().mockRejectedValue(new Error('boom')));
+      const client = withRequestLimit({ defaults: { adapter: 'http' } });
+
+      const results = await Promise.allSettled(Array.from({ length: 12 }, () => client.defaults.adapter({})));
+
+      expect(results.every(result => result.status === 'rejected')).toBe(true);
+    });
+  });
+
+  describe('buildTeamMembers', () => {
+    it('should merge handles that appear on both platforms', () => {
+      const members = buildTeamMembers(['alice', 'bob'], ['Alice', 'carol']);
+      expect(members).toEqual([
+        { name: 'alice', gitlab: 'alice', github: 'Alice' },
+        { name: 'bob', gitlab: 'bob', github: null },
+        { name: 'carol', gitlab: null, github: 'carol' },
+      ]);
+    });
+
+    it('should support GitHub-only teams', () => {
+      expect(buildTeamMembers([], ['octocat'])).toEqual([{ name: 'octocat', gitlab: null, github: 'octocat' }]);
+    });
+  });
+
+  describe('loadTeamMembers', () => {
+    const original = { membersFile: config.team.membersFile, gitlabUsers: config.gitlab.teamUsers, githubUsers: config.github.teamUsers };
+
+    afterEach(() => {
+      config.team.membersFile = original.membersFile;
+      config.gitlab.teamUsers = original.gitlabUsers;
+      config.github.teamUsers = original.githubUsers;
+    });
+
+    it('should only skip handles already listed for the same platform', async () => {
+      config.team.membersFile = 'team.json';
+      config.gitlab.teamUsers = ['bob'];
+      config.github.teamUsers = ['bob'];
+      vi.mocked(fs.readFile).mockResolvedValue(JSON.stringify([{ name: 'Bob', gitlab: 'bob' }]));
+
+      const members = await loadTeamMembers();
+
+      expect(members.map(member => [member.gitlab, member.github])).toEqual([['bob', null], [null, 'bob']]);
+    });
+  });
+
+  describe('normalizeTeamMember', () => {
+    it('should keep the name from the members file', () => {
+      expect(normalizeTeamMember({ name: 'Alice Smith', gitlab: 'asmith', github: 'alice-codes' }))
+        .toEqual({ name: 'Alice Smith', gitlab: 'asmith', github: 'alice-codes' });
+    });
+
+    it('should keep a member timezone', () => {
+      expect(normalizeTeamMember({ gitlab: 'asmith', timezone: 'Asia/Kolkata' }))
+        .toEqual({ name: 'asmith', gitlab: 'asmith', github: null, timezone: 'Asia/Kolkata' });
+    });
+  });
+
+  describe('generateTeamYearInReviewReport member names', () => {
+    it('should prefer the name from the members file over the handle', () => {
+      const report = generateTeamYearInReviewReport([
+        { username: 'alice-codes', member: { name: 'Alice Smith', gitlab: null, github: 'alice-codes' }, overall: { totalActivities: 1 } },
+      ]);
+      expect(report).toContain('## User: Alice Smith (@alice-codes)');
+    });
+  });
+
+  describe('isBotAccount', () => {
+    it('should recognize GitLab access token users and GitHub Apps', () => {
+      expect(isBotAccount({ username: 'project_42_bot_1a2b3c4d' })).toBe(true);
+      expect(isBotAccount({ username: 'group_7_bot' })).toBe(true);
+      expect(isBotAccount({ login: 'dependabot[bot]', type: 'Bot' })).toBe(true);
+      expect(isBotAccount({ username: 'renovate', bot: true })).toBe(true);
+    });
+
+    it('should keep human accounts', () => {
+      expect(isBotAccount({ username: 'abbott' })).toBe(false);
+      expect(isBotAccount({ login: 'octocat', type: 'User' })).toBe(false);
+    });
+  });
+
+  describe('filterTeamMembers', () => {
+    const members = [
+      { name: 'alice', gitlab: 'alice', github: 'alice-gh' },
+      { name: 'bob', gitlab: 'bob', github: null },
+      { name: 'carol', gitlab: null, github: 'carol' },
+    ];
+
+    it('should keep everyone without include or exclude lists', () => {
+      expect(filterTeamMembers(members, [], [])).toHaveLength(3);
+    });
+
+    it('should match include and exclude against either handle', () => {
+      expect(filterTeamMembers(members, ['ALICE-GH', 'bob'], []).map(m => m.name)).toEqual(['alice', 'bob']);
+      expect(filterTeamMembers(members, [], ['carol']).map(m => m.name)).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('analyzeCodeReviews', () => {
+    it('should count reviewer, approval and comment activity overall and per project', () => {
+      const projects = new Map([
+        [1, { id: 1, name: 'Project A' }],
+        [2, { id: 2, name: 'Project B' }],
+      ]);
+      const reviews = [
+        { projectId: 1, iid: 10, reviewer: true, approved: true, comments: 3 },
+        { projectId: 1, iid: 11, reviewer: true, approved: false, comments: 0 },
+        { projectId: 2, iid: 10, reviewer: false, approved: true, comments: 0 },
+        { projectId: 3, iid: 1, reviewer: false, approved: false, comments: 2 },
+      ];
+
+      const result = analyzeCodeReviews(reviews, projects);
+
+      expect(result.totalReviewed).toBe(4);
+      expect(result.reviewerCount).toBe(2);
+      expect(result.approvedCount).toBe(2);
+      expect(result.commentedCount).toBe(2);
+      expect(result.totalComments).toBe(5);
+      expect(result.byProject['Project A']).toEqual({ reviewed: 2, approved: 1, commented: 1 });
+      expect(result.byProject['Project B']).toEqual({ reviewed: 1, approved: 1, commented: 0 });
+      expect(result.byProject['Unknown Project']).toEqual({ reviewed: 1, approved: 0, commented: 1 });
+    });
+
+    it('should return zero counts without reviews', () => {
+      const result = analyzeCodeReviews([]);
+      expect(result.totalReviewed).toBe(0);
+      expect(result.approvedCount).toBe(0);
+      expect(result.byProject).toEqual({});
+    });
+  });
+
+  describe('normalizeGitHubItem', () => {
+    it('should map merged, open and closed search results to GitLab-style states', () => {
+      const base = { id: 1, title: 'Fix', repository_url: 'https://api.github.com/repos/octo/app', created_at: '2025-03-01T00:00:00Z' };
+
+      const merged = normalizeGitHubItem({ ...base, state: 'closed', closed_at: '2025-03-03T00:00:00Z', pull_request: { merged_at: '2025-03-03T00:00:00Z' } });
+      expect(merged).toMatchObject({ project_id: 'octo/app', state: 'merged', merged_at: '2025-03-03T00:00:00Z' });
+
+      expect(normalizeGitHubItem({ ...base, state: 'open' }).state).toBe('opened');
+      expect(normalizeGitHubItem({ ...base, state: 'closed', pull_request: { merged_at: null } }).state).toBe('closed');
+    });
+
+    it('should feed the GitLab analyzers', () => {
+      const prs = [
+        { id: 1, state: 'closed', repository_url: 'https://api.github.com/repos/octo/app', created_at: '2025-03-01T00:00:00Z', pull_request: { merged_at: '2025-03-03T00:00:00Z' } },
+        { id: 2, state: 'open', repository_url: 'https://api.github.com/repos/octo/lib', created_at: '2025-04-01T00:00:00Z', pull_request: {} },
+      ].map(normalizeGitHubItem);
+      const issues = [
+        { id: 3, state: 'closed', repository_url: 'https://api.github.com/repos/octo/app', created_at: '2025-05-01T00:00:00Z', closed_at: '2025-05-05T00:00:00Z' },
+        { id: 4, state: 'open', repository_url: 'https://api.github.com/repos/octo/app', created_at: '2025-06-01T00:00:00Z' },
+      ].map(normalizeGitHubItem);
+
+      const prMetrics = analyzeMergeRequests(prs);
+      expect(prMetrics.mergedCount).toBe(1);
+      expect(prMetrics.openedCount).toBe(1);
+      expect(prMetrics.averageTimeToMerge).toBe(2 * 24 * 60 * 60 * 1000);
+      expect(prMetrics.projectsWithMRs).toEqual(['octo/app', 'octo/lib']);
+
+      const issueMetrics = analyzeIssues(issues);
+      expect(issueMetrics.closedCount).toBe(1);
+      expect(issueMetrics.openedCount).toBe(1);
+      expect(issueMetrics.averageTimeToClose).toBe(4 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('convertGitHubContributionsToEvents', () => {
+    it('should turn each contribution type into events-API-shaped objects', () => {
+      const events = convertGitHubContributionsToEvents({
+        commitContributionsByRepository: [
+          { repository: { nameWithOwner: 'octo/app' }, contributions: { nodes: [{ occurredAt: '2025-02-03T08:00:00Z', commitCount: 4 }] } },
+        ],
+        pullRequestContributions: {
+          nodes: [{ occurredAt: '2025-02-04T10:15:00Z', pullRequest: { repository: { nameWithOwner: 'octo/app' } } }],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+        issueContributions: {
+          nodes: [{ occurredAt: '2025-02-05T11:00:00Z', issue: { repository: { nameWithOwner: 'octo/lib' } } }],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+        pullRequestReviewContributions: {
+          nodes: [{ occurredAt: '2025-02-06T09:30:00Z', pullRequestReview: { repository: { nameWithOwner: 'other/tool' } } }],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      });
+
+      expect(events).toEqual([
+        { type: 'PushEvent', repo: { name: 'octo/app' }, created_at: '2025-02-03T08:00:00Z', payload: { size: 4 }, dateOnly: true },
+        { type: 'PullRequestEvent', repo: { name: 'octo/app' }, created_at: '2025-02-04T10:15:00Z' },
+        { type: 'IssuesEvent', repo: { name: 'octo/lib' }, created_at: '2025-02-05T11:00:00Z' },
+        { type: 'PullRequestReviewEvent', repo: { name: 'other/tool' }, created_at: '2025-02-06T09:30:00Z' },
+      ]);
+    });
+
+    it('should skip connections that were not queried', () => {
+      const events = convertGitHubContributionsToEvents({
+        issueContributions: { nodes: [{ occurredAt: '2025-02-05T11:00:00Z', issue: { repository: { nameWithOwner: 'octo/lib' } } }] },
+      });
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('IssuesEvent');
+    });
+  });
+
+  describe('recordRepositoryLimit', () => {
+    it('should warn when more repositories have commits than were returned', () => {
+      const warn = vi.mocked(console.warn);
+      const collection = {
+        totalRepositoriesWithContributedCommits: 120,
+        commitContributionsByRepository: Array.from({ length: 100 }, (_, i) => ({ repository: { nameWithOwner: `me/repo-${i}` } })),
+      };
+
+      recordRepositoryLimit('me', '2025-01-01T00:00:00Z', '2025-01-31T23:59:59Z', collection);
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('only 100 of 120 repositories with commits are returned'));
+    });
+
+    it('should stay quiet when every repository was returned', () => {
+      const warn = vi.mocked(console.warn);
+      warn.mockClear();
+
+      recordRepositoryLimit('me', '2025-01-01T00:00:00Z', '2025-01-31T23:59:59Z', {
+        totalRepositoriesWithContributedCommits: 1,
+        commitContributionsByRepository: [{ repository: { nameWithOwner: 'me/repo' } }],
+      });
+
+      expect(warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isRepoAllowed', () => {
+    it('should allow every repository without a filter', () => {
+      expect(isRepoAllowed('some-org/service', [])).toBe(true);
+    });
+
+    it('should match full names and bare repository names', () => {
+      const allowedRepos = ['frontend', 'some-org/service'];
+      expect(isRepoAllowed('tester/frontend', allowedRepos)).toBe(true);
+      expect(isRepoAllowed('some-org/service', allowedRepos)).toBe(true);
+      expect(isRepoAllowed('other-org/service', allowedRepos)).toBe(false);
+    });
+  });
+
+  describe('countDiffLines', () => {
+    it('should count added and removed lines', () => {
+      const diff = '@@ -1,3 +1,4 @@\n context\n-old line\n+new line\n+++counter\n\\ No newline at end of file\n';
+      expect(countDiffLines(diff)).toEqual({ additions: 2, deletions: 1 });
+    });
+
+    it('should handle missing diffs', () => {
+      expect(countDiffLines(undefined)).toEqual({ additions: 0, deletions: 0 });
+    });
+  });
+
+  describe('analyzeChurn', () => {
+    const changeSets = [
+      { project: 'app', title: 'Big refactor', url: 'https://example.com/1', date: '2025-03-10T10:00:00Z', additions: 400, deletions: 300, files: 20 },
+      { project: 'app', title: 'Small fix', date: '2025-03-12T10:00:00Z', additions: 3, deletions: 1, files: 1 },
+      { project: 'lib', title: 'New API', date: '2025-05-02T10:00:00Z', additions: 120, deletions: 0, files: 4 },
+    ];
+
+    it('should total churn per project and month', () => {
+      const churn = analyzeChurn(changeSets);
+
+      expect(churn.totalAdditions).toBe(523);
+      expect(churn.totalDeletions).toBe(301);
+      expect(churn.totalFilesChanged).toBe(25);
+      expect(churn.totalChangeSets).toBe(3);
+      expect(churn.byProject.app).toEqual({ additions: 403, deletions: 301, filesChanged: 21, changeSets: 2 });
+      expect(churn.byMonth.March).toEqual({ additions: 403, deletions: 301, filesChanged: 21 });
+      expect(churn.byMonth.May).toEqual({ additions: 120, deletions: 0, filesChanged: 4 });
+    });
+
+    it('should count months in the given timezone', () => {
+      const churn = analyzeChurn([{ project: 'app', date: '2025-05-31T22:00:00Z', additions: 1, deletions: 0, files: 1 }], 5, 'Europe/Berlin');
+      expect(Object.keys(churn.byMonth)).toEqual(['June']);
+    });
+
+    it('should list the largest change sets first', () => {
+      const churn = analyzeChurn(changeSets, 2);
+      expect(churn.largestChangeSets.map(changeSet => changeSet.title)).toEqual(['Big refactor', 'New API']);
+    });
+
+    it('should merge project churn into contributions', () => {
+      const contributions = { app: { total: 5, pushEvents: 4, otherEvents: 1 } };
+      addChurnToContributions(contributions, analyzeChurn(changeSets));
+
+      expect(contributions.app).toEqual({ total: 5, pushEvents: 4, otherEvents: 1, additions: 403, deletions: 301, filesChanged: 21 });
+      expect(contributions.lib).toEqual({ total: 0, pushEvents: 0, otherEvents: 0, additions: 120, deletions: 0, filesChanged: 4 });
+    });
+
+    it('should render a markdown section with the largest change sets linked', () => {
+      const section = renderChurnMarkdown('GitLab Code Churn', analyzeChurn(changeSets), 'merge requests');
+
+      expect(section).toContain('### GitLab Code Churn');
+      expect(section).toContain('- Files Changed: 25 across 3 merge requests');
+      expect(section).toContain('1. [Big refactor](https://example.com/1) (app): +400/-300 lines in 20 files');
+      expect(renderChurnMarkdown('GitLab Code Churn', analyzeChurn([]), 'merge requests')).toBe('');
+    });
+  });
+
+  describe('getZonedDateParts', () => {
+    it('should split a timestamp in the given timezone', () => {
+      // 23:30 UTC on Sunday is 05:00 on Monday in India
+      const parts = getZonedDateParts('2025-03-02T23:30:00Z', 'Asia/Kolkata');
+      expect(parts.hour).toBe(5);
+      expect(parts.weekday).toBe(1);
+      expect(parts.dateStr).toBe('2025-03-03');
+      expect(parts.monthName).toBe(new Date(2025, 2, 1).toLocaleString('default', { month: 'long' }));
+    });
+
+    it('should drive hours in analyzeTimePatterns and days in analyzeStreaks', () => {
+      const events = [
+        { created_at: '2025-03-02T23:30:00Z' },
+        { created_at: '2025-03-03T04:00:00Z' },
+      ];
+
+      const utc = analyzeTimePatterns(events, 'UTC');
+      expect(utc.hourlyActivity).toEqual({ 23: 1, 4: 1 });
+      const india = analyzeTimePatterns(events, 'Asia/Kolkata');
+      expect(india.hourlyActivity).toEqual({ 5: 1, 9: 1 });
+      expect(india.dailyActivity).toEqual({ 1: 2 });
+
+      expect(analyzeStreaks(events, 'UTC').totalActiveDays).toBe(2);
+      expect(analyzeStreaks(events, 'Asia/Kolkata').totalActiveDays).toBe(1);
+      expect(analyzeGitHubStreaks(events, 'Asia/Kolkata').maxStreakStart).toBe('2025-03-03');
+      expect(analyzeGitHubTimePatterns(events, 'America/Los_Angeles').hourlyActivity).toEqual({ 15: 1, 20: 1 });
+    });
+
+    it('should keep the calendar date of day-only events in any timezone', () => {
+      // A commit contribution on Monday March 3rd, stamped at UTC midnight
+      const events = [{ created_at: '2025-03-03T00:00:00Z', dateOnly: true }];
+
+      expect(analyzeGitHubStreaks(events, 'America/Los_Angeles').maxStreakStart).toBe('2025-03-03');
+      expect(analyzeStreaks(events, 'America/Los_Angeles').maxStreakStart).toBe('2025-03-03');
+      expect(analyzeGitHubTimePatterns(events, 'America/Los_Angeles').dailyActivity).toEqual({ 1: 1 });
+      expect(analyzeTimePatterns(events, 'America/Los_Angeles').hourlyActivity).toEqual({});
+    });
+  });
+
+  describe('Reporting periods', () => {
+    const quarter = { start: '2025-07-01', end: '2025-09-30', startTime: '2025-07-01T00:00:00Z', endTime: '2025-09-30T23:59:59Z', label: '2025Q3', slug: '2025Q3', isCalendarYear: false };
+
+    it('should resolve a year to its calendar-year period', () => {
+      expect(resolvePeriod(2024)).toMatchObject({ start: '2024-01-01', end: '2024-12-31', isCalendarYear: true });
+      expect(resolvePeriod(quarter)).toBe(quarter);
+    });
+
+    it('should check timestamps against the period by UTC day', () => {
+      expect(isInPeriod('2025-07-01T00:00:00Z', quarter)).toBe(true);
+      expect(isInPeriod('2025-09-30T23:59:59Z', quarter)).toBe(true);
+      expect(isInPeriod('2025-10-01T00:00:00Z', quarter)).toBe(false);
+      expect(isInPeriod(Date.UTC(2025, 5, 30), quarter)).toBe(false);
+    });
+
+    it('should split a period into month windows clipped to its ends', () => {
+      const months = getPeriodMonths({ start: '2025-01-15', end: '2025-03-10' });
+      expect(months).toEqual([
+        { from: '2025-01-15T00:00:00Z', to: '2025-01-31T23:59:59Z' },
+        { from: '2025-02-01T00:00:00Z', to: '2025-02-28T23:59:59Z' },
+        { from: '2025-03-01T00:00:00Z', to: '2025-03-10T23:59:59Z' }
+      ]);
+    });
+
+    it('should name the months of a period in period order', () => {
+      expect(getPeriodMonthNames(quarter)).toEqual(['July', 'August', 'September']);
+      expect(getPeriodMonthNames({ start: '2025-04-01', end: '2026-03-31' })).toEqual([
+        'April', 'May', 'June', 'July', 'August', 'September',
+        'October', 'November', 'December', 'January', 'February', 'March'
+      ]);
+    });
+
+    it('should chart only the months of the period', () => {
+      const svg = renderMonthlyBarChartSvg({ July: 2, March: 5 }, getPeriodMonthNames(quarter));
+      expect(svg.match(/<rect /g)).toHaveLength(3);
+      expect(svg).toContain('<title>July: 2</title>');
+      expect(svg).not.toContain('March');
+
+      const report = generateYearInReviewReport({
+        year: 2025,
+        period: quarter,
+        overall: { totalActivities: 2, totalProjects: 1 },
+        gitlab: null,
+        github: null,
+        combined: analyzeCombinedActivity([
+          { platform: 'github', created_at: '2025-07-02T10:00:00Z', dateOnly: false },
+          { platform: 'local', created_at: '2025-09-03T10:00:00Z', dateOnly: false }
+        ], 'UTC')
+      });
+      const chart = report.slice(report.indexOf('### Combined Monthly Activity Chart'));
+      expect(chart.match(/^\w+(?= +\|)/gm)).toEqual(['July', 'August', 'September']);
+    });
+
+    it('should list churn months in period order', () => {
+      const churn = analyzeChurn([
+        { project: 'app', date: '2026-02-10T10:00:00Z', additions: 1, deletions: 0, files: 1 },
+        { project: 'app', date: '2025-05-10T10:00:00Z', additions: 2, deletions: 0, files: 1 }
+      ], 5, 'UTC');
+      const section = renderChurnMarkdown('GitHub Code Churn', churn, 'commits', getPeriodMonthNames({ start: '2025-04-01', end: '2026-03-31' }));
+      expect(section.indexOf('- May:')).toBeLessThan(section.indexOf('- February:'));
+    });
+
+    it('should show the dates of non-calendar periods in headings', () => {
+      expect(formatPeriod(resolvePeriod(2025))).toBe('2025');
+      expect(formatPeriod(quarter)).toBe('2025Q3 (2025-07-01 to 2025-09-30)');
+      expect(formatPeriod({ start: '2025-03-01', end: '2025-08-31', label: '2025-03-01 to 2025-08-31' })).toBe('2025-03-01 to 2025-08-31');
+    });
+
+    it('should lay out the contribution calendar over the period only', () => {
+      const calendar = buildContributionCalendar({ '2025-06-30': 5, '2025-07-01': 2 }, quarter);
+      const days = calendar.weeks.flat().filter(Boolean);
+      expect(days).toHaveLength(92);
+      expect(days[0].date).toBe('2025-07-01');
+      expect(calendar.total).toBe(2);
+      expect(renderContributionCalendarSvg(calendar)).toContain('2 contributions in 2025Q3');
+    });
+
+    it('should put the period in the report heading and JSON document', () => {
+      const summary = {
+        year: 2025,
+        period: quarter,
+        gitlab: null,
+        github: null,
+        overall: { totalActivities: 0, totalProjects: 0 }
+      };
+      expect(generateYearInReviewReport(summary)).toContain('Combined Year-in-Review Report - 2025Q3 (2025-07-01 to 2025-09-30)');
+      expect(JSON.parse(generateJsonReport(summary)).period.slug).toBe('2025Q3');
+    });
+
+    it('should name the output file after the period slug', () => {
+      const original = { ...config.periodOptions };
+      const originalFormat = config.output.format;
+      config.periodOptions.quarter = '2025Q3';
+      config.output.format = 'markdown';
+      try {
+        expect(getOutputFilename({ gitlab: { events: { totalEvents: 1 } } })).toBe('gitlab-year-in-review-2025Q3.md');
+      } finally {
+        Object.assign(config.periodOptions, original);
+        config.output.format = originalFormat;
+      }
+    });
+  });
+
+  describe('Year-over-year comparison', () => {
+    const platformSummary = (activities, merged, days, projectActivity) => ({
+      overall: { totalActivities: activities, totalProjects: Object.keys(projectActivity).length },
+      events: {
+        projectActivity,
+        topProjects: Object.entries(projectActivity).map(([project, count]) => ({ project, count })),
+        eventTypeCounts: {},
+        monthlyActivity: {},
+        projectContributions: {},
+        mostActiveMonth: 'March'
+      },
+      mergeRequests: { totalCreated: merged, totalAssigned: 0, mergedCount: merged, openedCount: 0, closedCount: 0, averageTimeToMerge: days * 86400000, projectsWithMRs: [] },
+      issues: { totalCreated: 0, totalAssigned: 0, closedCount: 0, openedCount: 0, projectsWithIssues: [] },
+      codeReviews: { totalReviewed: 0 },
+      projects: { total: 0, names: [] },
+      timePatterns: { hourlyActivity: {}, dailyActivity: {}, monthlyActivity: {} },
+      streaks: { maxStreak: days, totalActiveDays: days * 10 }
+    });
+    const current = {
+      year: 2025,
+      period: { start: '2025-01-01', end: '2025-12-31', label: '2025', slug: '2025', isCalendarYear: true },
+      gitlab: platformSummary(120, 12, 2, { api: 80, web: 40 }),
+      github: null,
+      overall: { totalActivities: 120, totalProjects: 2 }
+    };
+    const previous = {
+      year: 2024,
+      gitlab: platformSummary(100, 12, 4, { api: 100 }),
+      overall: { totalActivities: 100, totalProjects: 1 }
+    };
+
+    it('should compute deltas for the headline metrics and top projects', () => {
+      const comparison = compareSummaries(current, previous);
+      expect(comparison.period.label).toBe('2024');
+      expect(comparison.overall.totalActivities).toEqual({ current: 120, previous: 100, change: 20, percentChange: 20 });
+      expect(comparison.gitlab.merged.change).toBe(0);
+      expect(comparison.gitlab.averageTimeToMerge.percentChange).toBe(-50);
+      expect(comparison.gitlab.longestStreak).toEqual({ current: 2, previous: 4, change: -2, percentChange: -50 });
+      expect(comparison.gitlab.topProjects).toEqual([
+        { name: 'api', current: 80, previous: 100, change: -20, percentChange: -20 },
+        { name: 'web', current: 40, previous: 0, change: 40, percentChange: null }
+      ]);
+      expect(comparison.github).toBeUndefined();
+    });
+
+    it('should format deltas with arrows and percentages', () => {
+      expect(formatDelta({ change: 12, percentChange: 25 }, '2024')).toBe(' (▲ +12, +25% vs 2024)');
+      expect(formatDelta({ change: -3, percentChange: null }, '2024', change => `${change} days`)).toBe(' (▼ -3 days vs 2024)');
+      expect(formatDelta({ change: 0, percentChange: 0 }, '2024')).toBe(' (no change vs 2024)');
+      expect(formatDelta(undefined, '2024')).toBe('');
+    });
+
+    it('should add the deltas to the markdown report', () => {
+      const report = generateYearInReviewReport({ ...current, comparison: compareSummaries(current, previous) });
+      expect(report).toContain('- Total Activities: 120 (▲ +20, +20% vs 2024)');
+      expect(report).toContain('- Compared With: 2024');
+      expect(report).toContain('- Merged: 12 (no change vs 2024)');
+      expect(report).toContain('- Average Time to Merge: 2 days (▼ -2 days, -50% vs 2024)');
+      expect(report).toContain('1. api: 80 activities (▼ -20, -20% vs 2024)');
+      expect(report).toContain('- Longest Activity Streak: 2 days (▼ -2 days, -50% vs 2024)');
+    });
+
+    it('should load the earlier summary from a saved JSON report', async () => {
+      vi.mocked(fs.readFile).mockResolvedValueOnce(JSON.stringify({ schema: 'year-in-code/user-report', summary: previous }));
+      await expect(loadComparisonSummary(null, 'report-2024.json')).resolves.toEqual(previous);
+
+      vi.mocked(fs.readFile).mockResolvedValueOnce(JSON.stringify({ hello: 'world' }));
+      await expect(loadComparisonSummary(null, 'other.json')).rejects.toThrow('other.json is not a saved JSON user report');
+    });
+  });
+
+  describe('Career in Code', () => {
+    const yearSummary = (year, activities, projectActivity, hourlyActivity, activityByDate) => ({
+      year,
+      timezone: 'Europe/Berlin',
+      gitlab: {
+        events: { projectActivity },
+        timePatterns: { hourlyActivity },
+        streaks: { activityByDate }
+      },
+      github: null,
+      overall: { totalActivities: activities, totalProjects: Object.keys(projectActivity).length }
+    });
+    const summaries = [
+      yearSummary(2023, 10, { api: 6, web: 4 }, { 8: 2, 14: 8 }, { '2023-12-30': 2, '2023-12-31': 3 }),
+      yearSummary(2024, 25, { web: 20, docs: 5 }, { 20: 5, 10: 20 }, { '2024-01-01': 4, '2024-01-02': 1, '2024-06-01': 1 })
+    ];
+
+    it('should summarize each year and the lifetime records', () => {
+      const career = analyzeCareer(summaries);
+      expect(career).toMatchObject({
+        timezone: 'Europe/Berlin',
+        firstYear: 2023,
+        lastYear: 2024,
+        totalActivities: 35,
+        activeDays: 5,
+        busiestYear: { year: 2024, totalActivities: 25 }
+      });
+      // The streak running over New Year counts as one
+      expect(career.longestStreak).toEqual({ days: 4, start: '2023-12-30', end: '2024-01-02' });
+      expect(career.years[0]).toEqual({
+        year: 2023,
+        totalActivities: 10,
+        totalProjects: 2,
+        activeDays: 2,
+        longestStreak: 2,
+        topProjects: [{ name: 'api', count: 6 }, { name: 'web', count: 4 }],
+        peakHour: 14,
+        afterHoursPercent: 20
+      });
+      expect(career.years[1].topProjects[0]).toEqual({ name: 'web', count: 20 });
+    });
+
+    it('should render yearly totals, top projects and working hours', () => {
+      const report = generateCareerReport(analyzeCareer(summaries), { name: 'Test User', username: 'tester' });
+      expect(report).toContain('# Career in Code - 2023 to 2024');
+      expect(report).toContain('- Longest Activity Streak: 4 days (2023-12-30 to 2024-01-02)');
+      expect(report).toContain('- **2024**: 25 activities in 2 projects, 3 active days, longest streak 2 days');
+      expect(report).toContain('- **2023**: api (6), web (4)');
+      expect(report).toContain('- **2024**: busiest hour 10:00, 20% before 9:00 or from 18:00');
+      expect(JSON.parse(generateCareerJsonReport(analyzeCareer(summaries))).schema).toBe('year-in-code/career-report');
+    });
+
+    it('should reuse the cached summary of a past year', async () => {
+      const originalEnabled = config.cache.enabled;
+      config.cache.enabled = true;
+      try {
+        vi.mocked(fs.readFile).mockResolvedValueOnce(JSON.stringify({ year: 2020, data: JSON.stringify(summaries[0]) }));
+        await expect(getCareerYearSummary(null, 2020)).resolves.toEqual(summaries[0]);
+      } finally {
+        config.cache.enabled = originalEnabled;
+      }
+    });
+  });
+
+  describe('Combined activity timeline', () => {
+    // Monday on GitLab, Tuesday on GitHub (a day-only commit contribution), Thursday on local git
+    const timeline = buildActivityTimeline({
+      github: [{ type: 'PushEvent', created_at: '2025-03-04T00:00:00Z', dateOnly: true }],
+      gitlab: [{ action_name: 'pushed to', created_at: '2025-03-03T10:15:00Z' }],
+      local: [{ hash: 'abc', created_at: '2025-03-06T21:00:00Z' }, { hash: 'def' }]
+    });
+
+    it('should merge the platforms into one timeline ordered by time', () => {
+      expect(timeline).toEqual([
+        { platform: 'gitlab', created_at: '2025-03-03T10:15:00Z', dateOnly: false },
+        { platform: 'github', created_at: '2025-03-04T00:00:00Z', dateOnly: true },
+        { platform: 'local', created_at: '2025-03-06T21:00:00Z', dateOnly: false }
+      ]);
+    });
+
+    it('should count streaks across platforms', () => {
+      const combined = analyzeCombinedActivity(timeline, 'UTC');
+      expect(combined.platforms).toEqual(['gitlab', 'github', 'local']);
+      expect(combined.totalActivities).toBe(3);
+      expect(combined.activityByPlatform).toEqual({ gitlab: 1, github: 1, local: 1 });
+      expect(combined.streaks).toMatchObject({
+        maxStreak: 2,
+        maxStreakStart: '2025-03-03',
+        maxStreakEnd: '2025-03-04',
+        totalActiveDays: 3
+      });
+    });
+
+    it('should leave day-only activity out of the hours', () => {
+      const { timePatterns } = analyzeCombinedActivity(timeline, 'UTC');
+      expect(timePatterns.hourlyActivity).toEqual({ 10: 1, 21: 1 });
+      expect(timePatterns.dailyActivity).toEqual({ 1: 1, 2: 1, 4: 1 });
+      expect(timePatterns.monthlyActivity).toEqual({ March: 3 });
+    });
+
+    it('should render the combined section of the markdown report', () => {
+      const report = generateYearInReviewReport({
+        year: 2025,
+        overall: { totalActivities: 3, totalProjects: 2 },
+        gitlab: null,
+        github: null,
+        combined: analyzeCombinedActivity(timeline, 'UTC')
+      });
+
+      expect(report).toContain('## Combined Activity');
+      expect(report).toContain('Activity from GitLab, GitHub, Local Git merged into one timeline.');
+      expect(report).toContain('- Longest Activity Streak: 2 days\n- Streak Period: 2025-03-03 to 2025-03-04');
+      expect(report).toContain('- Most Active Day of Week: Monday (1 activities)');
+      expect(report).toContain('March      |████████████████████| 3');
+      expect(report).toContain('- Best Combined Activity Streak: 2 consecutive days');
+    });
+  });
 });
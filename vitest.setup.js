@@ -4,17 +4,44 @@ import dotenv from 'dotenv';
 delete process.env.GITLAB_TOKEN;
 delete process.env.GITLAB_USER_ID;
 delete process.env.GITLAB_TEAM_USERS;
+delete process.env.GITLAB_TEAM_GROUP;
 delete process.env.GITLAB_BASE_URL;
 delete process.env.GITLAB_ALLOWED_PROJECTS;
+delete process.env.GITHUB_BASE_URL;
+delete process.env.GITHUB_GRAPHQL_URL;
 delete process.env.GITHUB_TOKEN;
 delete process.env.GITHUB_USERNAME;
 delete process.env.GITHUB_USER_ID;
 delete process.env.GITHUB_ALLOWED_REPOS;
+delete process.env.GITHUB_TEAM_USERS;
+delete process.env.GITHUB_TEAM;
+delete process.env.BITBUCKET_BASE_URL;
+delete process.env.BITBUCKET_TOKEN;
+delete process.env.BITBUCKET_APP_PASSWORD;
+delete process.env.BITBUCKET_USERNAME;
+delete process.env.BITBUCKET_REPOS;
+delete process.env.GITEA_BASE_URL;
+delete process.env.GITEA_TOKEN;
+delete process.env.GITEA_USERNAME;
+delete process.env.GITEA_ALLOWED_REPOS;
+delete process.env.LOCAL_REPOS;
+delete process.env.LOCAL_AUTHOR_EMAILS;
 delete process.env.YEAR;
+delete process.env.FISCAL_YEAR_START;
+delete process.env.TIMEZONE;
 delete process.env.OUTPUT_FILENAME;
+delete process.env.OUTPUT_FORMAT;
 delete process.env.API_TIMEOUT;
 delete process.env.MAX_RETRIES;
 delete process.env.PER_PAGE;
+delete process.env.API_CONCURRENCY;
+delete process.env.MAX_CHURN_COMMITS;
+delete process.env.TEAM_CONCURRENCY;
+delete process.env.TEAM_MEMBERS_FILE;
+delete process.env.TEAM_INCLUDE;
+delete process.env.TEAM_EXCLUDE;
+delete process.env.HTTP_CACHE;
+delete process.env.CACHE_DIR;
 
 // Now load dotenv but it will be empty since we deleted everything
 dotenv.config();